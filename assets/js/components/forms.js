@@ -43,6 +43,11 @@ class FormComponents {
             valid: !value || /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/.test(value),
             message: 'Please enter a valid GSTIN'
         }));
+
+        this.validators.set('pan', (value) => ({
+            valid: !value || /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/.test(value),
+            message: 'Please enter a valid PAN'
+        }));
     }
 
     /**
@@ -347,6 +352,27 @@ class FormComponents {
                     placeholder: 'Enter GSTIN (optional)',
                     validators: ['gstin'],
                     value: customer?.gstin || ''
+                },
+                {
+                    name: 'pan',
+                    type: 'text',
+                    label: 'PAN',
+                    placeholder: 'Enter PAN (required for TDS/TCS)',
+                    validators: ['pan'],
+                    value: customer?.pan || ''
+                },
+                {
+                    name: 'withholdingSection',
+                    type: 'select',
+                    label: 'TDS/TCS Section',
+                    options: [
+                        { value: '', label: 'None' },
+                        ...(window.AppConfig?.billing?.withholding?.sections || []).map(section => ({
+                            value: section.id,
+                            label: `${section.type.toUpperCase()} ${section.id} - ${section.name} (${section.rate}%)`
+                        }))
+                    ],
+                    value: customer?.withholdingSection || ''
                 }
             ],
             submitText: customer ? 'Update Customer' : 'Add Customer',
@@ -424,6 +450,20 @@ class FormComponents {
                     ],
                     value: product?.taxRate || '18'
                 },
+                {
+                    name: 'cessRate',
+                    type: 'number',
+                    label: 'Cess Rate (%)',
+                    placeholder: 'Compensation cess, if any',
+                    value: product?.cessRate || ''
+                },
+                {
+                    name: 'cessPerUnit',
+                    type: 'number',
+                    label: 'Cess per Unit (₹)',
+                    placeholder: 'Specific cess per unit, if any',
+                    value: product?.cessPerUnit || ''
+                },
                 {
                     name: 'category',
                     type: 'text',
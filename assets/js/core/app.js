@@ -116,6 +116,14 @@ class UnifyXApp {
         if (window.BillingEngine) {
             this.billingEngine = window.BillingEngine;
         }
+        
+        if (window.RecurringInvoiceManager) {
+            this.recurringManager = window.RecurringInvoiceManager;
+        }
+
+        if (window.DunningManager) {
+            this.dunningManager = window.DunningManager;
+        }
 
         // Detect device type
         this.detectDeviceType();
@@ -401,6 +409,89 @@ class UnifyXApp {
         setInterval(() => {
             this.monitorPerformance();
         }, 60000);
+
+        // Expire estimates past their validity
+        setInterval(() => {
+            this.billingEngine?.expireEstimates();
+        }, 3600000);
+
+        // Overdue invoices: check on start, then hourly
+        this.checkOverdueInvoices();
+        setInterval(() => {
+            this.checkOverdueInvoices();
+        }, 3600000);
+
+        // Payment reminders: send due reminders on start, then check periodically
+        this.runPaymentReminders();
+        setInterval(() => {
+            this.runPaymentReminders();
+        }, window.AppConfig?.billing?.dunning?.checkInterval || 3600000);
+
+        // Recurring invoices: catch up on start, then check periodically
+        this.runRecurringInvoices();
+        setInterval(() => {
+            this.runRecurringInvoices();
+        }, window.AppConfig?.billing?.recurring?.checkInterval || 3600000);
+    }
+
+    /**
+     * Move unpaid invoices past their due date to overdue and alert the user
+     */
+    checkOverdueInvoices() {
+        if (!this.billingEngine) return;
+
+        try {
+            const overdue = this.billingEngine.markOverdueInvoices();
+            const settings = this.dataManager?.getItem('settings') || {};
+
+            if (overdue.length > 0 && settings.notifications?.overdueInvoices !== false) {
+                const total = overdue.reduce((sum, inv) => sum + (inv.balanceDue ?? inv.totals?.grandTotal ?? 0), 0);
+                this.showNotification('warning', 'Overdue invoices',
+                    `${overdue.length} invoice(s) became overdue (₹${total.toFixed(2)} outstanding)`);
+            }
+        } catch (error) {
+            console.error('Failed to check overdue invoices:', error);
+        }
+    }
+
+    /**
+     * Send due payment reminders
+     */
+    async runPaymentReminders() {
+        if (!this.dunningManager) return;
+
+        try {
+            const sent = await this.dunningManager.runReminders();
+
+            if (sent.length > 0) {
+                this.showNotification('info', 'Payment reminders', `${sent.length} payment reminder(s) sent`);
+            }
+        } catch (error) {
+            console.error('Failed to run payment reminders:', error);
+        }
+    }
+
+    /**
+     * Run due recurring invoice profiles
+     */
+    async runRecurringInvoices() {
+        if (!this.recurringManager) return;
+
+        try {
+            const results = await this.recurringManager.runScheduler();
+            const created = results.filter(r => r.status !== 'failed');
+            const failed = results.filter(r => r.status === 'failed');
+
+            if (created.length > 0) {
+                this.showNotification('info', 'Recurring invoices', `${created.length} recurring invoice(s) created`);
+            }
+
+            if (failed.length > 0) {
+                this.showNotification('warning', 'Recurring invoices', `${failed.length} recurring invoice(s) could not be created`);
+            }
+        } catch (error) {
+            console.error('Failed to run recurring invoices:', error);
+        }
     }
 
     /**
@@ -63,6 +63,8 @@ class AppConfig {
                 { id: 'default', label: 'INV-{###}', format: 'INV-{###}' },
                 { id: 'yearly', label: 'INV-{YYYY}-{###}', format: 'INV-{YYYY}-{###}' },
                 { id: 'monthly', label: '{MM}/{YYYY}/{###}', format: '{MM}/{YYYY}/{###}' },
+                { id: 'financial_year', label: 'INV/{FY}/{###}', format: '{PREFIX}/{FY}/{###}' },
+                { id: 'branch', label: 'INV/{BRANCH}/{FY}/{###}', format: '{PREFIX}/{BRANCH}/{FY}/{###}' },
                 { id: 'custom', label: 'Custom Format', format: '{PREFIX}-{YYYY}-{###}' }
             ]
         };
@@ -95,8 +97,82 @@ class AppConfig {
             roundingPrecision: 2,
             discountTypes: ['percentage', 'fixed'],
             paymentMethods: ['cash', 'upi', 'card', 'cheque', 'bank-transfer'],
-            billStatuses: ['draft', 'generated', 'sent', 'paid', 'cancelled', 'returned'],
-            multiBillLimit: 5
+            billStatuses: ['draft', 'generated', 'sent', 'paid', 'overdue', 'cancelled', 'returned'],
+            multiBillLimit: 5,
+            undoLimit: 50,
+            estimateValidityDays: 15,
+            recurring: {
+                frequencies: ['weekly', 'monthly', 'quarterly', 'yearly'],
+                checkInterval: 60 * 60 * 1000, // 1 hour
+                maxCatchUpRuns: 24,
+                maxFailures: 5, // failed runs in a row before a profile is paused
+                historyLimit: 100
+            },
+            dunning: {
+                checkInterval: 60 * 60 * 1000, // 1 hour
+                // offsetDays is relative to the due date (negative = before it)
+                schedule: [
+                    {
+                        id: 'before_due',
+                        offsetDays: -3,
+                        subject: 'Payment reminder: {INVOICE_NO} due on {DUE_DATE}',
+                        message: 'Dear {CUSTOMER}, this is a reminder that invoice {INVOICE_NO} for {AMOUNT} is due on {DUE_DATE}. - {BUSINESS}'
+                    },
+                    {
+                        id: 'on_due',
+                        offsetDays: 0,
+                        subject: 'Payment due today: {INVOICE_NO}',
+                        message: 'Dear {CUSTOMER}, invoice {INVOICE_NO} for {AMOUNT} is due today. Please arrange payment. - {BUSINESS}'
+                    },
+                    {
+                        id: 'overdue_7',
+                        offsetDays: 7,
+                        subject: 'Overdue: {INVOICE_NO}',
+                        message: 'Dear {CUSTOMER}, invoice {INVOICE_NO} for {AMOUNT} is {DAYS_OVERDUE} days overdue (due {DUE_DATE}). Please pay at the earliest. - {BUSINESS}'
+                    },
+                    {
+                        id: 'overdue_30',
+                        offsetDays: 30,
+                        subject: 'Final reminder: {INVOICE_NO} overdue',
+                        message: 'Dear {CUSTOMER}, invoice {INVOICE_NO} for {AMOUNT} is now {DAYS_OVERDUE} days overdue. Please clear the balance immediately to avoid further action. - {BUSINESS}'
+                    }
+                ]
+            },
+            numberSeries: {
+                financialYearStartMonth: 4, // April
+                prefixes: {
+                    invoice: 'INV',
+                    creditNote: 'CN',
+                    debitNote: 'DN',
+                    estimate: 'EST',
+                    challan: 'DC',
+                    proforma: 'PI'
+                }
+            },
+            eInvoice: {
+                schemaVersion: '1.1',
+                turnoverThreshold: 50000000 // ₹5 crore aggregate turnover
+            },
+            eWayBill: {
+                schemaVersion: '1.0.0621',
+                threshold: 50000, // consignment value
+                kmPerDay: 200,
+                odcKmPerDay: 20, // over dimensional cargo
+                maxDistance: 4000
+            },
+            withholding: {
+                // base: 'taxable' (value before GST) or 'invoice' (value including GST)
+                // threshold: single invoice limit, annualThreshold: per customer per financial year
+                // excessOnly: levy only on the amount above the annual threshold
+                sections: [
+                    { id: '194C', type: 'tds', name: 'Payment to contractors', rate: 2, base: 'taxable', threshold: 30000, annualThreshold: 100000 },
+                    { id: '194H', type: 'tds', name: 'Commission or brokerage', rate: 2, base: 'taxable', annualThreshold: 20000 },
+                    { id: '194J', type: 'tds', name: 'Professional or technical services', rate: 10, base: 'taxable', annualThreshold: 50000 },
+                    { id: '194Q', type: 'tds', name: 'Purchase of goods', rate: 0.1, base: 'taxable', annualThreshold: 5000000, excessOnly: true },
+                    { id: '206C(1)', type: 'tcs', name: 'Sale of scrap', rate: 1, base: 'invoice', categories: ['scrap'] },
+                    { id: '206C(1H)', type: 'tcs', name: 'Sale of goods', rate: 0.1, base: 'invoice', annualThreshold: 5000000, excessOnly: true }
+                ]
+            }
         };
 
         // PDF Configuration
@@ -23,8 +23,17 @@ class AppConstants {
             BUSINESSES: 'businesses',
             CUSTOMERS: 'customers',
             PRODUCTS: 'products',
+            PRICE_LISTS: 'priceLists',
+            PROMOTIONS: 'promotions',
             INVOICES: 'invoices',
+            CREDIT_NOTES: 'creditNotes',
+            DEBIT_NOTES: 'debitNotes',
+            RECURRING_PROFILES: 'recurringProfiles',
+            PAYMENTS: 'payments',
+            INVOICE_VERSIONS: 'invoiceVersions',
+            NUMBER_SERIES: 'numberSeries',
             DRAFTS: 'drafts',
+            PARKED_BILLS: 'parkedBills',
             SETTINGS: 'settings',
             TEMPLATES: 'templates',
             BACKUP: 'backup',
@@ -151,32 +160,32 @@ class AppConstants {
             { id: 'other', name: 'Other', icon: '📦', color: '#6b7280' }
         ]);
 
-        // Units of Measurement
+        // Units of Measurement (uqc: GST unit quantity code)
         this.UNITS = Object.freeze({
             QUANTITY: [
-                { id: 'pcs', name: 'Pieces', symbol: 'pcs' },
-                { id: 'nos', name: 'Numbers', symbol: 'nos' },
-                { id: 'sets', name: 'Sets', symbol: 'sets' },
-                { id: 'pairs', name: 'Pairs', symbol: 'pairs' },
-                { id: 'dozen', name: 'Dozen', symbol: 'dzn' }
+                { id: 'pcs', name: 'Pieces', symbol: 'pcs', uqc: 'PCS' },
+                { id: 'nos', name: 'Numbers', symbol: 'nos', uqc: 'NOS' },
+                { id: 'sets', name: 'Sets', symbol: 'sets', uqc: 'SET' },
+                { id: 'pairs', name: 'Pairs', symbol: 'pairs', uqc: 'PRS' },
+                { id: 'dozen', name: 'Dozen', symbol: 'dzn', uqc: 'DOZ' }
             ],
             WEIGHT: [
-                { id: 'kg', name: 'Kilogram', symbol: 'kg' },
-                { id: 'gm', name: 'Gram', symbol: 'gm' },
-                { id: 'ton', name: 'Ton', symbol: 'ton' },
-                { id: 'lb', name: 'Pound', symbol: 'lb' },
-                { id: 'oz', name: 'Ounce', symbol: 'oz' }
+                { id: 'kg', name: 'Kilogram', symbol: 'kg', uqc: 'KGS' },
+                { id: 'gm', name: 'Gram', symbol: 'gm', uqc: 'GMS' },
+                { id: 'ton', name: 'Ton', symbol: 'ton', uqc: 'TON' },
+                { id: 'lb', name: 'Pound', symbol: 'lb', uqc: 'OTH' },
+                { id: 'oz', name: 'Ounce', symbol: 'oz', uqc: 'OTH' }
             ],
             VOLUME: [
-                { id: 'ltr', name: 'Liter', symbol: 'ltr' },
-                { id: 'ml', name: 'Milliliter', symbol: 'ml' },
-                { id: 'gal', name: 'Gallon', symbol: 'gal' }
+                { id: 'ltr', name: 'Liter', symbol: 'ltr', uqc: 'LTR' },
+                { id: 'ml', name: 'Milliliter', symbol: 'ml', uqc: 'MLT' },
+                { id: 'gal', name: 'Gallon', symbol: 'gal', uqc: 'UGS' }
             ],
             LENGTH: [
-                { id: 'm', name: 'Meter', symbol: 'm' },
-                { id: 'cm', name: 'Centimeter', symbol: 'cm' },
-                { id: 'ft', name: 'Feet', symbol: 'ft' },
-                { id: 'inch', name: 'Inch', symbol: 'inch' }
+                { id: 'm', name: 'Meter', symbol: 'm', uqc: 'MTR' },
+                { id: 'cm', name: 'Centimeter', symbol: 'cm', uqc: 'CMS' },
+                { id: 'ft', name: 'Feet', symbol: 'ft', uqc: 'OTH' },
+                { id: 'inch', name: 'Inch', symbol: 'inch', uqc: 'OTH' }
             ]
         });
 
@@ -191,6 +200,50 @@ class AppConstants {
             RETURNED: { id: 'returned', name: 'Returned', color: '#f59e0b', icon: '↩️' }
         });
 
+        // Statuses of issued invoices that count as sales and can carry a balance
+        this.RECEIVABLE_STATUSES = Object.freeze(['generated', 'sent', 'paid', 'overdue']);
+
+        // Legal invoice status transitions (from -> allowed next statuses)
+        this.INVOICE_STATUS_TRANSITIONS = Object.freeze({
+            draft: ['generated'],
+            generated: ['sent', 'paid', 'overdue', 'cancelled', 'returned'],
+            sent: ['paid', 'overdue', 'cancelled', 'returned'],
+            overdue: ['sent', 'paid', 'cancelled', 'returned'],
+            paid: ['generated', 'sent', 'overdue', 'cancelled', 'returned'],
+            cancelled: [],
+            returned: []
+        });
+
+        // Legal status transitions of estimates, challans and proformas, by bill type
+        this.DOCUMENT_STATUS_TRANSITIONS = Object.freeze({
+            estimate: Object.freeze({
+                draft: ['open'],
+                open: ['accepted', 'rejected', 'expired', 'converted'],
+                accepted: ['rejected', 'expired', 'converted'],
+                rejected: [],
+                expired: [],
+                converted: []
+            }),
+            delivery_challan: Object.freeze({
+                draft: ['dispatched'],
+                dispatched: ['invoiced'],
+                invoiced: []
+            }),
+            proforma: Object.freeze({
+                draft: ['issued'],
+                issued: ['converted'],
+                converted: []
+            })
+        });
+
+        // Payment Status (derived from recorded receipts)
+        this.PAYMENT_STATUS = Object.freeze({
+            UNPAID: { id: 'unpaid', name: 'Unpaid', color: '#ef4444', icon: '⏳' },
+            PARTIALLY_PAID: { id: 'partially_paid', name: 'Partially Paid', color: '#f59e0b', icon: '🌓' },
+            PAID: { id: 'paid', name: 'Paid', color: '#10b981', icon: '✅' },
+            OVERPAID: { id: 'overpaid', name: 'Overpaid', color: '#8b5cf6', icon: '➕' }
+        });
+
         // Payment Methods
         this.PAYMENT_METHODS = Object.freeze([
             { id: 'cash', name: 'Cash', icon: '💵', color: '#10b981' },
@@ -199,7 +252,24 @@ class AppConstants {
             { id: 'cheque', name: 'Cheque', icon: '📝', color: '#f59e0b' },
             { id: 'bank_transfer', name: 'Bank Transfer', icon: '🏦', color: '#06b6d4' },
             { id: 'wallet', name: 'Digital Wallet', icon: '📲', color: '#ec4899' },
-            { id: 'credit', name: 'Credit', icon: '💰', color: '#ef4444' }
+            { id: 'credit', name: 'Credit', icon: '💰', color: '#ef4444' },
+            { id: 'loyalty', name: 'Loyalty Points', icon: '🎁', color: '#f97316' }
+        ]);
+
+        // Transport Modes (code: e-way bill mode)
+        this.TRANSPORT_MODES = Object.freeze([
+            { id: 'road', name: 'Road', icon: '🚛', code: '1' },
+            { id: 'rail', name: 'Rail', icon: '🚆', code: '2' },
+            { id: 'air', name: 'Air', icon: '✈️', code: '3' },
+            { id: 'ship', name: 'Ship', icon: '🚢', code: '4' }
+        ]);
+
+        // Additional Charge Types (sac: default SAC code)
+        this.CHARGE_TYPES = Object.freeze([
+            { id: 'freight', name: 'Freight', sac: '996511' },
+            { id: 'packing', name: 'Packing', sac: '998540' },
+            { id: 'installation', name: 'Installation', sac: '998739' },
+            { id: 'other', name: 'Other Charges', sac: '' }
         ]);
 
         // Bill Types
@@ -239,9 +309,99 @@ class AppConstants {
                 requiresGST: false,
                 showHSN: true,
                 showTax: true
+            },
+            DELIVERY_CHALLAN: {
+                id: 'delivery_challan',
+                name: 'Delivery Challan',
+                description: 'Goods dispatch before billing',
+                icon: '🚚',
+                requiresGST: false,
+                showHSN: true,
+                showTax: false,
+                template: 'challan'
+            },
+            PROFORMA: {
+                id: 'proforma',
+                name: 'Proforma Invoice',
+                description: 'Advance bill before payment',
+                icon: '📑',
+                requiresGST: false,
+                showHSN: true,
+                showTax: true,
+                template: 'proforma'
             }
         });
 
+        // Supply Types (zero-rated supplies are always inter-state and charged IGST when taxed)
+        this.SUPPLY_TYPES = Object.freeze({
+            REGULAR: {
+                id: 'regular',
+                name: 'Regular',
+                zeroRated: false,
+                withPayment: true,
+                eInvoiceType: 'B2B',
+                gstrInvoiceType: 'R'
+            },
+            SEZ_WITH_PAYMENT: {
+                id: 'sez_with_payment',
+                name: 'SEZ Supply with Payment of IGST',
+                zeroRated: true,
+                withPayment: true,
+                eInvoiceType: 'SEZWP',
+                gstrInvoiceType: 'SEWP'
+            },
+            SEZ_WITHOUT_PAYMENT: {
+                id: 'sez_without_payment',
+                name: 'SEZ Supply under LUT/Bond',
+                zeroRated: true,
+                withPayment: false,
+                eInvoiceType: 'SEZWOP',
+                gstrInvoiceType: 'SEWOP'
+            },
+            EXPORT_WITH_PAYMENT: {
+                id: 'export_with_payment',
+                name: 'Export with Payment of IGST',
+                zeroRated: true,
+                withPayment: true,
+                isExport: true,
+                eInvoiceType: 'EXPWP',
+                gstrInvoiceType: 'WPAY'
+            },
+            EXPORT_WITHOUT_PAYMENT: {
+                id: 'export_without_payment',
+                name: 'Export under LUT/Bond',
+                zeroRated: true,
+                withPayment: false,
+                isExport: true,
+                eInvoiceType: 'EXPWOP',
+                gstrInvoiceType: 'WOPAY'
+            }
+        });
+
+        // Estimate Status (quotation lifecycle)
+        this.ESTIMATE_STATUS = Object.freeze({
+            DRAFT: { id: 'draft', name: 'Draft', color: '#64748b', icon: '📝' },
+            OPEN: { id: 'open', name: 'Awaiting Response', color: '#3b82f6', icon: '📨' },
+            ACCEPTED: { id: 'accepted', name: 'Accepted', color: '#10b981', icon: '👍' },
+            REJECTED: { id: 'rejected', name: 'Rejected', color: '#ef4444', icon: '👎' },
+            EXPIRED: { id: 'expired', name: 'Expired', color: '#6b7280', icon: '⌛' },
+            CONVERTED: { id: 'converted', name: 'Converted', color: '#8b5cf6', icon: '🔄' }
+        });
+
+        // Delivery Challan Status
+        this.CHALLAN_STATUS = Object.freeze({
+            DRAFT: { id: 'draft', name: 'Draft', color: '#64748b', icon: '📝' },
+            DISPATCHED: { id: 'dispatched', name: 'Dispatched', color: '#0f766e', icon: '🚚' },
+            INVOICED: { id: 'invoiced', name: 'Invoiced', color: '#10b981', icon: '🧾' }
+        });
+
+        // Proforma Invoice Status
+        this.PROFORMA_STATUS = Object.freeze({
+            DRAFT: { id: 'draft', name: 'Draft', color: '#64748b', icon: '📝' },
+            ISSUED: { id: 'issued', name: 'Issued', color: '#b45309', icon: '📨' },
+            CONVERTED: { id: 'converted', name: 'Converted', color: '#8b5cf6', icon: '🔄' }
+        });
+
         // PDF Templates
         this.TEMPLATES = Object.freeze({
             MODERN: {
@@ -278,6 +438,22 @@ class AppConstants {
                 description: 'Colorful, creative design for modern businesses',
                 preview: '🎭',
                 colors: { primary: '#7c3aed', secondary: '#64748b', accent: '#f59e0b' }
+            },
+            CHALLAN: {
+                id: 'challan',
+                name: 'Delivery Challan',
+                description: 'Dispatch document with quantities and no prices',
+                preview: '🚚',
+                billType: 'delivery_challan',
+                colors: { primary: '#0f766e', secondary: '#64748b', accent: '#14b8a6' }
+            },
+            PROFORMA: {
+                id: 'proforma',
+                name: 'Proforma Invoice',
+                description: 'Advance invoice requesting payment before supply',
+                preview: '📑',
+                billType: 'proforma',
+                colors: { primary: '#b45309', secondary: '#64748b', accent: '#f59e0b' }
             }
         });
 
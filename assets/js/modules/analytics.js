@@ -25,7 +25,8 @@ class Analytics {
             CUSTOMER: 'customer',
             PROFIT_LOSS: 'profit_loss',
             TAX: 'tax',
-            DAILY_CLOSURE: 'daily_closure'
+            DAILY_CLOSURE: 'daily_closure',
+            AR_AGING: 'ar_aging'
         };
         
         // Date ranges for reports
@@ -42,6 +43,18 @@ class Analytics {
             LAST_YEAR: 'last_year',
             CUSTOM: 'custom'
         };
+
+        // Inter-state B2C invoices above this value are reported individually (GSTR-1 B2CL)
+        this.b2clThreshold = 100000;
+
+        // Receivable aging buckets by days past due (null = no lower or upper limit)
+        this.agingBuckets = [
+            { key: 'current', label: 'Not yet due', min: null, max: 0 },
+            { key: 'days1to30', label: '1-30 days', min: 1, max: 30 },
+            { key: 'days31to60', label: '31-60 days', min: 31, max: 60 },
+            { key: 'days61to90', label: '61-90 days', min: 61, max: 90 },
+            { key: 'days90plus', label: '90+ days', min: 91, max: null }
+        ];
         
         // Load analytics data
         this.loadAnalyticsData();
@@ -126,7 +139,7 @@ class Analytics {
             const { dateRange = 'this_month', startDate, endDate } = options;
             const invoices = this.getInvoicesInDateRange(dateRange, startDate, endDate);
             
-            const paidInvoices = invoices.filter(inv => inv.status === 'paid' || inv.status === 'generated');
+            const paidInvoices = invoices.filter(inv => AppConstants.RECEIVABLE_STATUSES.includes(inv.status));
             
             // Basic metrics
             const totalRevenue = paidInvoices.reduce((sum, inv) => sum + (inv.totals?.grandTotal || 0), 0);
@@ -312,7 +325,7 @@ class Analytics {
             const invoices = this.getInvoicesInDateRange(dateRange, startDate, endDate);
             
             const revenue = invoices
-                .filter(inv => inv.status === 'paid' || inv.status === 'generated')
+                .filter(inv => AppConstants.RECEIVABLE_STATUSES.includes(inv.status))
                 .reduce((sum, inv) => sum + (inv.totals?.grandTotal || 0), 0);
             
             // Get expenses (placeholder - would need expense tracking)
@@ -350,6 +363,203 @@ class Analytics {
         }
     }
 
+    /**
+     * Generate promotion campaign report
+     * @param {Object} options - Report options
+     * @returns {Object} Campaign effectiveness per promotion
+     */
+    generatePromotionReport(options = {}) {
+        try {
+            const { dateRange = 'this_month', startDate, endDate } = options;
+            const invoices = this.getInvoicesInDateRange(dateRange, startDate, endDate)
+                .filter(inv => inv.status !== 'draft' && inv.status !== 'cancelled' && inv.billType !== 'delivery_challan');
+
+            const campaigns = {};
+            let promoRevenue = 0;
+            let promoInvoices = 0;
+            let otherRevenue = 0;
+            let otherInvoices = 0;
+
+            invoices.forEach(invoice => {
+                const revenue = invoice.totals?.grandTotal || 0;
+                const applied = invoice.promotions || [];
+
+                if (applied.length === 0) {
+                    otherRevenue += revenue;
+                    otherInvoices++;
+                    return;
+                }
+
+                promoRevenue += revenue;
+                promoInvoices++;
+
+                applied.forEach(promo => {
+                    if (!campaigns[promo.promotionId]) {
+                        const promotion = window.PromotionManager?.getPromotionById(promo.promotionId);
+                        campaigns[promo.promotionId] = {
+                            promotionId: promo.promotionId,
+                            name: promo.name,
+                            type: promo.type,
+                            couponCode: promo.couponCode || '',
+                            usageLimit: promotion?.usageLimit || null,
+                            usageCount: promotion?.usageCount || 0,
+                            invoiceCount: 0,
+                            discountGiven: 0,
+                            freeQuantity: 0,
+                            revenue: 0,
+                            customers: new Set()
+                        };
+                    }
+
+                    const campaign = campaigns[promo.promotionId];
+                    campaign.invoiceCount++;
+                    campaign.discountGiven += promo.discount || 0;
+                    campaign.freeQuantity += promo.freeQuantity || 0;
+                    campaign.revenue += revenue;
+                    if (invoice.customerId) {
+                        campaign.customers.add(invoice.customerId);
+                    }
+                });
+            });
+
+            const byPromotion = Object.values(campaigns).map(campaign => ({
+                ...campaign,
+                customers: campaign.customers.size,
+                discountGiven: Math.round(campaign.discountGiven * 100) / 100,
+                revenue: Math.round(campaign.revenue * 100) / 100,
+                averageOrderValue: Math.round((campaign.revenue / campaign.invoiceCount) * 100) / 100,
+                discountToRevenue: campaign.revenue > 0 ? (campaign.discountGiven / campaign.revenue) * 100 : 0,
+                usageRemaining: campaign.usageLimit ? Math.max(0, campaign.usageLimit - campaign.usageCount) : null
+            })).sort((a, b) => b.revenue - a.revenue);
+
+            const totalDiscount = byPromotion.reduce((sum, campaign) => sum + campaign.discountGiven, 0);
+            const promoAverage = promoInvoices > 0 ? promoRevenue / promoInvoices : 0;
+            const otherAverage = otherInvoices > 0 ? otherRevenue / otherInvoices : 0;
+
+            return {
+                summary: {
+                    invoicesWithPromotions: promoInvoices,
+                    invoicesWithoutPromotions: otherInvoices,
+                    promotionRevenue: promoRevenue,
+                    totalDiscount,
+                    discountToRevenue: promoRevenue > 0 ? (totalDiscount / promoRevenue) * 100 : 0,
+                    averageOrderValue: {
+                        withPromotion: promoAverage,
+                        withoutPromotion: otherAverage,
+                        uplift: otherAverage > 0 ? ((promoAverage - otherAverage) / otherAverage) * 100 : 0
+                    }
+                },
+                byPromotion,
+                dateRange: {
+                    type: dateRange,
+                    startDate: this.getDateRangeStart(dateRange, startDate),
+                    endDate: this.getDateRangeEnd(dateRange, endDate)
+                }
+            };
+        } catch (error) {
+            console.error('Failed to generate promotion report:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate accounts receivable aging report
+     * Balances not yet past their due date are kept apart in the current bucket
+     * @param {Object} options - Report options (businessId, asOf)
+     * @returns {Object} Outstanding balances by aging bucket, per customer and in total
+     */
+    generateAgingReport(options = {}) {
+        try {
+            const { businessId = null, asOf = new Date().toISOString().split('T')[0] } = options;
+            const paymentManager = window.PaymentManager;
+            const asOfTime = new Date(asOf).getTime();
+
+            const emptyBuckets = () => Object.fromEntries(this.agingBuckets.map(bucket => [bucket.key, 0]));
+            const round = value => Math.round(value * 100) / 100;
+
+            const invoices = [];
+            this.dataManager.getInvoices()
+                .filter(inv => AppConstants.RECEIVABLE_STATUSES.includes(inv.status) &&
+                    inv.billType !== 'delivery_challan' &&
+                    (!businessId || inv.businessId === businessId))
+                .forEach(inv => {
+                    const balance = paymentManager
+                        ? paymentManager.getAmountDue(inv) - paymentManager.getAmountPaid(inv.id)
+                        : (inv.balanceDue ?? inv.totals?.grandTotal ?? 0);
+
+                    if (balance < 0.01) return;
+
+                    const dueDate = inv.dueDate || inv.invoiceDate;
+                    const daysPastDue = Math.floor((asOfTime - new Date(dueDate).getTime()) / (24 * 60 * 60 * 1000));
+                    const bucket = this.agingBuckets.find(b => (b.min === null || daysPastDue >= b.min) &&
+                        (b.max === null || daysPastDue <= b.max));
+
+                    invoices.push({
+                        invoiceId: inv.id,
+                        invoiceNumber: inv.invoiceNumber,
+                        customerId: inv.customerId || null,
+                        customerName: this.customerManager.getCustomerById(inv.customerId)?.name ||
+                            inv.customerData?.name || 'Walk-in customer',
+                        invoiceDate: inv.invoiceDate,
+                        dueDate,
+                        daysPastDue: Math.max(0, daysPastDue),
+                        bucket: bucket.key,
+                        paymentStatus: inv.paymentStatus || 'unpaid',
+                        balance: round(balance)
+                    });
+                });
+
+            const customers = {};
+            const totals = { ...emptyBuckets(), total: 0, invoiceCount: 0 };
+
+            invoices.forEach(entry => {
+                const key = entry.customerId || `walkin_${entry.customerName}`;
+                if (!customers[key]) {
+                    customers[key] = {
+                        customerId: entry.customerId,
+                        customerName: entry.customerName,
+                        ...emptyBuckets(),
+                        total: 0,
+                        invoiceCount: 0,
+                        oldestDueDate: entry.dueDate
+                    };
+                }
+
+                const customer = customers[key];
+                customer[entry.bucket] += entry.balance;
+                customer.total += entry.balance;
+                customer.invoiceCount++;
+                if (entry.dueDate < customer.oldestDueDate) {
+                    customer.oldestDueDate = entry.dueDate;
+                }
+
+                totals[entry.bucket] += entry.balance;
+                totals.total += entry.balance;
+                totals.invoiceCount++;
+            });
+
+            const roundAmounts = row => {
+                this.agingBuckets.forEach(bucket => {
+                    row[bucket.key] = round(row[bucket.key]);
+                });
+                row.total = round(row.total);
+                return row;
+            };
+
+            return {
+                asOf,
+                businessId,
+                buckets: this.agingBuckets.map(({ key, label }) => ({ key, label })),
+                summary: roundAmounts(totals),
+                byCustomer: Object.values(customers).map(roundAmounts).sort((a, b) => b.total - a.total),
+                invoices: invoices.sort((a, b) => b.daysPastDue - a.daysPastDue)
+            };
+        } catch (error) {
+            console.error('Failed to generate aging report:', error);
+            throw error;
+        }
+    }
+
     /**
      * Generate tax report
      * @param {Object} options - Report options
@@ -361,40 +571,59 @@ class Analytics {
             const invoices = this.getInvoicesInDateRange(dateRange, startDate, endDate);
             
             const taxInvoices = invoices.filter(inv => 
-                (inv.status === 'paid' || inv.status === 'generated') && 
+                [...AppConstants.RECEIVABLE_STATUSES, 'returned'].includes(inv.status) && 
                 inv.billType === 'tax_invoice'
             );
             
-            const taxSummary = taxInvoices.reduce((acc, inv) => {
-                const totals = inv.totals || {};
+            // Credit notes reduce and debit notes raise the tax liability of the period they are issued in
+            const creditNotes = this.getNotesInDateRange(this.dataManager.getCreditNotes(), dateRange, startDate, endDate);
+            const debitNotes = this.getNotesInDateRange(this.dataManager.getDebitNotes(), dateRange, startDate, endDate);
+            const taxDocuments = [...taxInvoices, ...creditNotes, ...debitNotes];
+            
+            // Tax on reverse charge supplies is the recipient's liability, so it is reported separately
+            const taxSummary = taxDocuments.reduce((acc, doc) => {
+                const totals = doc.totals || {};
+                const sign = this.getTaxSign(doc);
+                const taxSign = doc.reverseCharge ? 0 : sign;
                 return {
-                    taxableValue: acc.taxableValue + (totals.taxableAmount || 0),
-                    cgst: acc.cgst + (totals.cgst || 0),
-                    sgst: acc.sgst + (totals.sgst || 0),
-                    igst: acc.igst + (totals.igst || 0),
-                    totalTax: acc.totalTax + (totals.totalTax || 0)
+                    taxableValue: acc.taxableValue + sign * (totals.taxableAmount || 0),
+                    cgst: acc.cgst + taxSign * (totals.cgst || 0),
+                    sgst: acc.sgst + taxSign * (totals.sgst || 0),
+                    igst: acc.igst + taxSign * (totals.igst || 0),
+                    cess: acc.cess + taxSign * (totals.cess || 0),
+                    totalTax: acc.totalTax + taxSign * (totals.totalTax || 0),
+                    reverseChargeTax: acc.reverseChargeTax + sign * (totals.reverseChargeTax || 0),
+                    zeroRatedValue: acc.zeroRatedValue + sign * (totals.zeroRatedAmount || 0)
                 };
             }, {
                 taxableValue: 0,
                 cgst: 0,
                 sgst: 0,
                 igst: 0,
-                totalTax: 0
+                cess: 0,
+                totalTax: 0,
+                reverseChargeTax: 0,
+                zeroRatedValue: 0
             });
             
             // Tax rate wise breakdown
-            const taxRateBreakdown = this.getTaxRateBreakdown(taxInvoices);
+            const taxRateBreakdown = this.getTaxRateBreakdown(taxDocuments);
             
             // HSN wise summary
-            const hsnSummary = this.getHSNwiseSummary(taxInvoices);
+            const hsnSummary = this.getHSNwiseSummary(taxDocuments);
             
             return {
                 summary: taxSummary,
                 breakdown: {
                     byTaxRate: taxRateBreakdown,
-                    byHSN: hsnSummary
+                    byHSN: hsnSummary,
+                    bySupplyType: this.getSupplyTypeBreakdown(taxDocuments),
+                    byGSTRSection: this.getGSTRSectionBreakdown(taxDocuments)
                 },
+                entries: taxDocuments.map(doc => this.getTaxEntry(doc)),
                 invoiceCount: taxInvoices.length,
+                creditNoteCount: creditNotes.length,
+                debitNoteCount: debitNotes.length,
                 dateRange: {
                     type: dateRange,
                     startDate: this.getDateRangeStart(dateRange, startDate),
@@ -425,7 +654,10 @@ class Analytics {
                 return invDate >= startDate && invDate <= endDate;
             });
             
-            const paidInvoices = invoices.filter(inv => inv.status === 'paid' || inv.status === 'generated');
+            const paidInvoices = invoices.filter(inv => AppConstants.RECEIVABLE_STATUSES.includes(inv.status));
+            
+            // Money actually received today, whichever day it was billed
+            const receipts = this.getReceiptsInRange(startDate, endDate);
             
             // Sales summary
             const salesSummary = {
@@ -436,7 +668,7 @@ class Analytics {
             };
             
             // Payment method breakdown
-            const paymentBreakdown = this.getPaymentMethodBreakdown(paidInvoices);
+            const paymentBreakdown = this.sumReceiptsByMethod(receipts);
             
             // Hourly sales distribution
             const hourlySales = this.getHourlySales(paidInvoices);
@@ -448,6 +680,10 @@ class Analytics {
                 date: date.toISOString().split('T')[0],
                 sales: salesSummary,
                 payments: paymentBreakdown,
+                collections: {
+                    total: receipts.reduce((sum, p) => sum + p.amount, 0),
+                    receiptCount: receipts.length
+                },
                 trends: {
                     hourlySales
                 },
@@ -457,7 +693,7 @@ class Analytics {
                 invoices: {
                     generated: invoices.length,
                     paid: paidInvoices.length,
-                    pending: invoices.filter(inv => inv.status === 'pending').length
+                    pending: paidInvoices.filter(inv => inv.paymentStatus !== 'paid' && inv.paymentStatus !== 'overpaid').length
                 }
             };
         } catch (error) {
@@ -630,6 +866,210 @@ class Analytics {
         });
     }
 
+    /**
+     * Helper method to get credit or debit notes in date range
+     * @param {Array} notes - Notes to filter
+     * @param {string} dateRange - Date range type
+     * @param {string} startDate - Custom start date
+     * @param {string} endDate - Custom end date
+     * @returns {Array} Filtered notes
+     */
+    getNotesInDateRange(notes, dateRange, startDate, endDate) {
+        const start = this.getDateRangeStart(dateRange, startDate);
+        const end = this.getDateRangeEnd(dateRange, endDate);
+        
+        return notes.filter(note => {
+            const noteDate = new Date(note.noteDate);
+            return note.status !== 'cancelled' && noteDate >= start && noteDate <= end;
+        });
+    }
+
+    /**
+     * Get the sign a document carries in tax reporting
+     * @param {Object} doc - Invoice or note
+     * @returns {number} 1 for liabilities, -1 for reductions
+     */
+    getTaxSign(doc) {
+        return doc.documentType === 'credit_note' ? -1 : 1;
+    }
+
+    /**
+     * Build a signed tax report entry for a document
+     * @param {Object} doc - Invoice or note
+     * @returns {Object} Tax entry
+     */
+    getTaxEntry(doc) {
+        const totals = doc.totals || {};
+        const sign = this.getTaxSign(doc);
+        return {
+            documentType: doc.documentType || 'invoice',
+            documentNumber: doc.creditNoteNumber || doc.debitNoteNumber || doc.invoiceNumber,
+            documentDate: doc.noteDate || doc.invoiceDate,
+            referenceNumber: doc.originalInvoiceNumber || '',
+            customerName: doc.customerData?.name || '',
+            customerGstin: doc.customerData?.gstin || '',
+            placeOfSupply: doc.placeOfSupply || '',
+            supplyType: doc.supplyType || 'regular',
+            reverseCharge: doc.reverseCharge === true,
+            gstrSection: this.getGSTRSection(doc),
+            gstrInvoiceType: this.getSupplyTypeConfig(doc).gstrInvoiceType || 'R',
+            lutReference: doc.lutReference || '',
+            taxableValue: sign * (totals.taxableAmount || 0),
+            cgst: sign * (totals.cgst || 0),
+            sgst: sign * (totals.sgst || 0),
+            igst: sign * (totals.igst || 0),
+            cess: sign * (totals.cess || 0),
+            totalTax: sign * (totals.totalTax || 0),
+            total: sign * (totals.grandTotal || 0)
+        };
+    }
+
+    /**
+     * Get supply type configuration of a document
+     * @param {Object} doc - Invoice or note
+     * @returns {Object} Supply type from AppConstants.SUPPLY_TYPES
+     */
+    getSupplyTypeConfig(doc) {
+        return Object.values(window.AppConstants?.SUPPLY_TYPES || {})
+            .find(type => type.id === (doc.supplyType || 'regular')) || {};
+    }
+
+    /**
+     * Get GSTR-1 section a document is reported in
+     * @param {Object} doc - Invoice or note
+     * @returns {string} Section (b2b, b2cl, b2cs, exp, cdnr, cdnur)
+     */
+    getGSTRSection(doc) {
+        const isRegistered = !!doc.customerData?.gstin;
+
+        if (doc.documentType === 'credit_note' || doc.documentType === 'debit_note') {
+            return isRegistered ? 'cdnr' : 'cdnur';
+        }
+
+        if (this.getSupplyTypeConfig(doc).isExport) return 'exp';
+        if (isRegistered) return 'b2b';
+
+        const businessState = this.businessManager.getBusinessById(doc.businessId)?.stateCode;
+        const isInterState = !!doc.placeOfSupply && !!businessState && doc.placeOfSupply !== businessState;
+
+        return isInterState && (doc.totals?.grandTotal || 0) > this.b2clThreshold ? 'b2cl' : 'b2cs';
+    }
+
+    /**
+     * Get supply type wise breakdown
+     * @param {Array} documents - Invoices and notes
+     * @returns {Object} Breakdown keyed by supply type (reverse charge kept apart)
+     */
+    getSupplyTypeBreakdown(documents) {
+        return this.groupTaxDocuments(documents, doc =>
+            (doc.reverseCharge ? 'reverse_charge' : (doc.supplyType || 'regular')));
+    }
+
+    /**
+     * Get GSTR-1 section wise breakdown
+     * @param {Array} documents - Invoices and notes
+     * @returns {Object} Breakdown keyed by GSTR-1 section
+     */
+    getGSTRSectionBreakdown(documents) {
+        return this.groupTaxDocuments(documents, doc => this.getGSTRSection(doc));
+    }
+
+    /**
+     * Sum signed document totals by group
+     * @param {Array} documents - Invoices and notes
+     * @param {Function} keyFn - Returns the group of a document
+     * @returns {Object} Totals keyed by group
+     */
+    groupTaxDocuments(documents, keyFn) {
+        const groups = {};
+
+        documents.forEach(doc => {
+            const key = keyFn(doc);
+            const totals = doc.totals || {};
+            const sign = this.getTaxSign(doc);
+
+            if (!groups[key]) {
+                groups[key] = { count: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, cess: 0, totalTax: 0 };
+            }
+
+            groups[key].count += 1;
+            groups[key].taxableValue += sign * (totals.taxableAmount || 0);
+            groups[key].cgst += sign * (totals.cgst || 0);
+            groups[key].sgst += sign * (totals.sgst || 0);
+            groups[key].igst += sign * (totals.igst || 0);
+            groups[key].cess += sign * (totals.cess || 0);
+            groups[key].totalTax += sign * (totals.totalTax || 0);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Get taxable lines of a document: items plus charges billed under SAC codes
+     * @param {Object} doc - Invoice or note
+     * @returns {Array} Items and charges
+     */
+    getTaxLines(doc) {
+        return [...(doc.items || []), ...(doc.charges || [])];
+    }
+
+    /**
+     * Get tax rate wise breakdown
+     * @param {Array} documents - Invoices and notes
+     * @returns {Object} Breakdown keyed by tax rate
+     */
+    getTaxRateBreakdown(documents) {
+        const breakdown = {};
+        
+        documents.forEach(doc => {
+            const sign = this.getTaxSign(doc);
+            this.getTaxLines(doc).forEach(item => {
+                const rate = item.taxRate || 0;
+                if (!breakdown[rate]) {
+                    breakdown[rate] = { taxRate: rate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, cess: 0, totalTax: 0 };
+                }
+                
+                breakdown[rate].taxableValue += sign * (item.taxableAmount || 0);
+                breakdown[rate].cgst += sign * (item.cgst || 0);
+                breakdown[rate].sgst += sign * (item.sgst || 0);
+                breakdown[rate].igst += sign * (item.igst || 0);
+                breakdown[rate].cess += sign * (item.cess || 0);
+                breakdown[rate].totalTax += sign * (item.totalTax || 0);
+            });
+        });
+        
+        return breakdown;
+    }
+
+    /**
+     * Get HSN wise summary
+     * @param {Array} documents - Invoices and notes
+     * @returns {Array} HSN summary rows
+     */
+    getHSNwiseSummary(documents) {
+        const summary = {};
+        
+        documents.forEach(doc => {
+            const sign = this.getTaxSign(doc);
+            this.getTaxLines(doc).forEach(item => {
+                const hsn = item.hsn || item.sac || 'N/A';
+                if (!summary[hsn]) {
+                    summary[hsn] = { hsn, description: item.name, unit: item.unit || ('sac' in item ? 'NA' : 'pcs'), quantity: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, cess: 0, totalTax: 0 };
+                }
+                
+                summary[hsn].quantity += sign * (item.quantity || 0);
+                summary[hsn].taxableValue += sign * (item.taxableAmount || 0);
+                summary[hsn].cgst += sign * (item.cgst || 0);
+                summary[hsn].sgst += sign * (item.sgst || 0);
+                summary[hsn].igst += sign * (item.igst || 0);
+                summary[hsn].cess += sign * (item.cess || 0);
+                summary[hsn].totalTax += sign * (item.totalTax || 0);
+            });
+        });
+        
+        return Object.values(summary);
+    }
+
     /**
      * Get date range start date
      * @param {string} dateRange - Date range type
@@ -702,7 +1142,7 @@ class Analytics {
         const grouped = {};
         
         invoices.forEach(inv => {
-            if (inv.status !== 'paid' && inv.status !== 'generated') return;
+            if (!AppConstants.RECEIVABLE_STATUSES.includes(inv.status)) return;
             
             const date = new Date(inv.invoiceDate);
             let key;
@@ -738,7 +1178,7 @@ class Analytics {
         const salesByCategory = {};
         
         invoices.forEach(inv => {
-            if (inv.status !== 'paid' && inv.status !== 'generated') return;
+            if (!AppConstants.RECEIVABLE_STATUSES.includes(inv.status)) return;
             
             inv.items?.forEach(item => {
                 const category = item.category || 'Uncategorized';
@@ -755,16 +1195,57 @@ class Analytics {
      * @returns {Object} Payment method breakdown
      */
     getPaymentMethodBreakdown(invoices) {
-        const paymentMethods = {};
+        const invoiceIds = new Set(invoices.map(inv => inv.id));
+        const receipts = this.dataManager.getPayments()
+            .filter(p => p.status !== 'void' && invoiceIds.has(p.invoiceId));
+        
+        return this.sumReceiptsByMethod(receipts);
+    }
+
+    /**
+     * Get sales distribution by hour of day
+     * @param {Array} invoices - Invoice array
+     * @returns {Object} Sales keyed by hour (0-23)
+     */
+    getHourlySales(invoices) {
+        const hourlySales = {};
         
         invoices.forEach(inv => {
-            const method = inv.paymentMethod || 'cash';
-            paymentMethods[method] = (paymentMethods[method] || 0) + (inv.totals?.grandTotal || 0);
+            const hour = new Date(inv.generatedAt || inv.createdAt).getHours();
+            hourlySales[hour] = (hourlySales[hour] || 0) + (inv.totals?.grandTotal || 0);
+        });
+        
+        return hourlySales;
+    }
+
+    /**
+     * Sum payment receipts by method
+     * @param {Array} receipts - Payment receipts
+     * @returns {Object} Amount received per payment method
+     */
+    sumReceiptsByMethod(receipts) {
+        const paymentMethods = {};
+        
+        receipts.forEach(payment => {
+            paymentMethods[payment.method] = (paymentMethods[payment.method] || 0) + payment.amount;
         });
         
         return paymentMethods;
     }
 
+    /**
+     * Get payment receipts dated within a range
+     * @param {Date} startDate - Range start
+     * @param {Date} endDate - Range end
+     * @returns {Array} Payment receipts
+     */
+    getReceiptsInRange(startDate, endDate) {
+        return this.dataManager.getPayments().filter(p => {
+            const paymentDate = new Date(p.date);
+            return p.status !== 'void' && paymentDate >= startDate && paymentDate <= endDate;
+        });
+    }
+
     /**
      * Get top products
      * @param {Array} invoices - Invoice array
@@ -822,7 +1303,7 @@ class Analytics {
     calculateGrowthMetrics(invoices, dateRange) {
         // Get previous period data for comparison
         const currentRevenue = invoices
-            .filter(inv => inv.status === 'paid' || inv.status === 'generated')
+            .filter(inv => AppConstants.RECEIVABLE_STATUSES.includes(inv.status))
             .reduce((sum, inv) => sum + (inv.totals?.grandTotal || 0), 0);
         
         // This is a simplified implementation
@@ -861,6 +1342,22 @@ class Analytics {
         }
     }
 
+    /**
+     * Export aging report with one row per customer and a totals row
+     * @param {string} format - Export format (csv or json)
+     * @param {Object} options - Aging report options (businessId, asOf)
+     * @returns {string} Exported data
+     */
+    exportAgingReport(format = 'csv', options = {}) {
+        const report = this.generateAgingReport(options);
+        const rows = [
+            ...report.byCustomer,
+            { customerId: '', customerName: 'Total', ...report.summary, oldestDueDate: '' }
+        ];
+
+        return this.exportAnalyticsData(format, rows);
+    }
+
     /**
      * Convert data to CSV format
      * @param {Object} data - Data to convert
@@ -875,7 +1372,8 @@ class Analytics {
             data.forEach(row => {
                 const values = headers.map(header => {
                     const value = row[header];
-                    return typeof value === 'string' ? `"${value}"` : value;
+                    if (value === null || value === undefined) return '';
+                    return typeof value === 'string' ? `"${value.replace(/"/g, '""')}"` : value;
                 });
                 csvRows.push(values.join(','));
             });
@@ -96,8 +96,17 @@ class BackupManager {
                     businesses: this.dataManager.getItem('businesses') || [],
                     customers: this.dataManager.getItem('customers') || [],
                     products: this.dataManager.getItem('products') || [],
+                    priceLists: this.dataManager.getItem('priceLists') || [],
+                    promotions: this.dataManager.getItem('promotions') || [],
                     invoices: this.dataManager.getItem('invoices') || [],
+                    creditNotes: this.dataManager.getItem('creditNotes') || [],
+                    debitNotes: this.dataManager.getItem('debitNotes') || [],
+                    recurringProfiles: this.dataManager.getItem('recurringProfiles') || [],
+                    payments: this.dataManager.getItem('payments') || [],
+                    invoiceVersions: this.dataManager.getItem('invoiceVersions') || [],
+                    numberSeries: this.dataManager.getItem('numberSeries') || {},
                     drafts: this.dataManager.getItem('drafts') || [],
+                    parkedBills: this.dataManager.getItem('parkedBills') || [],
                     templates: this.dataManager.getItem('templates') || [],
                     settings: this.dataManager.getItem('settings') || {},
                     counters: this.dataManager.getItem('counters') || {},
@@ -192,9 +201,16 @@ class BackupManager {
                         break;
                     case this.dataTypes.PRODUCTS:
                         backupData.data.products = this.dataManager.getItem('products') || [];
+                        backupData.data.priceLists = this.dataManager.getItem('priceLists') || [];
+                        backupData.data.promotions = this.dataManager.getItem('promotions') || [];
                         break;
                     case this.dataTypes.INVOICES:
                         backupData.data.invoices = this.dataManager.getItem('invoices') || [];
+                        backupData.data.creditNotes = this.dataManager.getItem('creditNotes') || [];
+                        backupData.data.debitNotes = this.dataManager.getItem('debitNotes') || [];
+                        backupData.data.payments = this.dataManager.getItem('payments') || [];
+                        backupData.data.invoiceVersions = this.dataManager.getItem('invoiceVersions') || [];
+                        backupData.data.numberSeries = this.dataManager.getItem('numberSeries') || {};
                         break;
                     case this.dataTypes.SETTINGS:
                         backupData.data.settings = this.dataManager.getItem('settings') || {};
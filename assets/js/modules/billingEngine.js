@@ -22,10 +22,23 @@ class BillingEngine {
         this.openInvoices = new Map();
         this.activeInvoiceId = null;
         
+        // Bills parked at the counter, kept across reloads
+        this.parkedBills = [];
+        this.loadParkedBills();
+        
         // Bulk entry mode
         this.bulkEntryMode = false;
         this.bulkItems = [];
         
+        // Pending amendment of a generated invoice
+        this.amendment = null;
+        
+        // Undo/redo stacks per invoice
+        this.editHistory = new Map();
+        
+        // Customer's invoices for the TDS/TCS threshold, refreshed when customer or financial year changes
+        this.withholdingHistory = null;
+        
         // Tax calculation settings
         this.taxSettings = this.initializeTaxSettings();
         
@@ -64,15 +77,24 @@ class BillingEngine {
         return {
             subtotal: 0,
             discountAmount: 0,
+            discountType: 'percentage',
             discountPercent: 0,
+            invoiceDiscount: 0,
             taxableAmount: 0,
             cgst: 0,
             sgst: 0,
             igst: 0,
+            cess: 0,
             totalTax: 0,
+            reverseChargeTax: 0,
+            zeroRatedAmount: 0,
             additionalCharges: 0,
+            charges: [],
             roundOff: 0,
             grandTotal: 0,
+            tds: 0,
+            tcs: 0,
+            netReceivable: 0,
             totalQuantity: 0,
             totalItems: 0
         };
@@ -90,9 +112,16 @@ class BillingEngine {
                 throw new Error('No active business profile found');
             }
 
+            if (this.multiBillMode) {
+                this.checkMultiBillLimit();
+            }
+
+            const billType = invoiceData.billType || 'tax_invoice';
+            const billTypeConfig = this.getBillTypeConfig(billType);
+
             const newInvoice = {
                 id: this.generateInvoiceId(),
-                invoiceNumber: invoiceData.invoiceNumber || await this.generateInvoiceNumber(),
+                invoiceNumber: invoiceData.invoiceNumber || this.dataManager.generateDraftNumber(),
                 businessId: currentBusiness.id,
                 customerId: invoiceData.customerId || null,
                 customerData: invoiceData.customerData || {},
@@ -101,10 +130,26 @@ class BillingEngine {
                 invoiceDate: invoiceData.invoiceDate || new Date().toISOString().split('T')[0],
                 dueDate: invoiceData.dueDate || this.calculateDueDate(),
                 placeOfSupply: invoiceData.placeOfSupply || currentBusiness.stateCode || '24',
+                supplyType: invoiceData.supplyType || 'regular',
+                reverseCharge: invoiceData.reverseCharge === true,
+                lutReference: invoiceData.lutReference || '',
+                
+                // TDS/TCS: section ID, 'none' to opt out, or null to use the customer's default
+                withholdingSection: invoiceData.withholdingSection || null,
+                withholdingRate: invoiceData.withholdingRate ?? null,
+                withholding: null,
+                
+                // Promotions re-evaluated as items change
+                couponCodes: invoiceData.couponCodes || [],
+                promotions: [],
+                
+                // Freight, packing and other charges, each taxed under its SAC code
+                charges: [],
                 
                 // Bill type and settings
-                billType: invoiceData.billType || 'tax_invoice',
-                template: invoiceData.template || currentBusiness.settings?.invoiceTemplate || 'modern',
+                billType: billType,
+                template: invoiceData.template || billTypeConfig?.template || currentBusiness.settings?.invoiceTemplate || 'modern',
+                taxCalculation: invoiceData.taxCalculation || currentBusiness.settings?.taxCalculation || this.taxSettings.taxCalculationType,
                 
                 // Invoice items and calculations
                 items: [],
@@ -112,7 +157,7 @@ class BillingEngine {
                 
                 // Payment details
                 paymentMethod: invoiceData.paymentMethod || 'cash',
-                paymentStatus: 'pending',
+                paymentStatus: 'unpaid',
                 paymentTerms: invoiceData.paymentTerms || 'Payment due within 30 days',
                 
                 // Additional details
@@ -125,7 +170,7 @@ class BillingEngine {
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString(),
                 createdBy: 'user', // In future, can be actual user ID
-                version: '1.0.0',
+                version: 1,
                 
                 // Multi-currency support
                 currency: currentBusiness.currency || 'INR',
@@ -142,6 +187,19 @@ class BillingEngine {
             this.invoiceItems = [];
             this.invoiceTotals = this.getInitialTotals();
 
+            // Quotations and proformas are valid for a limited period from their date
+            if (billType === 'estimate' || billType === 'proforma') {
+                newInvoice.validUntil = invoiceData.validUntil || 
+                    this.calculateDueDate(window.AppConfig?.billing?.estimateValidityDays || 15);
+            }
+
+            // Challans record dispatch details and may move stock out on issue
+            if (billType === 'delivery_challan') {
+                newInvoice.moveStock = invoiceData.moveStock ?? currentBusiness.settings?.challanMovesStock ?? true;
+                newInvoice.challanReason = invoiceData.challanReason || 'Supply on approval';
+                newInvoice.transport = invoiceData.transport || {};
+            }
+
             // Add to multi-bill if enabled
             if (this.multiBillMode) {
                 this.openInvoices.set(newInvoice.id, newInvoice);
@@ -214,21 +272,28 @@ class BillingEngine {
 
             // Get product details if productId provided
             let productDetails = {};
+            const quantity = parseFloat(itemData.quantity) || 1;
             if (itemData.productId) {
                 const product = this.productManager.getProductById(itemData.productId);
                 if (product) {
+                    const pricing = this.resolveItemRate(product, quantity);
                     productDetails = {
                         name: product.name,
                         description: product.description,
                         hsn: product.hsn,
                         unit: product.unit || 'pcs',
-                        rate: product.price,
+                        rate: pricing.rate,
+                        pricingRule: pricing.rule,
                         taxRate: product.taxRate || 0,
+                        cessRate: product.cessRate || 0,
+                        cessPerUnit: product.cessPerUnit || 0,
                         category: product.category
                     };
                 }
             }
 
+            const previousState = this.captureEditState();
+
             // Create new item
             const newItem = {
                 id: this.generateItemId(),
@@ -237,15 +302,21 @@ class BillingEngine {
                 description: itemData.description || productDetails.description || '',
                 hsn: itemData.hsn || productDetails.hsn || '',
                 unit: itemData.unit || productDetails.unit || 'pcs',
-                quantity: parseFloat(itemData.quantity) || 1,
+                quantity,
                 rate: parseFloat(itemData.rate) || productDetails.rate || 0,
+                pricingRule: parseFloat(itemData.rate) ? this.getManualPricingRule() : productDetails.pricingRule || null,
                 taxRate: parseFloat(itemData.taxRate) || productDetails.taxRate || this.taxSettings.defaultTaxRate,
+                cessRate: itemData.cessRate !== undefined ? parseFloat(itemData.cessRate) || 0 : productDetails.cessRate || 0,
+                cessPerUnit: itemData.cessPerUnit !== undefined ? parseFloat(itemData.cessPerUnit) || 0 : productDetails.cessPerUnit || 0,
+                discountType: itemData.discountType === 'fixed' ? 'fixed' : 'percentage',
                 discountPercent: parseFloat(itemData.discountPercent) || 0,
+                fixedDiscount: parseFloat(itemData.fixedDiscount) || 0,
                 discountAmount: 0, // Will be calculated
                 taxableAmount: 0, // Will be calculated
                 cgst: 0,
                 sgst: 0,
                 igst: 0,
+                cess: 0,
                 totalTax: 0,
                 total: 0, // Will be calculated
                 category: itemData.category || productDetails.category || '',
@@ -258,6 +329,7 @@ class BillingEngine {
 
             // Add to invoice items
             this.invoiceItems.push(newItem);
+            this.applyPromotions();
 
             // Update current invoice
             this.currentInvoice.items = [...this.invoiceItems];
@@ -265,6 +337,7 @@ class BillingEngine {
 
             // Recalculate invoice totals
             this.calculateInvoiceTotals();
+            this.recordEdit('Add item', previousState);
 
             // Save if not in bulk mode
             if (!this.bulkEntryMode) {
@@ -277,7 +350,8 @@ class BillingEngine {
                 itemId: newItem.id,
                 productId: newItem.productId,
                 quantity: newItem.quantity,
-                rate: newItem.rate 
+                rate: newItem.rate,
+                pricingRule: newItem.pricingRule?.type || null
             });
 
             console.log('Item added to invoice:', newItem.id);
@@ -303,17 +377,31 @@ class BillingEngine {
             }
 
             // Update item
+            const existingItem = this.invoiceItems[itemIndex];
+            if (existingItem.isPromotionLine) {
+                throw new Error('Promotional lines are managed by their promotion');
+            }
+
+            const previousState = this.captureEditState();
             const updatedItem = {
-                ...this.invoiceItems[itemIndex],
+                ...existingItem,
                 ...itemData,
                 updatedAt: new Date().toISOString()
             };
 
+            // A typed rate sticks; otherwise a quantity change can move the item into another tier
+            if (itemData.rate !== undefined) {
+                updatedItem.pricingRule = this.getManualPricingRule();
+            } else if (itemData.quantity !== undefined && updatedItem.pricingRule?.type !== 'manual') {
+                this.applyItemPricing(updatedItem);
+            }
+
             // Recalculate item totals
             this.calculateItemTotals(updatedItem);
 
             // Update in array
             this.invoiceItems[itemIndex] = updatedItem;
+            this.applyPromotions();
 
             // Update current invoice
             this.currentInvoice.items = [...this.invoiceItems];
@@ -321,6 +409,7 @@ class BillingEngine {
 
             // Recalculate invoice totals
             this.calculateInvoiceTotals();
+            this.recordEdit('Update item', previousState);
 
             // Save if not in bulk mode
             if (!this.bulkEntryMode) {
@@ -341,6 +430,406 @@ class BillingEngine {
         }
     }
 
+    /**
+     * Resolve the effective rate of a product for the current customer and quantity
+     * The customer's price list replaces the base price, and quantity tiers then take the
+     * same share off that rate as they take off the base price
+     * @param {Object} product - Product
+     * @param {number} quantity - Quantity
+     * @param {Object} invoice - Invoice the item is billed on
+     * @returns {Object} Rate and the pricing rule applied
+     */
+    resolveItemRate(product, quantity, invoice = this.currentInvoice) {
+        let pricing = {
+            rate: product.price,
+            rule: { type: 'base', label: 'Base price' }
+        };
+
+        const customer = invoice?.customerId ? this.customerManager.getCustomerById(invoice.customerId) : null;
+        const priceList = (window.PriceListManager?.getPriceListsForCustomer(customer, invoice?.invoiceDate) || [])
+            .find(list => window.PriceListManager.getPriceListRate(list, product) !== null);
+
+        if (priceList) {
+            pricing = {
+                rate: window.PriceListManager.getPriceListRate(priceList, product),
+                rule: { type: 'price_list', id: priceList.id, label: `Price list: ${priceList.name}` }
+            };
+        }
+
+        const tier = [...(product.priceTiers || [])].reverse().find(t => quantity >= t.minQuantity);
+        if (tier && product.price > 0) {
+            const rate = priceList ? this.roundValue((pricing.rate * tier.price) / product.price) : tier.price;
+            pricing = {
+                rate,
+                rule: {
+                    type: 'quantity_tier',
+                    minQuantity: tier.minQuantity,
+                    priceListId: priceList?.id || null,
+                    label: `Quantity break: ${tier.minQuantity}+ @ ₹${rate}${priceList ? ` on price list ${priceList.name}` : ''}`
+                }
+            };
+        }
+
+        return pricing;
+    }
+
+    /**
+     * Re-resolve the rate of an item priced from its product
+     * @param {Object} item - Invoice item (updated in place)
+     */
+    applyItemPricing(item) {
+        const product = item.productId ? this.productManager.getProductById(item.productId) : null;
+        if (!product) return;
+
+        const pricing = this.resolveItemRate(product, item.quantity);
+        item.rate = pricing.rate;
+        item.pricingRule = pricing.rule;
+    }
+
+    /**
+     * Change the customer of the current invoice
+     * Place of supply follows the customer's GSTIN state and items are re-priced for their price lists
+     * @param {string|null} customerId - Customer ID, or null for a walk-in customer
+     * @returns {Promise<Object>} Updated invoice
+     */
+    async setCustomer(customerId) {
+        try {
+            if (!this.currentInvoice) {
+                throw new Error('No active invoice');
+            }
+
+            const customer = customerId ? this.customerManager.getCustomerById(customerId) : null;
+            if (customerId && !customer) {
+                throw new Error('Customer not found');
+            }
+
+            const previousState = this.captureEditState();
+
+            this.currentInvoice.customerId = customer?.id || null;
+            this.currentInvoice.customerData = customer ? { ...customer } : {};
+            this.currentInvoice.placeOfSupply = customer?.stateCode || (customer?.gstin || '').substr(0, 2) ||
+                this.currentInvoice.placeOfSupply;
+
+            // Place of supply decides CGST/SGST or IGST on every line
+            this.invoiceItems.forEach(item => this.calculateItemTotals(item));
+            this.repriceItems();
+            this.recordEdit('Change customer', previousState);
+
+            if (!this.bulkEntryMode) {
+                await this.saveCurrentInvoice();
+            }
+
+            this.trackBillingEvent('invoice_customer_changed', {
+                invoiceId: this.currentInvoice.id,
+                customerId: this.currentInvoice.customerId
+            });
+
+            return this.currentInvoice;
+
+        } catch (error) {
+            console.error('Failed to change customer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Snapshot the current invoice for undo
+     * @returns {Object|null} Invoice state
+     */
+    captureEditState() {
+        if (!this.currentInvoice) return null;
+
+        return JSON.parse(JSON.stringify({
+            ...this.currentInvoice,
+            items: this.invoiceItems,
+            totals: this.invoiceTotals
+        }));
+    }
+
+    /**
+     * Get undo/redo stacks of an invoice
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Object} History stacks ({ undo, redo })
+     */
+    getEditHistory(invoiceId) {
+        if (!this.editHistory.has(invoiceId)) {
+            this.editHistory.set(invoiceId, { undo: [], redo: [] });
+        }
+        return this.editHistory.get(invoiceId);
+    }
+
+    /**
+     * Record an edit so it can be undone
+     * @param {string} action - Description of the edit
+     * @param {Object} previousState - Invoice state before the edit
+     */
+    recordEdit(action, previousState) {
+        if (!previousState) return;
+
+        const history = this.getEditHistory(previousState.id);
+        history.undo.push({ action, state: previousState });
+        if (history.undo.length > (window.AppConfig?.billing?.undoLimit || 50)) {
+            history.undo.shift();
+        }
+        history.redo = [];
+    }
+
+    /**
+     * Forget the edit history of an invoice, e.g. once it is generated
+     * @param {string} invoiceId - Invoice ID
+     */
+    clearEditHistory(invoiceId) {
+        this.editHistory.delete(invoiceId);
+    }
+
+    /**
+     * Check whether the current invoice can still be edited through undo/redo
+     * @returns {boolean} True for drafts and pending amendments
+     */
+    canUndoRedo() {
+        return !!this.currentInvoice && (this.currentInvoice.status === 'draft' ||
+            this.amendment?.invoiceId === this.currentInvoice.id);
+    }
+
+    /**
+     * Undo the last edit of the current invoice
+     * @returns {Promise<string|null>} Undone action, or null when there is nothing to undo
+     */
+    async undo() {
+        return this.stepEditHistory('undo', 'redo');
+    }
+
+    /**
+     * Redo the last undone edit of the current invoice
+     * @returns {Promise<string|null>} Redone action, or null when there is nothing to redo
+     */
+    async redo() {
+        return this.stepEditHistory('redo', 'undo');
+    }
+
+    /**
+     * Move one step through the edit history, restoring the exact invoice state
+     * @param {string} from - Stack to take the state from
+     * @param {string} to - Stack to put the replaced state on
+     * @returns {Promise<string|null>} Action, or null when the stack is empty
+     */
+    async stepEditHistory(from, to) {
+        if (!this.canUndoRedo()) return null;
+
+        const history = this.getEditHistory(this.currentInvoice.id);
+        const entry = history[from].pop();
+        if (!entry) return null;
+
+        history[to].push({ action: entry.action, state: this.captureEditState() });
+        this.restoreEditState(entry.state);
+
+        if (!this.bulkEntryMode) {
+            await this.saveCurrentInvoice();
+        }
+
+        this.trackBillingEvent(from === 'undo' ? 'edit_undone' : 'edit_redone', {
+            invoiceId: this.currentInvoice.id,
+            action: entry.action
+        });
+
+        return entry.action;
+    }
+
+    /**
+     * Restore a snapshot as the current invoice
+     * @param {Object} state - Invoice state
+     */
+    restoreEditState(state) {
+        this.currentInvoice = state;
+        this.invoiceItems = [...(state.items || [])];
+        this.invoiceTotals = state.totals || this.getInitialTotals();
+
+        if (this.openInvoices.has(state.id)) {
+            this.openInvoices.set(state.id, state);
+        }
+    }
+
+    /**
+     * Re-price all automatically priced items, e.g. after the customer changes
+     */
+    repriceItems() {
+        if (!this.currentInvoice) return;
+
+        this.invoiceItems.forEach(item => {
+            if (item.pricingRule?.type !== 'manual') {
+                this.applyItemPricing(item);
+                this.calculateItemTotals(item);
+            }
+        });
+        this.applyPromotions();
+
+        this.currentInvoice.items = [...this.invoiceItems];
+        this.calculateInvoiceTotals();
+
+        this.trackBillingEvent('items_repriced', {
+            invoiceId: this.currentInvoice.id,
+            customerId: this.currentInvoice.customerId
+        });
+    }
+
+    /**
+     * Re-evaluate promotions on the current invoice
+     * Free lines and promotion discounts are rebuilt from scratch on every change
+     */
+    applyPromotions() {
+        if (!this.currentInvoice || !window.PromotionManager || this.currentInvoice.billType === 'delivery_challan') {
+            return;
+        }
+
+        this.invoiceItems = this.invoiceItems.filter(item => !item.isPromotionLine);
+        this.invoiceItems.forEach(item => {
+            item.promotionDiscount = 0;
+            item.invoiceDiscount = 0;
+            item.promotions = [];
+            this.calculateItemTotals(item);
+        });
+
+        const result = window.PromotionManager.evaluate(this.currentInvoice, this.invoiceItems);
+
+        result.discounts.forEach(discount => {
+            const item = this.invoiceItems.find(i => i.id === discount.itemId);
+            if (!item) return;
+
+            item.promotionDiscount += discount.amount;
+            item.promotions.push({ promotionId: discount.promotionId, name: discount.name, amount: discount.amount });
+            this.calculateItemTotals(item);
+        });
+
+        result.freeLines.forEach(freeLine => {
+            const line = this.buildPromotionLine(freeLine);
+            if (!line) return;
+
+            this.invoiceItems.push(line);
+
+            // Value of free goods counts as discount given by the promotion
+            const applied = result.applied.find(a => a.promotionId === freeLine.promotionId);
+            applied.discount = this.roundValue(applied.discount + line.discountAmount);
+        });
+
+        this.currentInvoice.items = [...this.invoiceItems];
+        this.currentInvoice.promotions = result.applied;
+        this.currentInvoice.skippedPromotions = result.skipped;
+    }
+
+    /**
+     * Build a free or discounted line granted by a promotion
+     * @param {Object} freeLine - Free line (productId, quantity, discountPercent, promotionId, name)
+     * @returns {Object|null} Invoice item
+     */
+    buildPromotionLine(freeLine) {
+        const product = this.productManager.getProductById(freeLine.productId);
+        if (!product) return null;
+
+        const pricing = this.resolveItemRate(product, freeLine.quantity);
+        const value = this.roundValue((freeLine.quantity * pricing.rate * freeLine.discountPercent) / 100);
+
+        const line = {
+            id: this.generateItemId(),
+            productId: product.id,
+            name: product.name,
+            description: `${freeLine.name} offer`,
+            hsn: product.hsn || '',
+            unit: product.unit || 'pcs',
+            quantity: freeLine.quantity,
+            rate: pricing.rate,
+            pricingRule: pricing.rule,
+            taxRate: product.taxRate || 0,
+            cessRate: product.cessRate || 0,
+            cessPerUnit: product.cessPerUnit || 0,
+            discountPercent: 0,
+            promotionDiscount: value,
+            promotions: [{ promotionId: freeLine.promotionId, name: freeLine.name, amount: value }],
+            isPromotionLine: true,
+            promotionId: freeLine.promotionId,
+            discountAmount: 0,
+            taxableAmount: 0,
+            cgst: 0,
+            sgst: 0,
+            igst: 0,
+            cess: 0,
+            totalTax: 0,
+            total: 0,
+            category: product.category || '',
+            notes: '',
+            addedAt: new Date().toISOString()
+        };
+
+        this.calculateItemTotals(line);
+        return line;
+    }
+
+    /**
+     * Apply a coupon code to the current invoice
+     * @param {string} code - Coupon code
+     * @returns {Object} Applied promotion summary
+     */
+    applyCoupon(code) {
+        if (!this.currentInvoice) {
+            throw new Error('No active invoice');
+        }
+
+        const promotion = window.PromotionManager.findCoupon(code, this.currentInvoice);
+        const previousState = this.captureEditState();
+        const codes = this.currentInvoice.couponCodes || [];
+        if (!codes.includes(promotion.couponCode)) {
+            this.currentInvoice.couponCodes = [...codes, promotion.couponCode];
+        }
+
+        this.applyPromotions();
+        this.calculateInvoiceTotals();
+        this.recordEdit('Apply coupon', previousState);
+
+        const applied = this.currentInvoice.promotions.find(p => p.promotionId === promotion.id);
+        const skipped = this.currentInvoice.skippedPromotions.find(p => p.promotionId === promotion.id);
+
+        this.trackBillingEvent('coupon_applied', {
+            invoiceId: this.currentInvoice.id,
+            promotionId: promotion.id,
+            applied: !!applied
+        });
+
+        return {
+            couponCode: promotion.couponCode,
+            applied: !!applied,
+            discount: applied?.discount || 0,
+            reason: applied ? '' : (skipped?.reason || 'order does not meet the promotion conditions')
+        };
+    }
+
+    /**
+     * Remove a coupon code from the current invoice
+     * @param {string} code - Coupon code
+     */
+    removeCoupon(code) {
+        if (!this.currentInvoice) return;
+
+        const couponCode = String(code || '').trim().toUpperCase();
+        const previousState = this.captureEditState();
+        this.currentInvoice.couponCodes = (this.currentInvoice.couponCodes || []).filter(c => c !== couponCode);
+
+        this.applyPromotions();
+        this.calculateInvoiceTotals();
+        this.recordEdit('Remove coupon', previousState);
+
+        this.trackBillingEvent('coupon_removed', {
+            invoiceId: this.currentInvoice.id,
+            couponCode
+        });
+    }
+
+    /**
+     * Pricing rule for rates typed in by the user
+     * @returns {Object} Pricing rule
+     */
+    getManualPricingRule() {
+        return { type: 'manual', label: 'Manual rate' };
+    }
+
     /**
      * Remove item from invoice
      * @param {string} itemId - Item ID
@@ -353,8 +842,15 @@ class BillingEngine {
                 throw new Error('Item not found');
             }
 
+            if (this.invoiceItems[itemIndex].isPromotionLine) {
+                throw new Error('Promotional lines are managed by their promotion');
+            }
+
+            const previousState = this.captureEditState();
+
             // Remove item
             const removedItem = this.invoiceItems.splice(itemIndex, 1)[0];
+            this.applyPromotions();
 
             // Update current invoice
             this.currentInvoice.items = [...this.invoiceItems];
@@ -362,6 +858,7 @@ class BillingEngine {
 
             // Recalculate invoice totals
             this.calculateInvoiceTotals();
+            this.recordEdit('Remove item', previousState);
 
             // Save if not in bulk mode
             if (!this.bulkEntryMode) {
@@ -386,27 +883,60 @@ class BillingEngine {
     /**
      * Calculate totals for a single item
      * @param {Object} item - Item object
+     * @param {Object} invoice - Document the item belongs to
      */
-    calculateItemTotals(item) {
+    calculateItemTotals(item, invoice = this.currentInvoice) {
         // Basic calculations
         const baseAmount = item.quantity * item.rate;
         
-        // Apply discount
-        if (item.discountPercent > 0) {
+        // Apply line discount, a percentage of the line or a fixed amount off it
+        if (item.discountType === 'fixed') {
+            item.discountAmount = Math.min(item.fixedDiscount || 0, baseAmount);
+        } else if (item.discountPercent > 0) {
             item.discountAmount = (baseAmount * item.discountPercent) / 100;
         } else {
             item.discountAmount = 0;
         }
+
+        // Promotion discounts and the line's share of the invoice discount come off before GST
+        const otherDiscounts = (item.promotionDiscount || 0) + (item.invoiceDiscount || 0);
+        if (otherDiscounts > 0) {
+            item.discountAmount = Math.min(item.discountAmount + otherDiscounts, baseAmount);
+        }
         
-        item.taxableAmount = baseAmount - item.discountAmount;
+        const netAmount = baseAmount - item.discountAmount;
+
+        // Zero-rated supplies under LUT/bond carry no GST or cess
+        const supplyType = this.getSupplyType(invoice);
+        const chargesTax = this.taxSettings.gstEnabled && supplyType.withPayment;
+        const isTaxable = chargesTax && item.taxRate > 0;
+
+        // Cess sits on top of GST: ad valorem on the taxable value, specific per unit
+        const cessRate = chargesTax ? (item.cessRate || 0) : 0;
+        const specificCess = chargesTax ? item.quantity * (item.cessPerUnit || 0) : 0;
+        const hasCess = cessRate > 0 || specificCess > 0;
+
+        // Rate includes GST and cess in inclusive mode, so back the taxable value out of the discounted amount
+        if (this.isTaxInclusive(invoice) && (isTaxable || hasCess)) {
+            item.taxableAmount = window.CalculatorUtils.removeGST(
+                netAmount - specificCess,
+                (isTaxable ? item.taxRate : 0) + cessRate
+            );
+        } else {
+            item.taxableAmount = netAmount;
+        }
+
+        item.cess = (item.taxableAmount * cessRate) / 100 + specificCess;
 
         // Calculate tax based on place of supply
         const businessState = this.businessManager.getCurrentBusiness()?.stateCode || '24';
-        const supplyState = this.currentInvoice?.placeOfSupply || businessState;
-        const isSameState = businessState === supplyState;
+        const supplyState = invoice?.placeOfSupply || businessState;
+        const isSameState = !supplyType.zeroRated && businessState === supplyState;
 
-        if (this.taxSettings.gstEnabled && item.taxRate > 0) {
-            const taxAmount = (item.taxableAmount * item.taxRate) / 100;
+        if (isTaxable) {
+            const taxAmount = this.isTaxInclusive(invoice)
+                ? netAmount - item.taxableAmount - item.cess
+                : (item.taxableAmount * item.taxRate) / 100;
             
             if (isSameState) {
                 // CGST + SGST for same state
@@ -420,13 +950,13 @@ class BillingEngine {
                 item.igst = taxAmount;
             }
             
-            item.totalTax = taxAmount;
+            item.totalTax = taxAmount + item.cess;
         } else {
-            // No tax
+            // No GST (cess may still apply)
             item.cgst = 0;
             item.sgst = 0;
             item.igst = 0;
-            item.totalTax = 0;
+            item.totalTax = item.cess;
         }
 
         // Calculate total
@@ -439,8 +969,69 @@ class BillingEngine {
         item.cgst = this.roundValue(item.cgst, precision);
         item.sgst = this.roundValue(item.sgst, precision);
         item.igst = this.roundValue(item.igst, precision);
+        item.cess = this.roundValue(item.cess, precision);
         item.totalTax = this.roundValue(item.totalTax, precision);
         item.total = this.roundValue(item.total, precision);
+
+        // Keep the CGST/SGST halves summing to the rounded GST
+        if (item.cgst && item.sgst) {
+            item.sgst = this.roundValue(item.totalTax - item.cess - item.cgst, precision);
+        }
+    }
+
+    /**
+     * Check whether an invoice prices items inclusive of GST
+     * @param {Object} invoice - Invoice to check
+     * @returns {boolean} True for tax-inclusive pricing
+     */
+    isTaxInclusive(invoice = this.currentInvoice) {
+        const mode = invoice?.taxCalculation || this.taxSettings.taxCalculationType;
+        return mode === 'inclusive';
+    }
+
+    /**
+     * Get supply type configuration of an invoice
+     * @param {Object} invoice - Invoice to check
+     * @returns {Object} Supply type from AppConstants.SUPPLY_TYPES
+     */
+    getSupplyType(invoice = this.currentInvoice) {
+        const supplyTypes = Object.values(window.AppConstants?.SUPPLY_TYPES || {});
+        const regular = { id: 'regular', zeroRated: false, withPayment: true };
+        return supplyTypes.find(type => type.id === (invoice?.supplyType || 'regular')) || regular;
+    }
+
+    /**
+     * Set supply type, reverse charge and LUT/bond reference, then recalculate tax
+     * @param {Object} details - Supply details (supplyType, reverseCharge, lutReference)
+     */
+    setSupplyDetails(details = {}) {
+        if (!this.currentInvoice) return;
+
+        const supplyTypes = Object.values(window.AppConstants?.SUPPLY_TYPES || {}).map(type => type.id);
+        if (details.supplyType !== undefined) {
+            if (supplyTypes.length && !supplyTypes.includes(details.supplyType)) {
+                throw new Error(`Unknown supply type: ${details.supplyType}`);
+            }
+            this.currentInvoice.supplyType = details.supplyType;
+        }
+
+        if (details.reverseCharge !== undefined) {
+            this.currentInvoice.reverseCharge = details.reverseCharge === true;
+        }
+
+        if (details.lutReference !== undefined) {
+            this.currentInvoice.lutReference = details.lutReference;
+        }
+
+        this.invoiceItems.forEach(item => this.calculateItemTotals(item));
+        this.currentInvoice.items = [...this.invoiceItems];
+        this.calculateInvoiceTotals();
+
+        this.trackBillingEvent('supply_details_updated', {
+            invoiceId: this.currentInvoice.id,
+            supplyType: this.currentInvoice.supplyType,
+            reverseCharge: this.currentInvoice.reverseCharge
+        });
     }
 
     /**
@@ -450,9 +1041,18 @@ class BillingEngine {
         if (!this.invoiceItems.length) {
             this.invoiceTotals = this.getInitialTotals();
             this.currentInvoice.totals = this.invoiceTotals;
+            this.currentInvoice.withholding = null;
             return;
         }
 
+        // Invoice-level discount is spread over the lines first so their GST is on the discounted value
+        const invoiceDiscountAmount = this.prorateInvoiceDiscount();
+
+        // Charges are taxed like items under their own SAC code
+        const charges = this.getCharges();
+        charges.forEach(charge => this.calculateChargeTotals(charge));
+        this.currentInvoice.charges = charges;
+
         // Sum up all items
         const totals = this.invoiceItems.reduce((acc, item) => ({
             subtotal: acc.subtotal + (item.quantity * item.rate),
@@ -461,6 +1061,7 @@ class BillingEngine {
             cgst: acc.cgst + item.cgst,
             sgst: acc.sgst + item.sgst,
             igst: acc.igst + item.igst,
+            cess: acc.cess + (item.cess || 0),
             totalTax: acc.totalTax + item.totalTax,
             totalQuantity: acc.totalQuantity + item.quantity,
             totalItems: acc.totalItems + 1,
@@ -472,27 +1073,30 @@ class BillingEngine {
             cgst: 0,
             sgst: 0,
             igst: 0,
+            cess: 0,
             totalTax: 0,
             totalQuantity: 0,
             totalItems: 0,
             itemTotal: 0
         });
 
-        // Apply invoice-level discount
-        const invoiceDiscountPercent = this.currentInvoice.discountPercent || 0;
-        let invoiceDiscountAmount = 0;
-        
-        if (invoiceDiscountPercent > 0) {
-            invoiceDiscountAmount = (totals.subtotal * invoiceDiscountPercent) / 100;
-            totals.discountAmount += invoiceDiscountAmount;
-            totals.taxableAmount = totals.subtotal - totals.discountAmount;
-        }
-
         // Add additional charges
-        const additionalCharges = this.currentInvoice.additionalCharges || 0;
+        const chargeSum = field => charges.reduce((sum, charge) => sum + (charge[field] || 0), 0);
+        const additionalCharges = chargeSum('taxableAmount');
+        totals.taxableAmount += additionalCharges;
+        totals.cgst += chargeSum('cgst');
+        totals.sgst += chargeSum('sgst');
+        totals.igst += chargeSum('igst');
+        totals.cess += chargeSum('cess');
+        totals.totalTax += chargeSum('totalTax');
+
+        // Under reverse charge the recipient pays the tax, so it is shown but not collected
+        const reverseChargeTax = this.currentInvoice.reverseCharge ? totals.totalTax : 0;
+        const zeroRatedAmount = this.getSupplyType().zeroRated ? totals.taxableAmount : 0;
         
         // Calculate grand total
-        let grandTotal = totals.taxableAmount + totals.totalTax + additionalCharges;
+        let grandTotal = this.roundValue(totals.taxableAmount) +
+            this.roundValue(totals.totalTax - reverseChargeTax);
 
         // Apply rounding if enabled
         let roundOff = 0;
@@ -502,19 +1106,43 @@ class BillingEngine {
             grandTotal = rounded;
         }
 
+        // TDS is deducted by the customer and TCS collected on top, so neither changes the invoice value
+        const withholding = this.calculateWithholding(this.currentInvoice, {
+            taxableAmount: totals.taxableAmount,
+            grandTotal
+        }, this.invoiceItems);
+        const tds = withholding?.type === 'tds' ? withholding.amount : 0;
+        const tcs = withholding?.type === 'tcs' ? withholding.amount : 0;
+        this.currentInvoice.withholding = withholding;
+
         // Update totals
         this.invoiceTotals = {
             subtotal: this.roundValue(totals.subtotal),
             discountAmount: this.roundValue(totals.discountAmount),
-            discountPercent: invoiceDiscountPercent,
+            discountType: this.currentInvoice.discountType || 'percentage',
+            discountPercent: this.currentInvoice.discountPercent || 0,
+            invoiceDiscount: this.roundValue(invoiceDiscountAmount),
             taxableAmount: this.roundValue(totals.taxableAmount),
             cgst: this.roundValue(totals.cgst),
             sgst: this.roundValue(totals.sgst),
             igst: this.roundValue(totals.igst),
+            cess: this.roundValue(totals.cess),
             totalTax: this.roundValue(totals.totalTax),
+            reverseChargeTax: this.roundValue(reverseChargeTax),
+            zeroRatedAmount: this.roundValue(zeroRatedAmount),
             additionalCharges: this.roundValue(additionalCharges),
+            charges: charges.map(charge => ({
+                name: charge.name,
+                sac: charge.sac,
+                taxRate: charge.taxRate,
+                taxableAmount: charge.taxableAmount,
+                totalTax: charge.totalTax
+            })),
             roundOff: this.roundValue(roundOff),
             grandTotal: this.roundValue(grandTotal),
+            tds,
+            tcs,
+            netReceivable: this.roundValue(grandTotal + tcs - tds),
             totalQuantity: totals.totalQuantity,
             totalItems: totals.totalItems
         };
@@ -524,25 +1152,439 @@ class BillingEngine {
     }
 
     /**
-     * Apply discount to invoice
-     * @param {number} discountPercent - Discount percentage
-     * @param {number} discountAmount - Fixed discount amount
+     * Spread the invoice-level discount across lines in proportion to their discounted amounts
+     * @returns {number} Invoice discount amount
      */
-    applyInvoiceDiscount(discountPercent = 0, discountAmount = 0) {
-        if (!this.currentInvoice) return;
+    prorateInvoiceDiscount() {
+        const precision = this.taxSettings.roundingPrecision;
+        const lineAmount = item => item.quantity * item.rate - item.discountAmount;
 
-        if (discountAmount > 0) {
-            // Convert fixed amount to percentage
-            this.currentInvoice.discountPercent = (discountAmount / this.invoiceTotals.subtotal) * 100;
-        } else {
-            this.currentInvoice.discountPercent = discountPercent;
+        this.invoiceItems.forEach(item => {
+            item.invoiceDiscount = 0;
+            this.calculateItemTotals(item);
+        });
+
+        const eligible = this.invoiceItems.filter(item => lineAmount(item) > 0);
+        const base = eligible.reduce((sum, item) => sum + lineAmount(item), 0);
+        const discount = this.getInvoiceDiscountAmount(this.currentInvoice, base);
+        if (discount <= 0) {
+            return 0;
         }
 
-        this.calculateInvoiceTotals();
-        
-        this.trackBillingEvent('discount_applied', { 
-            invoiceId: this.currentInvoice.id,
-            discountPercent: this.currentInvoice.discountPercent 
+        // Last line takes the rounding remainder so the shares add up exactly
+        let remaining = discount;
+        eligible.forEach((item, index) => {
+            const share = index === eligible.length - 1 ?
+                remaining : this.roundValue((discount * lineAmount(item)) / base, precision);
+            remaining = this.roundValue(remaining - share, precision);
+
+            item.invoiceDiscount = share;
+            this.calculateItemTotals(item);
+        });
+
+        return discount;
+    }
+
+    /**
+     * Work out the invoice-level discount on the lines' discounted amount
+     * @param {Object} invoice - Invoice
+     * @param {number} base - Sum of line amounts after line discounts
+     * @returns {number} Discount amount
+     */
+    getInvoiceDiscountAmount(invoice, base) {
+        if (!invoice || base <= 0) {
+            return 0;
+        }
+
+        const amount = invoice.discountType === 'fixed' ?
+            Math.min(invoice.fixedDiscount || 0, base) :
+            (base * (invoice.discountPercent || 0)) / 100;
+
+        return this.roundValue(amount, this.taxSettings.roundingPrecision);
+    }
+
+    /**
+     * Check that line values, taxes and totals of an invoice add up
+     * @param {Object} invoice - Invoice to check
+     * @returns {Object} Reconciliation result
+     */
+    reconcileInvoiceTotals(invoice = this.currentInvoice) {
+        const errors = [];
+        const items = invoice?.items || [];
+        const charges = invoice?.charges || [];
+        const totals = invoice?.totals || {};
+        const inclusive = this.isTaxInclusive(invoice);
+        const tolerance = 0.01 * (items.length + 1);
+        const differs = (a, b, limit = tolerance) => Math.abs((a || 0) - (b || 0)) > limit;
+        const sum = (field, lines = [...items, ...charges]) => lines.reduce((acc, line) => acc + (line[field] || 0), 0);
+
+        items.forEach((item, index) => {
+            const net = item.quantity * item.rate - item.discountAmount;
+            const value = inclusive ? item.taxableAmount + item.totalTax : item.taxableAmount;
+            if (differs(net, value, 0.02)) {
+                errors.push(`Item ${index + 1}: value after discount does not match taxable amount`);
+            }
+
+            if (differs(item.cgst + item.sgst + item.igst + (item.cess || 0), item.totalTax, 0.01)) {
+                errors.push(`Item ${index + 1}: tax components do not add up to total tax`);
+            }
+        });
+
+        charges.forEach(charge => {
+            const value = inclusive ? charge.taxableAmount + charge.totalTax : charge.taxableAmount;
+            if (differs(charge.amount, value, 0.02)) {
+                errors.push(`${charge.name}: charge amount does not match taxable amount`);
+            }
+        });
+
+        if (differs(sum('taxableAmount'), totals.taxableAmount)) {
+            errors.push('Taxable amount does not match the sum of line taxable values');
+        }
+
+        if (differs(sum('totalTax'), totals.totalTax)) {
+            errors.push('Total tax does not match the sum of line taxes');
+        }
+
+        if (differs(sum('invoiceDiscount', items), totals.invoiceDiscount)) {
+            errors.push('Invoice discount is not fully spread across lines');
+        }
+
+        const afterDiscount = inclusive ? totals.taxableAmount + totals.totalTax : totals.taxableAmount;
+        if (differs(totals.subtotal - totals.discountAmount + sum('amount', charges), afterDiscount)) {
+            errors.push('Subtotal less discount plus charges does not match taxable amount');
+        }
+
+        const expectedTotal = totals.taxableAmount + totals.totalTax - (totals.reverseChargeTax || 0) +
+            (totals.roundOff || 0);
+        if (differs(expectedTotal, totals.grandTotal)) {
+            errors.push('Grand total does not match taxable amount, tax, charges and round off');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Get configured TDS/TCS sections
+     * @param {string} type - Optional filter ('tds' or 'tcs')
+     * @returns {Array} Withholding sections
+     */
+    getWithholdingSections(type = null) {
+        const sections = window.AppConfig?.billing?.withholding?.sections || [];
+        return type ? sections.filter(section => section.type === type) : sections;
+    }
+
+    /**
+     * Resolve the TDS/TCS section that applies to an invoice
+     * @param {Object} invoice - Invoice
+     * @param {Array} items - Invoice items
+     * @returns {Object|null} Withholding section
+     */
+    getWithholdingSection(invoice, items = invoice?.items || []) {
+        if (!invoice || invoice.billType === 'delivery_challan' || invoice.withholdingSection === 'none') {
+            return null;
+        }
+
+        const sections = this.getWithholdingSections();
+        const customer = invoice.customerId ? this.customerManager.getCustomerById(invoice.customerId) : null;
+
+        // Invoice choice wins over the customer's default section
+        const sectionId = invoice.withholdingSection || customer?.withholdingSection || invoice.customerData?.withholdingSection;
+        if (sectionId) {
+            return sections.find(section => section.id === sectionId) || null;
+        }
+
+        // Otherwise TCS applies when an item falls in a category that requires collection
+        const categories = items.map(item => String(item.category || '').toLowerCase());
+        return sections.find(section => section.type === 'tcs' &&
+            (section.categories || []).some(category => categories.includes(category))) || null;
+    }
+
+    /**
+     * Calculate TDS/TCS on an invoice
+     * @param {Object} invoice - Invoice
+     * @param {Object} amounts - Invoice amounts (taxableAmount, grandTotal)
+     * @param {Array} items - Invoice items
+     * @returns {Object|null} Withholding details
+     */
+    calculateWithholding(invoice, amounts, items = invoice?.items || []) {
+        const section = this.getWithholdingSection(invoice, items);
+        if (!section) {
+            return null;
+        }
+
+        const customer = invoice.customerId ? this.customerManager.getCustomerById(invoice.customerId) : null;
+        const invoiceBase = section.base === 'invoice' ? amounts.grandTotal : amounts.taxableAmount;
+        const prior = this.getWithholdingAggregate(invoice, section);
+        const aggregateBase = prior.billed + invoiceBase;
+
+        const exceedsSingle = section.threshold !== undefined && invoiceBase > section.threshold;
+        const exceedsAnnual = section.annualThreshold !== undefined && aggregateBase > section.annualThreshold;
+        const hasThreshold = section.threshold !== undefined || section.annualThreshold !== undefined;
+
+        // Crossing the annual threshold catches up on earlier invoices that were not yet withheld;
+        // some sections only levy on the part of the year's value above the threshold
+        let baseAmount = 0;
+        if (exceedsAnnual) {
+            baseAmount = aggregateBase - (section.excessOnly ? section.annualThreshold : 0) - prior.withheld;
+        } else if (exceedsSingle || !hasThreshold) {
+            baseAmount = invoiceBase;
+        }
+        baseAmount = Math.max(baseAmount, 0);
+
+        const rate = parseFloat(invoice.withholdingRate ?? customer?.withholdingRate ?? section.rate) || 0;
+
+        return {
+            section: section.id,
+            type: section.type,
+            name: section.name,
+            rate,
+            base: section.base,
+            baseAmount: this.roundValue(baseAmount),
+            aggregateBase: this.roundValue(aggregateBase),
+            amount: this.roundValue((baseAmount * rate) / 100),
+            certificate: invoice.withholding?.section === section.id ? (invoice.withholding.certificate || null) : null
+        };
+    }
+
+    /**
+     * Sum the base already billed to the customer in the invoice's financial year
+     * @param {Object} invoice - Invoice being calculated (excluded from the sum)
+     * @param {Object} section - Withholding section
+     * @returns {Object} Base billed and base already withheld under the section
+     */
+    getWithholdingAggregate(invoice, section) {
+        if (!invoice.customerId || section.annualThreshold === undefined) {
+            return { billed: 0, withheld: 0 };
+        }
+
+        return this.getWithholdingHistory(invoice)
+            .reduce((sum, inv) => ({
+                billed: sum.billed + (section.base === 'invoice'
+                    ? (inv.totals?.grandTotal || 0)
+                    : (inv.totals?.taxableAmount || 0)),
+                withheld: sum.withheld + (inv.withholding?.section === section.id ? inv.withholding.baseAmount : 0)
+            }), { billed: 0, withheld: 0 });
+    }
+
+    /**
+     * Get the customer's other billed invoices in the invoice's financial year
+     * Cached so that recalculating totals on every edit does not rescan stored invoices
+     * @param {Object} invoice - Invoice being calculated (excluded)
+     * @returns {Array} Invoices
+     */
+    getWithholdingHistory(invoice) {
+        const financialYear = this.dataManager.getFinancialYear(new Date(invoice.invoiceDate));
+        const cacheKey = `${invoice.id}:${invoice.businessId}:${invoice.customerId}:${financialYear.label}`;
+
+        if (this.withholdingHistory?.key !== cacheKey) {
+            const billedStatuses = AppConstants.RECEIVABLE_STATUSES;
+
+            this.withholdingHistory = {
+                key: cacheKey,
+                invoices: this.dataManager.getInvoices()
+                    .filter(inv => inv.id !== invoice.id &&
+                        inv.customerId === invoice.customerId &&
+                        inv.businessId === invoice.businessId &&
+                        billedStatuses.includes(inv.status) &&
+                        this.dataManager.getFinancialYear(new Date(inv.invoiceDate)).label === financialYear.label)
+            };
+        }
+
+        return this.withholdingHistory.invoices;
+    }
+
+    /**
+     * Set TDS/TCS section on the current invoice
+     * @param {string|null} sectionId - Section ID, 'none' to opt out, or null for the customer's default
+     * @param {number|null} rate - Rate override (e.g. lower deduction certificate)
+     */
+    setWithholding(sectionId, rate = null) {
+        if (!this.currentInvoice) return;
+
+        if (sectionId && sectionId !== 'none' && !this.getWithholdingSections().some(section => section.id === sectionId)) {
+            throw new Error(`Unknown TDS/TCS section: ${sectionId}`);
+        }
+
+        this.currentInvoice.withholdingSection = sectionId || null;
+        this.currentInvoice.withholdingRate = rate;
+        this.calculateInvoiceTotals();
+
+        this.trackBillingEvent('withholding_updated', {
+            invoiceId: this.currentInvoice.id,
+            section: this.currentInvoice.withholding?.section || null,
+            amount: this.currentInvoice.withholding?.amount || 0
+        });
+    }
+
+    /**
+     * Get TDS/TCS withheld per customer and quarter for reconciliation
+     * @param {Object} filters - Filters (customerId, financialYear, quarter, type)
+     * @returns {Array} Customer quarter summaries
+     */
+    getWithholdingSummary(filters = {}) {
+        const startMonth = (window.AppConfig?.billing?.numberSeries?.financialYearStartMonth || 4) - 1;
+        const groups = new Map();
+
+        this.dataManager.getInvoices()
+            .filter(inv => inv.withholding?.amount > 0 && inv.status !== 'draft' && inv.status !== 'cancelled')
+            .forEach(inv => {
+                const date = new Date(inv.invoiceDate);
+                const financialYear = this.dataManager.getFinancialYear(date).label;
+                const quarter = Math.floor(((date.getMonth() - startMonth + 12) % 12) / 3) + 1;
+                const withholding = inv.withholding;
+
+                if ((filters.customerId && inv.customerId !== filters.customerId) ||
+                    (filters.financialYear && financialYear !== filters.financialYear) ||
+                    (filters.quarter && quarter !== parseInt(filters.quarter, 10)) ||
+                    (filters.type && withholding.type !== filters.type)) {
+                    return;
+                }
+
+                const key = `${inv.customerId}:${financialYear}:${quarter}:${withholding.section}`;
+                if (!groups.has(key)) {
+                    const customer = inv.customerId ? this.customerManager.getCustomerById(inv.customerId) : null;
+                    groups.set(key, {
+                        customerId: inv.customerId,
+                        customerName: customer?.name || inv.customerData?.name || '',
+                        pan: customer?.pan || inv.customerData?.pan || '',
+                        financialYear,
+                        quarter: `Q${quarter}`,
+                        section: withholding.section,
+                        type: withholding.type,
+                        baseAmount: 0,
+                        amount: 0,
+                        certifiedAmount: 0,
+                        pendingAmount: 0,
+                        invoices: []
+                    });
+                }
+
+                const group = groups.get(key);
+                group.baseAmount = this.roundValue(group.baseAmount + withholding.baseAmount);
+                group.amount = this.roundValue(group.amount + withholding.amount);
+                if (withholding.certificate) {
+                    group.certifiedAmount = this.roundValue(group.certifiedAmount + withholding.amount);
+                }
+                group.pendingAmount = this.roundValue(group.amount - group.certifiedAmount);
+                group.invoices.push({
+                    invoiceId: inv.id,
+                    invoiceNumber: inv.invoiceNumber,
+                    invoiceDate: inv.invoiceDate,
+                    baseAmount: withholding.baseAmount,
+                    amount: withholding.amount,
+                    certificateNumber: withholding.certificate?.number || ''
+                });
+            });
+
+        return [...groups.values()];
+    }
+
+    /**
+     * Reconcile a TDS/TCS certificate (Form 16A / 27D) against invoices
+     * @param {Array} invoiceIds - Invoices covered by the certificate
+     * @param {Object} certificate - Certificate details (number, date, amount)
+     * @returns {Object} Reconciliation result
+     */
+    reconcileWithholding(invoiceIds, certificate = {}) {
+        try {
+            if (!certificate.number?.trim()) {
+                throw new Error('Certificate number is required');
+            }
+
+            const invoices = invoiceIds.map(id => {
+                const invoice = this.dataManager.getInvoice(id);
+                if (!invoice?.withholding?.amount) {
+                    throw new Error(`No TDS/TCS recorded on invoice ${invoice?.invoiceNumber || id}`);
+                }
+                return invoice;
+            });
+
+            const withheld = this.roundValue(invoices.reduce((sum, inv) => sum + inv.withholding.amount, 0));
+            const certified = certificate.amount !== undefined ? this.roundValue(parseFloat(certificate.amount) || 0) : withheld;
+            const recordedAt = new Date().toISOString();
+
+            invoices.forEach(invoice => {
+                invoice.withholding.certificate = {
+                    number: certificate.number.trim(),
+                    date: certificate.date || recordedAt.split('T')[0],
+                    recordedAt
+                };
+                invoice.auditTrail = [
+                    ...(invoice.auditTrail || []),
+                    {
+                        action: 'withholding_reconciled',
+                        reason: `${invoice.withholding.type.toUpperCase()} certificate ${certificate.number.trim()}`,
+                        at: recordedAt,
+                        by: 'user'
+                    }
+                ];
+                invoice.updatedAt = recordedAt;
+                this.dataManager.saveInvoice(invoice);
+            });
+
+            this.trackBillingEvent('withholding_reconciled', {
+                invoiceCount: invoices.length,
+                withheld,
+                certified
+            });
+
+            return {
+                certificateNumber: certificate.number.trim(),
+                withheld,
+                certified,
+                difference: this.roundValue(certified - withheld),
+                matched: Math.abs(certified - withheld) < 1
+            };
+
+        } catch (error) {
+            console.error('Failed to reconcile withholding:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply discount to invoice
+     * A fixed amount stays fixed; either kind is prorated across lines before GST
+     * @param {number} discountPercent - Discount percentage
+     * @param {number} discountAmount - Fixed discount amount
+     */
+    applyInvoiceDiscount(discountPercent = 0, discountAmount = 0) {
+        if (!this.currentInvoice) return;
+
+        discountPercent = parseFloat(discountPercent) || 0;
+        discountAmount = parseFloat(discountAmount) || 0;
+
+        if (discountPercent < 0 || discountPercent > 100) {
+            throw new Error('Discount percent must be between 0 and 100');
+        }
+        if (discountAmount < 0) {
+            throw new Error('Discount amount cannot be negative');
+        }
+
+        const previousState = this.captureEditState();
+
+        if (discountAmount > 0) {
+            this.currentInvoice.discountType = 'fixed';
+            this.currentInvoice.fixedDiscount = discountAmount;
+            this.currentInvoice.discountPercent = 0;
+        } else {
+            this.currentInvoice.discountType = 'percentage';
+            this.currentInvoice.fixedDiscount = 0;
+            this.currentInvoice.discountPercent = discountPercent;
+        }
+
+        this.calculateInvoiceTotals();
+        this.currentInvoice.items = [...this.invoiceItems];
+        this.recordEdit('Change discount', previousState);
+        
+        this.trackBillingEvent('discount_applied', { 
+            invoiceId: this.currentInvoice.id,
+            discountType: this.currentInvoice.discountType,
+            discountPercent: this.currentInvoice.discountPercent,
+            discountAmount: this.invoiceTotals.invoiceDiscount
         });
     }
 
@@ -550,21 +1592,200 @@ class BillingEngine {
      * Add additional charges
      * @param {number} amount - Additional charges amount
      * @param {string} description - Description of charges
+     * @returns {Object} Added charge
      */
     addAdditionalCharges(amount, description = '') {
-        if (!this.currentInvoice) return;
+        return this.addCharge({ type: 'other', name: description, amount });
+    }
 
-        this.currentInvoice.additionalCharges = parseFloat(amount) || 0;
-        this.currentInvoice.additionalChargesDescription = description;
-        
+    /**
+     * Add a named charge (freight, packing, installation) taxed under its own SAC code
+     * @param {Object} chargeData - Charge data (type, name, sac, taxRate, amount)
+     * @returns {Object} Added charge
+     */
+    addCharge(chargeData) {
+        try {
+            if (!this.currentInvoice) {
+                throw new Error('No active invoice');
+            }
+
+            const validation = this.validateChargeData(chargeData);
+            if (!validation.valid) {
+                throw new Error(`Invalid charge: ${validation.errors.join(', ')}`);
+            }
+
+            const previousState = this.captureEditState();
+            const chargeType = this.getChargeType(chargeData.type);
+            const charge = {
+                id: `charge_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                type: chargeType.id,
+                name: chargeData.name || chargeType.name,
+                sac: chargeData.sac || chargeType.sac,
+                taxRate: chargeData.taxRate !== undefined ? parseFloat(chargeData.taxRate) || 0 : this.taxSettings.defaultTaxRate,
+                amount: parseFloat(chargeData.amount)
+            };
+
+            this.currentInvoice.charges = [...this.getCharges(), charge];
+            this.calculateInvoiceTotals();
+            this.recordEdit('Add charge', previousState);
+
+            this.trackBillingEvent('charge_added', {
+                invoiceId: this.currentInvoice.id,
+                type: charge.type,
+                amount: charge.amount
+            });
+
+            return charge;
+
+        } catch (error) {
+            console.error('Failed to add charge:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a charge on the current invoice
+     * @param {string} chargeId - Charge ID
+     * @param {Object} chargeData - Updated fields
+     * @returns {Object} Updated charge
+     */
+    updateCharge(chargeId, chargeData) {
+        try {
+            const charge = this.getCharges().find(c => c.id === chargeId);
+            if (!charge) {
+                throw new Error('Charge not found');
+            }
+
+            const validation = this.validateChargeData({ ...charge, ...chargeData });
+            if (!validation.valid) {
+                throw new Error(`Invalid charge: ${validation.errors.join(', ')}`);
+            }
+
+            const previousState = this.captureEditState();
+            ['name', 'sac'].forEach(field => {
+                if (chargeData[field] !== undefined) charge[field] = chargeData[field];
+            });
+            ['taxRate', 'amount'].forEach(field => {
+                if (chargeData[field] !== undefined) charge[field] = parseFloat(chargeData[field]) || 0;
+            });
+
+            this.calculateInvoiceTotals();
+            this.recordEdit('Update charge', previousState);
+
+            this.trackBillingEvent('charge_updated', {
+                invoiceId: this.currentInvoice.id,
+                chargeId
+            });
+
+            return charge;
+
+        } catch (error) {
+            console.error('Failed to update charge:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a charge from the current invoice
+     * @param {string} chargeId - Charge ID
+     * @returns {boolean} Success status
+     */
+    removeCharge(chargeId) {
+        const charges = this.getCharges();
+        if (!charges.some(c => c.id === chargeId)) {
+            return false;
+        }
+
+        const previousState = this.captureEditState();
+        this.currentInvoice.charges = charges.filter(c => c.id !== chargeId);
         this.calculateInvoiceTotals();
-        
-        this.trackBillingEvent('additional_charges_added', { 
+        this.recordEdit('Remove charge', previousState);
+
+        this.trackBillingEvent('charge_removed', {
             invoiceId: this.currentInvoice.id,
-            amount: amount 
+            chargeId
+        });
+
+        return true;
+    }
+
+    /**
+     * Get charges of an invoice
+     * @param {Object} invoice - Invoice
+     * @returns {Array} Charges
+     */
+    getCharges(invoice = this.currentInvoice) {
+        if (Array.isArray(invoice?.charges)) {
+            return invoice.charges;
+        }
+
+        // Invoices saved before charges were itemised carry a single untaxed amount
+        if (invoice?.additionalCharges > 0) {
+            return [{
+                id: `charge_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                type: 'other',
+                name: invoice.additionalChargesDescription || 'Additional Charges',
+                sac: '',
+                taxRate: 0,
+                amount: invoice.additionalCharges
+            }];
+        }
+
+        return [];
+    }
+
+    /**
+     * Get charge type configuration
+     * @param {string} typeId - Charge type ID
+     * @returns {Object} Charge type from AppConstants.CHARGE_TYPES
+     */
+    getChargeType(typeId) {
+        const types = window.AppConstants?.CHARGE_TYPES || [];
+        return types.find(type => type.id === typeId) ||
+            types.find(type => type.id === 'other') ||
+            { id: 'other', name: 'Other Charges', sac: '' };
+    }
+
+    /**
+     * Calculate tax on a charge the same way as on an item line
+     * @param {Object} charge - Charge
+     * @param {Object} invoice - Invoice the charge belongs to
+     */
+    calculateChargeTotals(charge, invoice = this.currentInvoice) {
+        const line = { quantity: 1, rate: charge.amount, taxRate: charge.taxRate };
+        this.calculateItemTotals(line, invoice);
+
+        ['taxableAmount', 'cgst', 'sgst', 'igst', 'cess', 'totalTax', 'total'].forEach(field => {
+            charge[field] = line[field];
         });
     }
 
+    /**
+     * Validate charge data
+     * @param {Object} chargeData - Charge data
+     * @returns {Object} Validation result
+     */
+    validateChargeData(chargeData) {
+        const errors = [];
+
+        if (!(parseFloat(chargeData.amount) > 0)) {
+            errors.push('Charge amount must be greater than 0');
+        }
+
+        if (chargeData.taxRate !== undefined && (chargeData.taxRate < 0 || chargeData.taxRate > 100)) {
+            errors.push('Tax rate must be between 0 and 100');
+        }
+
+        if (chargeData.sac && !/^99\d{4}$/.test(String(chargeData.sac))) {
+            errors.push('SAC code must be 6 digits starting with 99');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
     /**
      * Generate invoice
      * @param {Object} options - Generation options
@@ -576,231 +1797,1946 @@ class BillingEngine {
                 throw new Error('No active invoice');
             }
 
-            if (!this.invoiceItems.length) {
-                throw new Error('Invoice must have at least one item');
+            if (!this.invoiceItems.length) {
+                throw new Error('Invoice must have at least one item');
+            }
+
+            // Estimates, challans and proformas have their own lifecycle and are not sales
+            if (this.currentInvoice.billType === 'estimate') {
+                return this.issueEstimate();
+            }
+
+            if (this.currentInvoice.billType === 'delivery_challan') {
+                return this.issueChallan();
+            }
+
+            if (this.currentInvoice.billType === 'proforma') {
+                return this.issueProforma();
+            }
+
+            // Validate invoice
+            const validation = this.validateInvoice();
+            if (!validation.valid) {
+                throw new Error(`Invoice validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            if (!this.canTransitionStatus(this.currentInvoice, 'generated')) {
+                throw new Error(`Invoice is already ${this.currentInvoice.status}`);
+            }
+
+            // Validate split tender before anything is committed
+            const tenderPlan = options.tenders?.length ? this.prepareTenders(options.tenders) : null;
+
+            if (this.currentInvoice.customerId && !this.customerManager.getCustomerById(this.currentInvoice.customerId)) {
+                throw new Error('Customer not found');
+            }
+
+            const invoiceId = await this.commitGeneratedInvoice(tenderPlan);
+
+            // Count redemptions towards promotion usage limits
+            window.PromotionManager?.recordUsage(this.currentInvoice);
+            this.clearEditHistory(this.currentInvoice.id);
+
+            // Open the receivable in the payment ledger
+            await this.syncPaymentStatus(invoiceId);
+
+            // Record what was collected at the counter
+            if (tenderPlan && window.PaymentManager) {
+                for (const tender of tenderPlan.tenders.filter(t => t.applied > 0)) {
+                    await window.PaymentManager.recordPayment(invoiceId, {
+                        amount: tender.applied,
+                        method: tender.method,
+                        reference: tender.reference || tender.redemptionId || '',
+                        notes: tender.method === 'loyalty' ? `${tender.points} loyalty points redeemed` : ''
+                    });
+                }
+                Object.assign(this.currentInvoice, this.dataManager.getInvoice(invoiceId));
+            }
+
+            // Generate PDF if requested
+            if (options.generatePDF !== false) {
+                // PDF generation will be handled by pdfGenerator
+                this.currentInvoice.pdfGenerated = true;
+            }
+
+            // Send notifications if enabled
+            if (options.sendNotifications !== false) {
+                await this.sendInvoiceNotifications();
+            }
+
+            // Track event
+            this.trackBillingEvent('invoice_generated', { 
+                invoiceId: this.currentInvoice.id,
+                invoiceNumber: this.currentInvoice.invoiceNumber,
+                total: this.invoiceTotals.grandTotal,
+                items: this.invoiceItems.length 
+            });
+
+            console.log('Invoice generated:', this.currentInvoice.invoiceNumber);
+            return this.currentInvoice;
+            
+        } catch (error) {
+            console.error('Failed to generate invoice:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply the side effects of generating the current invoice and save it
+     * Anything done before a failure is rolled back so the invoice can be generated again
+     * @param {Object|null} tenderPlan - Prepared split tender
+     * @returns {Promise<string>} Saved invoice ID
+     */
+    async commitGeneratedInvoice(tenderPlan) {
+        const invoice = this.currentInvoice;
+        const previous = {
+            invoiceNumber: invoice.invoiceNumber,
+            draftNumber: invoice.draftNumber,
+            status: invoice.status,
+            statusHistory: invoice.statusHistory,
+            tenders: invoice.tenders,
+            changeDue: invoice.changeDue,
+            paymentMethod: invoice.paymentMethod
+        };
+        const redemptionIds = [];
+        let purchaseApplied = false;
+        let stockUpdates = [];
+
+        try {
+            // Numbers are taken from the series here so a failed generation can hand its number back
+            await this.assignFinalNumber();
+
+            // Update invoice status
+            this.transitionInvoiceStatus(invoice, 'generated');
+            invoice.generatedAt = new Date().toISOString();
+            invoice.generatedBy = 'user';
+
+            if (tenderPlan) {
+                // Loyalty tenders are redeemed before any other effect so a failed redemption stops the sale
+                for (const tender of tenderPlan.tenders.filter(t => t.method === 'loyalty')) {
+                    const redemption = await this.customerManager.redeemLoyaltyPoints(invoice.customerId, tender.points);
+                    tender.redemptionId = redemption.redemptionId;
+                    redemptionIds.push(redemption.redemptionId);
+                }
+
+                invoice.tenders = tenderPlan.tenders;
+                invoice.changeDue = tenderPlan.changeDue;
+                invoice.paymentMethod = tenderPlan.tenders.length > 1 ? 'split' : tenderPlan.tenders[0].method;
+            }
+
+            // Update customer purchase data, remembering the points earned so they can be reversed
+            if (invoice.customerId) {
+                const pointsBefore = this.customerManager.getCustomerById(invoice.customerId)?.lifetimePoints || 0;
+                const customer = await this.customerManager.updateCustomerPurchase(invoice.customerId, invoice);
+                invoice.loyaltyPointsEarned = (customer.lifetimePoints || 0) - pointsBefore;
+                purchaseApplied = true;
+            }
+
+            // Update product stock
+            stockUpdates = await this.updateProductStock();
+
+            // Save invoice
+            return this.dataManager.saveInvoice(invoice);
+
+        } catch (error) {
+            await this.revertStockUpdates(stockUpdates);
+
+            if (invoice.invoiceNumber !== previous.invoiceNumber) {
+                this.releaseInvoiceNumber(invoice.invoiceNumber, invoice.invoiceDate);
+            }
+
+            Object.assign(invoice, previous);
+            delete invoice.generatedAt;
+            delete invoice.generatedBy;
+
+            if (invoice.customerId && (purchaseApplied || redemptionIds.length > 0)) {
+                try {
+                    await this.customerManager.reverseCustomerPurchase(
+                        invoice.customerId,
+                        purchaseApplied ? invoice.totals?.grandTotal : 0,
+                        {
+                            countInvoice: purchaseApplied,
+                            points: purchaseApplied ? invoice.loyaltyPointsEarned || 0 : 0,
+                            redemptionIds,
+                            reason: 'generate_failed'
+                        }
+                    );
+                } catch (rollbackError) {
+                    console.error('Failed to roll back customer changes:', rollbackError);
+                }
+            }
+            delete invoice.loyaltyPointsEarned;
+
+            throw error;
+        }
+    }
+
+    /**
+     * Issue current estimate to the customer
+     * @returns {Promise<Object>} Issued estimate
+     */
+    async issueEstimate() {
+        try {
+            const validation = this.validateInvoice();
+            if (!validation.valid) {
+                throw new Error(`Estimate validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            this.transitionInvoiceStatus(this.currentInvoice, 'open');
+            await this.assignFinalNumber();
+
+            this.currentInvoice.issuedAt = new Date().toISOString();
+            this.currentInvoice.paymentStatus = null;
+
+            this.dataManager.saveInvoice(this.currentInvoice);
+
+            this.trackBillingEvent('estimate_issued', {
+                invoiceId: this.currentInvoice.id,
+                invoiceNumber: this.currentInvoice.invoiceNumber,
+                total: this.invoiceTotals.grandTotal,
+                validUntil: this.currentInvoice.validUntil
+            });
+
+            console.log('Estimate issued:', this.currentInvoice.invoiceNumber);
+            return this.currentInvoice;
+
+        } catch (error) {
+            console.error('Failed to issue estimate:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark estimate as accepted by the customer
+     * @param {string} estimateId - Estimate ID
+     * @returns {Object} Updated estimate
+     */
+    acceptEstimate(estimateId) {
+        return this.updateEstimateStatus(estimateId, 'accepted', ['open']);
+    }
+
+    /**
+     * Mark estimate as rejected by the customer
+     * @param {string} estimateId - Estimate ID
+     * @param {string} reason - Rejection reason
+     * @returns {Object} Updated estimate
+     */
+    rejectEstimate(estimateId, reason = '') {
+        return this.updateEstimateStatus(estimateId, 'rejected', ['open', 'accepted'], { rejectionReason: reason });
+    }
+
+    /**
+     * Move estimate to a new lifecycle state
+     * @param {string} estimateId - Estimate ID
+     * @param {string} status - New status
+     * @param {Array} allowedFrom - Statuses the estimate may move from
+     * @param {Object} extra - Additional fields to store
+     * @returns {Object} Updated estimate
+     */
+    updateEstimateStatus(estimateId, status, allowedFrom, extra = {}) {
+        const estimate = this.getEstimate(estimateId);
+
+        if (this.isEstimateExpired(estimate) && estimate.status !== 'expired') {
+            this.expireEstimates();
+            throw new Error('Estimate has expired');
+        }
+
+        if (!allowedFrom.includes(estimate.status)) {
+            throw new Error(`Estimate cannot move from ${estimate.status} to ${status}`);
+        }
+
+        this.transitionInvoiceStatus(estimate, status, { reason: extra.rejectionReason || '' });
+        Object.assign(estimate, extra, {
+            [`${status}At`]: new Date().toISOString()
+        });
+        this.dataManager.saveInvoice(estimate);
+
+        this.trackBillingEvent(`estimate_${status}`, { invoiceId: estimate.id });
+        return estimate;
+    }
+
+    /**
+     * Expire open estimates past their validity date
+     * @returns {number} Number of estimates expired
+     */
+    expireEstimates() {
+        const expired = this.dataManager.getInvoices()
+            .filter(inv => inv.billType === 'estimate' && this.isEstimateExpired(inv));
+
+        expired.forEach(estimate => {
+            this.transitionInvoiceStatus(estimate, 'expired', {
+                by: 'system',
+                reason: `Not accepted by ${estimate.validUntil}`
+            });
+            estimate.expiredAt = new Date().toISOString();
+            this.dataManager.saveInvoice(estimate);
+        });
+
+        if (expired.length > 0) {
+            this.trackBillingEvent('estimates_expired', { count: expired.length });
+        }
+
+        return expired.length;
+    }
+
+    /**
+     * Check whether an open estimate is past its validity date
+     * @param {Object} estimate - Estimate
+     * @returns {boolean} True when expired
+     */
+    isEstimateExpired(estimate) {
+        const today = new Date().toISOString().split('T')[0];
+        return ['open', 'accepted'].includes(estimate.status) && 
+            !!estimate.validUntil && estimate.validUntil < today;
+    }
+
+    /**
+     * Convert estimate into a new tax invoice
+     * @param {string} estimateId - Estimate ID
+     * @returns {Promise<Object>} New draft invoice, loaded as current
+     */
+    async convertEstimateToInvoice(estimateId) {
+        try {
+            const estimate = this.getEstimate(estimateId);
+
+            if (this.isEstimateExpired(estimate)) {
+                this.expireEstimates();
+                throw new Error('Estimate has expired');
+            }
+
+            if (!['open', 'accepted'].includes(estimate.status)) {
+                throw new Error(`Estimate is ${estimate.status} and cannot be converted`);
+            }
+
+            const invoice = await this.createInvoiceFromDocuments([estimate], {
+                estimateId: estimate.id,
+                estimateNumber: estimate.invoiceNumber
+            });
+
+            this.transitionInvoiceStatus(estimate, 'converted');
+            estimate.convertedAt = new Date().toISOString();
+            estimate.convertedInvoiceId = invoice.id;
+            this.dataManager.saveInvoice(estimate);
+
+            this.trackBillingEvent('estimate_converted', {
+                estimateId: estimate.id,
+                invoiceId: invoice.id
+            });
+
+            console.log('Estimate converted to invoice:', estimate.invoiceNumber);
+            return invoice;
+
+        } catch (error) {
+            console.error('Failed to convert estimate:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get estimate by ID
+     * @param {string} estimateId - Estimate ID
+     * @returns {Object} Estimate
+     */
+    getEstimate(estimateId) {
+        return this.getDocumentOfType(estimateId, 'estimate', 'Estimate');
+    }
+
+    /**
+     * Issue current delivery challan and dispatch the goods
+     * @returns {Promise<Object>} Issued challan
+     */
+    async issueChallan() {
+        try {
+            const validation = this.validateInvoice();
+            if (!validation.valid) {
+                throw new Error(`Challan validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            const challan = this.currentInvoice;
+            this.transitionInvoiceStatus(challan, 'dispatched');
+            await this.assignFinalNumber();
+
+            // Record dispatched quantities so the final invoice does not move stock again
+            if (challan.moveStock) {
+                const stockUpdates = this.invoiceItems
+                    .filter(item => item.productId)
+                    .map(item => ({
+                        productId: item.productId,
+                        quantity: -item.quantity,
+                        type: 'dispatch',
+                        notes: `Dispatched on challan ${challan.invoiceNumber}`
+                    }));
+
+                if (stockUpdates.length > 0) {
+                    await this.productManager.bulkUpdateStock(stockUpdates);
+                }
+
+                this.invoiceItems.forEach(item => {
+                    item.dispatchedQuantity = item.productId ? item.quantity : 0;
+                });
+                challan.items = [...this.invoiceItems];
+            }
+
+            challan.dispatchedAt = new Date().toISOString();
+            challan.paymentStatus = null;
+
+            this.dataManager.saveInvoice(challan);
+
+            this.trackBillingEvent('challan_issued', {
+                invoiceId: challan.id,
+                invoiceNumber: challan.invoiceNumber,
+                moveStock: challan.moveStock,
+                items: this.invoiceItems.length
+            });
+
+            console.log('Delivery challan issued:', challan.invoiceNumber);
+            return challan;
+
+        } catch (error) {
+            console.error('Failed to issue challan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Merge one or more dispatched challans into a single tax invoice
+     * @param {Array} challanIds - Challan IDs
+     * @returns {Promise<Object>} New draft invoice, loaded as current
+     */
+    async convertChallansToInvoice(challanIds = []) {
+        try {
+            if (!challanIds.length) {
+                throw new Error('Select at least one challan to invoice');
+            }
+
+            const challans = challanIds.map(id => this.getDocumentOfType(id, 'delivery_challan', 'Challan'));
+
+            const notDispatched = challans.find(challan => challan.status !== 'dispatched');
+            if (notDispatched) {
+                throw new Error(`Challan ${notDispatched.invoiceNumber} is ${notDispatched.status} and cannot be invoiced`);
+            }
+
+            const customers = new Set(challans.map(challan => challan.customerId || null));
+            if (customers.size > 1) {
+                throw new Error('Challans for different customers cannot be merged');
+            }
+
+            const invoice = await this.createInvoiceFromDocuments(challans, {
+                challanIds: challans.map(challan => challan.id),
+                challanNumbers: challans.map(challan => challan.invoiceNumber)
+            });
+
+            challans.forEach(challan => {
+                this.transitionInvoiceStatus(challan, 'invoiced');
+                challan.invoicedAt = new Date().toISOString();
+                challan.convertedInvoiceId = invoice.id;
+                this.dataManager.saveInvoice(challan);
+            });
+
+            this.trackBillingEvent('challans_invoiced', {
+                challanIds: invoice.challanIds,
+                invoiceId: invoice.id
+            });
+
+            console.log('Challans merged into invoice:', invoice.challanNumbers.join(', '));
+            return invoice;
+
+        } catch (error) {
+            console.error('Failed to invoice challans:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Issue current proforma invoice to the customer
+     * @returns {Promise<Object>} Issued proforma
+     */
+    async issueProforma() {
+        try {
+            const validation = this.validateInvoice();
+            if (!validation.valid) {
+                throw new Error(`Proforma validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            this.transitionInvoiceStatus(this.currentInvoice, 'issued');
+            await this.assignFinalNumber();
+
+            this.currentInvoice.issuedAt = new Date().toISOString();
+            this.currentInvoice.paymentStatus = null;
+
+            this.dataManager.saveInvoice(this.currentInvoice);
+
+            this.trackBillingEvent('proforma_issued', {
+                invoiceId: this.currentInvoice.id,
+                invoiceNumber: this.currentInvoice.invoiceNumber,
+                total: this.invoiceTotals.grandTotal
+            });
+
+            console.log('Proforma invoice issued:', this.currentInvoice.invoiceNumber);
+            return this.currentInvoice;
+
+        } catch (error) {
+            console.error('Failed to issue proforma:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert proforma into a new tax invoice
+     * @param {string} proformaId - Proforma ID
+     * @returns {Promise<Object>} New draft invoice, loaded as current
+     */
+    async convertProformaToInvoice(proformaId) {
+        try {
+            const proforma = this.getDocumentOfType(proformaId, 'proforma', 'Proforma');
+
+            if (proforma.status !== 'issued') {
+                throw new Error(`Proforma is ${proforma.status} and cannot be converted`);
+            }
+
+            const invoice = await this.createInvoiceFromDocuments([proforma], {
+                proformaId: proforma.id,
+                proformaNumber: proforma.invoiceNumber
+            });
+
+            this.transitionInvoiceStatus(proforma, 'converted');
+            proforma.convertedAt = new Date().toISOString();
+            proforma.convertedInvoiceId = invoice.id;
+            this.dataManager.saveInvoice(proforma);
+
+            this.trackBillingEvent('proforma_converted', {
+                proformaId: proforma.id,
+                invoiceId: invoice.id
+            });
+
+            console.log('Proforma converted to invoice:', proforma.invoiceNumber);
+            return invoice;
+
+        } catch (error) {
+            console.error('Failed to convert proforma:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build a new tax invoice from the items of source documents
+     * @param {Array} documents - Estimates, challans or proformas
+     * @param {Object} links - Source references stored on the invoice
+     * @returns {Promise<Object>} New draft invoice, loaded as current
+     */
+    async createInvoiceFromDocuments(documents, links = {}) {
+        const [source] = documents;
+
+        const invoice = await this.createNewInvoice({
+            customerId: source.customerId,
+            customerData: source.customerData,
+            placeOfSupply: source.placeOfSupply,
+            supplyType: source.supplyType,
+            reverseCharge: source.reverseCharge,
+            lutReference: source.lutReference,
+            withholdingSection: source.withholdingSection,
+            withholdingRate: source.withholdingRate,
+            couponCodes: source.couponCodes,
+            billType: 'tax_invoice',
+            taxCalculation: source.taxCalculation,
+            paymentTerms: source.paymentTerms,
+            deliveryAddress: source.deliveryAddress,
+            notes: source.notes,
+            termsAndConditions: source.termsAndConditions
+        });
+
+        this.bulkEntryMode = true;
+        try {
+            for (const document of documents) {
+                // Free lines come back from the promotion itself
+                for (const item of document.items.filter(i => !i.isPromotionLine)) {
+                    const newItem = await this.addItem({
+                        productId: item.productId,
+                        name: item.name,
+                        description: item.description,
+                        hsn: item.hsn,
+                        unit: item.unit,
+                        quantity: item.quantity,
+                        rate: item.rate,
+                        taxRate: item.taxRate,
+                        cessRate: item.cessRate,
+                        cessPerUnit: item.cessPerUnit,
+                        discountType: item.discountType,
+                        discountPercent: item.discountPercent,
+                        fixedDiscount: item.fixedDiscount,
+                        category: item.category,
+                        notes: item.notes
+                    });
+
+                    newItem.sourceDocumentId = document.id;
+                    newItem.dispatchedQuantity = item.dispatchedQuantity || 0;
+                }
+            }
+        } finally {
+            this.bulkEntryMode = false;
+        }
+        invoice.items = [...this.invoiceItems];
+
+        // Document-level discount and charges only carry over from a single source
+        if (documents.length === 1) {
+            if (source.discountPercent > 0 || source.fixedDiscount > 0) {
+                this.applyInvoiceDiscount(source.discountPercent, source.discountType === 'fixed' ? source.fixedDiscount : 0);
+            }
+
+            this.getCharges(source).forEach(charge => this.addCharge(charge));
+        }
+
+        Object.assign(invoice, links);
+        await this.saveCurrentInvoice();
+
+        return invoice;
+    }
+
+    /**
+     * Get a stored document of a given bill type
+     * @param {string} documentId - Document ID
+     * @param {string} billType - Expected bill type
+     * @param {string} label - Name used in errors
+     * @returns {Object} Document
+     */
+    getDocumentOfType(documentId, billType, label) {
+        const document = this.dataManager.getInvoice(documentId);
+        if (!document || document.billType !== billType) {
+            throw new Error(`${label} not found`);
+        }
+        return document;
+    }
+
+    /**
+     * Get bill type configuration
+     * @param {string} billType - Bill type ID
+     * @returns {Object|undefined} Bill type configuration
+     */
+    getBillTypeConfig(billType) {
+        return Object.values(window.AppConstants?.BILL_TYPES || {}).find(type => type.id === billType);
+    }
+
+    /**
+     * Save current invoice as draft
+     * @returns {Promise<string>} Invoice ID
+     */
+    async saveCurrentInvoice() {
+        try {
+            if (!this.currentInvoice) {
+                throw new Error('No active invoice');
+            }
+
+            this.currentInvoice.updatedAt = new Date().toISOString();
+
+            // Amendments stay in memory until committed as a new version
+            if (this.amendment?.invoiceId === this.currentInvoice.id) {
+                return this.currentInvoice.id;
+            }
+            
+            const invoiceId = this.dataManager.saveInvoice(this.currentInvoice);
+            
+            this.trackBillingEvent('invoice_saved', { 
+                invoiceId: this.currentInvoice.id,
+                status: this.currentInvoice.status 
+            });
+
+            return invoiceId;
+            
+        } catch (error) {
+            console.error('Failed to save invoice:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Bulk add items to invoice
+     * @param {Array} itemsData - Array of item data
+     * @returns {Promise<Object>} Bulk operation result
+     */
+    async bulkAddItems(itemsData) {
+        try {
+            this.bulkEntryMode = true;
+            
+            const results = {
+                success: [],
+                errors: [],
+                total: itemsData.length
+            };
+
+            for (let i = 0; i < itemsData.length; i++) {
+                try {
+                    const item = await this.addItem(itemsData[i]);
+                    results.success.push({
+                        index: i,
+                        item: item,
+                        data: itemsData[i]
+                    });
+                } catch (error) {
+                    results.errors.push({
+                        index: i,
+                        error: error.message,
+                        data: itemsData[i]
+                    });
+                }
+            }
+
+            // Save once after all items
+            if (results.success.length > 0) {
+                await this.saveCurrentInvoice();
+            }
+
+            this.bulkEntryMode = false;
+
+            this.trackBillingEvent('bulk_items_added', {
+                invoiceId: this.currentInvoice.id,
+                total: results.total,
+                success: results.success.length,
+                errors: results.errors.length
+            });
+
+            return results;
+            
+        } catch (error) {
+            this.bulkEntryMode = false;
+            console.error('Failed to bulk add items:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Enable multi-bill mode
+     */
+    enableMultiBillMode() {
+        this.multiBillMode = true;
+        console.log('Multi-bill mode enabled');
+        
+        this.trackBillingEvent('multi_bill_enabled');
+    }
+
+    /**
+     * Disable multi-bill mode
+     * Draft bills left open in other tabs are parked rather than lost; generated invoices are already saved
+     */
+    disableMultiBillMode() {
+        [...this.openInvoices.entries()]
+            .filter(([invoiceId, invoice]) => invoiceId !== this.activeInvoiceId &&
+                invoice.status === 'draft' && invoice.items?.length)
+            .forEach(([, invoice]) => this.parkInvoice(invoice));
+
+        this.multiBillMode = false;
+        this.openInvoices.clear();
+        this.activeInvoiceId = null;
+        console.log('Multi-bill mode disabled');
+        
+        this.trackBillingEvent('multi_bill_disabled');
+    }
+
+    /**
+     * Switch active invoice in multi-bill mode
+     * @param {string} invoiceId - Invoice ID to switch to
+     */
+    switchActiveInvoice(invoiceId) {
+        if (!this.multiBillMode) return;
+
+        const invoice = this.openInvoices.get(invoiceId);
+        if (invoice) {
+            this.currentInvoice = invoice;
+            this.invoiceItems = invoice.items || [];
+            this.invoiceTotals = invoice.totals || this.getInitialTotals();
+            this.activeInvoiceId = invoiceId;
+            
+            this.trackBillingEvent('active_invoice_switched', { invoiceId });
+        }
+    }
+
+    /**
+     * Load parked bills from storage
+     */
+    loadParkedBills() {
+        try {
+            this.parkedBills = this.dataManager.getItem('parkedBills') || [];
+            if (this.parkedBills.length) {
+                console.log(`Restored ${this.parkedBills.length} parked bills`);
+            }
+        } catch (error) {
+            console.error('Failed to load parked bills:', error);
+            this.parkedBills = [];
+        }
+    }
+
+    /**
+     * Save parked bills to storage
+     */
+    saveParkedBills() {
+        this.dataManager.setItem('parkedBills', this.parkedBills);
+    }
+
+    /**
+     * Get the number of bills that may be open at once
+     * @returns {number} Multi-bill limit
+     */
+    getMultiBillLimit() {
+        return window.AppConfig?.billing?.multiBillLimit || 5;
+    }
+
+    /**
+     * Throw when another open or parked bill would exceed the multi-bill limit
+     * @param {string} invoiceId - Bill being added, if it is already counted
+     */
+    checkMultiBillLimit(invoiceId = null) {
+        const openBills = new Set([...this.openInvoices.keys(), ...this.parkedBills.map(bill => bill.id)]);
+        if (invoiceId && openBills.has(invoiceId)) {
+            return;
+        }
+
+        const limit = this.getMultiBillLimit();
+        if (openBills.size >= limit) {
+            throw new Error(`Only ${limit} bills can be open or parked at a time; resume or discard a parked bill first`);
+        }
+    }
+
+    /**
+     * Park a draft bill so the counter can serve the next customer
+     * @param {Object} invoice - Draft invoice
+     * @param {string} label - Label shown in the parked bills list
+     * @returns {Object} Parked bill
+     */
+    parkInvoice(invoice, label = '') {
+        if (invoice.status !== 'draft') {
+            throw new Error('Only draft bills can be parked');
+        }
+
+        // A bill that is already open or parked counts against the limit once
+        const existing = this.parkedBills.find(bill => bill.id === invoice.id);
+        this.checkMultiBillLimit(invoice.id);
+
+        const parkedBill = {
+            id: invoice.id,
+            label: label || existing?.label || invoice.customerData?.name || invoice.invoiceNumber,
+            parkedAt: new Date().toISOString(),
+            itemCount: (invoice.items || []).length,
+            grandTotal: invoice.totals?.grandTotal || 0,
+            invoice: JSON.parse(JSON.stringify(invoice))
+        };
+
+        this.parkedBills = [...this.parkedBills.filter(bill => bill.id !== invoice.id), parkedBill];
+        this.saveParkedBills();
+        this.openInvoices.delete(invoice.id);
+
+        this.trackBillingEvent('bill_parked', {
+            invoiceId: invoice.id,
+            items: parkedBill.itemCount
+        });
+
+        return parkedBill;
+    }
+
+    /**
+     * Park the current bill and clear the counter for the next customer
+     * @param {string} label - Label shown in the parked bills list
+     * @returns {Object} Parked bill
+     */
+    parkCurrentInvoice(label = '') {
+        if (!this.currentInvoice || !this.invoiceItems.length) {
+            throw new Error('No bill with items to park');
+        }
+
+        this.currentInvoice.items = [...this.invoiceItems];
+        const parkedBill = this.parkInvoice(this.currentInvoice, label);
+
+        this.openInvoices.delete(this.currentInvoice.id);
+        this.currentInvoice = null;
+        this.invoiceItems = [];
+        this.invoiceTotals = this.getInitialTotals();
+        this.activeInvoiceId = null;
+
+        return parkedBill;
+    }
+
+    /**
+     * Resume a parked bill; the bill in progress is parked in its place
+     * @param {string} parkedId - Parked bill ID
+     * @returns {Object} Resumed invoice
+     */
+    resumeParkedBill(parkedId) {
+        const parkedBill = this.parkedBills.find(bill => bill.id === parkedId);
+        if (!parkedBill) {
+            throw new Error('Parked bill not found');
+        }
+
+        // The bill in progress takes the resumed bill's place, so swapping never hits the limit
+        this.parkedBills = this.parkedBills.filter(bill => bill.id !== parkedId);
+        if (this.currentInvoice && this.currentInvoice.id !== parkedId &&
+            this.currentInvoice.status === 'draft' && this.invoiceItems.length) {
+            try {
+                this.parkCurrentInvoice();
+            } catch (error) {
+                this.parkedBills.push(parkedBill);
+                throw error;
+            }
+        }
+
+        const invoice = parkedBill.invoice;
+        this.saveParkedBills();
+
+        this.currentInvoice = invoice;
+        this.invoiceItems = invoice.items || [];
+        this.invoiceTotals = invoice.totals || this.getInitialTotals();
+
+        if (this.multiBillMode) {
+            this.openInvoices.set(invoice.id, invoice);
+            this.activeInvoiceId = invoice.id;
+        }
+
+        this.trackBillingEvent('bill_resumed', {
+            invoiceId: invoice.id,
+            parkedFor: Date.now() - new Date(parkedBill.parkedAt).getTime()
+        });
+
+        return invoice;
+    }
+
+    /**
+     * Discard a parked bill; asks for confirmation unless already confirmed
+     * @param {string} parkedId - Parked bill ID
+     * @param {Object} options - Options (confirmed)
+     * @returns {boolean} True when the bill was discarded
+     */
+    discardParkedBill(parkedId, options = {}) {
+        const parkedBill = this.parkedBills.find(bill => bill.id === parkedId);
+        if (!parkedBill) {
+            return false;
+        }
+
+        if (!options.confirmed) {
+            window.ModalComponents?.showConfirm(
+                `Discard parked bill "${window.FormattingUtils.sanitizeHtml(parkedBill.label)}" with ${parkedBill.itemCount} items (₹${parkedBill.grandTotal.toFixed(2)})? This cannot be undone.`,
+                'Discard parked bill',
+                () => this.discardParkedBill(parkedId, { confirmed: true })
+            );
+            return false;
+        }
+
+        this.parkedBills = this.parkedBills.filter(bill => bill.id !== parkedId);
+        this.saveParkedBills();
+
+        // Parking saved the bill as a draft too
+        this.dataManager.deleteDraftInvoice(parkedId);
+        this.clearEditHistory(parkedId);
+
+        this.trackBillingEvent('parked_bill_discarded', {
+            invoiceId: parkedId,
+            items: parkedBill.itemCount
+        });
+
+        return true;
+    }
+
+    /**
+     * Get parked bills, oldest first
+     * @returns {Array} Parked bill summaries
+     */
+    getParkedBills() {
+        return this.parkedBills
+            .map(({ invoice, ...summary }) => summary)
+            .sort((a, b) => new Date(a.parkedAt) - new Date(b.parkedAt));
+    }
+
+    /**
+     * Update product stock after invoice generation
+     * @returns {Promise<Array>} Applied stock updates
+     */
+    async updateProductStock() {
+        // Quantities already dispatched on a challan left stock at that point, and any
+        // dispatched quantity no longer billed comes back
+        const stockUpdates = this.invoiceItems
+            .filter(item => item.productId && item.quantity !== (item.dispatchedQuantity || 0))
+            .map(item => {
+                const quantity = -(item.quantity - (item.dispatchedQuantity || 0)); // Negative for sale
+                return quantity < 0 ? {
+                    productId: item.productId,
+                    quantity,
+                    type: 'sale',
+                    notes: `Sold in invoice ${this.currentInvoice.invoiceNumber}`
+                } : {
+                    productId: item.productId,
+                    quantity,
+                    type: 'return',
+                    notes: `Dispatched but not billed in invoice ${this.currentInvoice.invoiceNumber}`
+                };
+            });
+
+        // Applied one at a time so a failure part way through can be undone
+        const applied = [];
+        try {
+            for (const update of stockUpdates) {
+                await this.productManager.updateStock(update.productId, update.quantity, update.type, update.notes);
+                applied.push(update);
+            }
+        } catch (error) {
+            console.error('Failed to update product stock:', error);
+            await this.revertStockUpdates(applied);
+            throw error;
+        }
+
+        return applied;
+    }
+
+    /**
+     * Put back stock taken by a failed invoice generation
+     * @param {Array} stockUpdates - Applied stock updates
+     */
+    async revertStockUpdates(stockUpdates) {
+        for (const update of stockUpdates) {
+            try {
+                // A reversed return goes back out like a dispatch so sold totals stay right
+                await this.productManager.updateStock(
+                    update.productId,
+                    -update.quantity,
+                    update.type === 'return' ? 'dispatch' : 'cancellation',
+                    `Reversed failed generation of invoice ${this.currentInvoice.invoiceNumber}`
+                );
+            } catch (rollbackError) {
+                console.error('Failed to roll back stock update:', rollbackError);
+            }
+        }
+    }
+
+    /**
+     * Check whether an invoice may move to a status
+     * @param {Object} invoice - Invoice
+     * @param {string} status - Target status
+     * @returns {boolean} True when the transition is legal
+     */
+    canTransitionStatus(invoice, status) {
+        const transitions = window.AppConstants?.DOCUMENT_STATUS_TRANSITIONS?.[invoice?.billType] ||
+            window.AppConstants?.INVOICE_STATUS_TRANSITIONS || {};
+        return (transitions[invoice?.status || 'draft'] || []).includes(status);
+    }
+
+    /**
+     * Move an invoice to a new status and record the transition
+     * The caller saves the invoice
+     * @param {Object} invoice - Invoice
+     * @param {string} status - Target status
+     * @param {Object} details - Transition details (reason, by)
+     * @returns {Object} Recorded transition
+     */
+    transitionInvoiceStatus(invoice, status, details = {}) {
+        const from = invoice.status || 'draft';
+        if (!this.canTransitionStatus(invoice, status)) {
+            throw new Error(`Invoice ${invoice.invoiceNumber} cannot move from ${from} to ${status}`);
+        }
+
+        const transition = {
+            from,
+            to: status,
+            at: new Date().toISOString(),
+            by: details.by || 'user',
+            reason: details.reason || ''
+        };
+
+        invoice.status = status;
+        invoice.statusHistory = [...(invoice.statusHistory || []), transition];
+
+        this.trackBillingEvent('invoice_status_changed', {
+            invoiceId: invoice.id,
+            from,
+            to: status
+        });
+
+        return transition;
+    }
+
+    /**
+     * Status an invoice returns to when it is no longer settled
+     * @param {Object} invoice - Invoice
+     * @param {string} asOf - Date to check the due date against (YYYY-MM-DD)
+     * @returns {string} 'overdue', 'sent' or 'generated'
+     */
+    getUnpaidStatus(invoice, asOf = new Date().toISOString().split('T')[0]) {
+        if (invoice.dueDate && invoice.dueDate < asOf) {
+            return 'overdue';
+        }
+        return invoice.sentAt ? 'sent' : 'generated';
+    }
+
+    /**
+     * Record that the user sent an invoice to the customer
+     * Only a generated invoice moves to sent; paid and overdue invoices keep their status
+     * @param {string} invoiceId - Invoice ID
+     * @param {string} channel - How it was sent (email, sms, whatsapp, print)
+     * @returns {Object} Updated invoice
+     */
+    markInvoiceSent(invoiceId, channel = '') {
+        const invoice = this.dataManager.getInvoice(invoiceId);
+        if (!invoice) {
+            throw new Error('Invoice not found');
+        }
+
+        if (!AppConstants.RECEIVABLE_STATUSES.includes(invoice.status)) {
+            throw new Error(`A ${invoice.status} invoice cannot be sent`);
+        }
+
+        if (invoice.status === 'generated') {
+            this.transitionInvoiceStatus(invoice, 'sent', { reason: channel ? `Sent by ${channel}` : '' });
+        }
+        invoice.sentAt = invoice.sentAt || new Date().toISOString();
+        this.dataManager.saveInvoice(invoice);
+
+        return invoice;
+    }
+
+    /**
+     * Move unpaid invoices past their due date to overdue
+     * @param {string} asOf - Date to check against (YYYY-MM-DD)
+     * @returns {Array} Invoices that became overdue
+     */
+    markOverdueInvoices(asOf = new Date().toISOString().split('T')[0]) {
+        const overdue = this.dataManager.getInvoices().filter(inv =>
+            ['generated', 'sent'].includes(inv.status) &&
+            inv.dueDate && inv.dueDate < asOf &&
+            !['paid', 'overpaid'].includes(inv.paymentStatus));
+
+        overdue.forEach(invoice => {
+            this.transitionInvoiceStatus(invoice, 'overdue', {
+                by: 'system',
+                reason: `Unpaid after due date ${invoice.dueDate}`
+            });
+            this.dataManager.saveInvoice(invoice);
+        });
+
+        if (overdue.length > 0) {
+            this.trackBillingEvent('invoices_overdue', { count: overdue.length });
+        }
+
+        return overdue;
+    }
+
+    /**
+     * Get invoices currently overdue
+     * @returns {Array} Overdue invoices, oldest due date first
+     */
+    getOverdueInvoices() {
+        return this.dataManager.getInvoices()
+            .filter(inv => inv.status === 'overdue')
+            .sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || ''));
+    }
+
+    /**
+     * Send invoice notifications
+     * @param {Object} invoice - Invoice to notify about (defaults to current invoice)
+     * @param {Object} message - Message to send ({ subject, message }); defaults to the new invoice notice
+     * @returns {Promise<Array>} Channels the notification went out on
+     */
+    async sendInvoiceNotifications(invoice = this.currentInvoice, message = null) {
+        const channels = [];
+
+        try {
+            const customer = this.customerManager.getCustomerById(invoice.customerId) || invoice.customerData || {};
+            const subject = message?.subject || `Invoice ${invoice.invoiceNumber}`;
+
+            // Email notification (placeholder for future implementation)
+            if (customer.email) {
+                console.log(`Email notification would be sent to: ${customer.email} (${subject})`);
+                channels.push('email');
+            }
+
+            // SMS notification (placeholder for future implementation)
+            if (customer.phone) {
+                console.log(`SMS notification would be sent to: ${customer.phone}`);
+                channels.push('sms');
+            }
+            
+        } catch (error) {
+            console.warn('Failed to send notifications:', error);
+        }
+
+        return channels;
+    }
+
+    /**
+     * Issue credit note against a generated invoice
+     * @param {string} invoiceId - Original invoice ID
+     * @param {Array} returnItems - Lines to return as { itemId, quantity }; empty for a full return
+     * @param {Object} options - Credit note options
+     * @returns {Promise<Object>} Created credit note
+     */
+    async createCreditNote(invoiceId, returnItems = [], options = {}) {
+        try {
+            const invoice = this.dataManager.getInvoice(invoiceId);
+            if (!invoice) {
+                throw new Error('Invoice not found');
+            }
+
+            if (![...AppConstants.RECEIVABLE_STATUSES, 'returned'].includes(invoice.status)) {
+                throw new Error('Credit notes can only be issued against generated invoices');
+            }
+
+            // Quantities still available for return
+            const returnedQuantities = this.getReturnedQuantities(invoiceId);
+            const lines = returnItems.length
+                ? returnItems.map(line => ({ ...line, quantity: parseFloat(line.quantity) || 0 }))
+                : invoice.items.map(item => ({
+                    itemId: item.id,
+                    quantity: item.quantity - (returnedQuantities[item.id] || 0)
+                })).filter(line => line.quantity > 0);
+
+            const validation = this.validateReturnItems(invoice, lines, returnedQuantities);
+            if (!validation.valid) {
+                throw new Error(`Invalid return items: ${validation.errors.join(', ')}`);
+            }
+
+            // Line values already carry their share of the invoice discount
+            const precision = this.taxSettings.roundingPrecision;
+            const items = lines.map(line => {
+                const item = invoice.items.find(i => i.id === line.itemId);
+                const ratio = line.quantity / item.quantity;
+                const creditItem = {
+                    id: this.generateItemId(),
+                    originalItemId: item.id,
+                    productId: item.productId || null,
+                    name: item.name,
+                    hsn: item.hsn,
+                    unit: item.unit,
+                    quantity: line.quantity,
+                    rate: item.rate,
+                    taxRate: item.taxRate,
+                    cessRate: item.cessRate || 0,
+                    cessPerUnit: item.cessPerUnit || 0,
+                    discountAmount: this.roundValue(item.discountAmount * ratio, precision),
+                    taxableAmount: this.roundValue(item.taxableAmount * ratio, precision),
+                    cgst: this.roundValue(item.cgst * ratio, precision),
+                    sgst: this.roundValue(item.sgst * ratio, precision),
+                    igst: this.roundValue(item.igst * ratio, precision),
+                    cess: this.roundValue((item.cess || 0) * ratio, precision)
+                };
+                creditItem.totalTax = this.roundValue(
+                    creditItem.cgst + creditItem.sgst + creditItem.igst + creditItem.cess,
+                    precision
+                );
+                creditItem.total = this.roundValue(creditItem.taxableAmount + creditItem.totalTax, precision);
+                return creditItem;
+            });
+
+            // Charges are credited once, on the note that completes the return
+            const fullyReturned = invoice.items.every(item =>
+                (returnedQuantities[item.id] || 0) + lines
+                    .filter(line => line.itemId === item.id)
+                    .reduce((sum, line) => sum + line.quantity, 0) >= item.quantity
+            );
+            const charges = fullyReturned ? this.getCharges(invoice).map(charge => {
+                const creditCharge = {
+                    id: `charge_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                    originalChargeId: charge.id,
+                    type: charge.type,
+                    name: charge.name,
+                    sac: charge.sac,
+                    taxRate: charge.taxRate,
+                    amount: charge.amount
+                };
+                this.calculateChargeTotals(creditCharge, invoice);
+                return creditCharge;
+            }) : [];
+
+            const totals = this.calculateNoteTotals(items, invoice, charges);
+
+            // Last note takes the round off and rounding remainder so the notes add up to the invoice total
+            if (fullyReturned) {
+                const remaining = (invoice.totals?.grandTotal || 0) - (invoice.creditedAmount || 0);
+                totals.roundOff = this.roundValue(remaining - totals.grandTotal);
+                totals.grandTotal = this.roundValue(remaining);
+            }
+
+            const creditNote = {
+                id: this.generateCreditNoteId(),
+                creditNoteNumber: await this.generateCreditNoteNumber(options.noteDate),
+                documentType: 'credit_note',
+                originalInvoiceId: invoice.id,
+                originalInvoiceNumber: invoice.invoiceNumber,
+                originalInvoiceDate: invoice.invoiceDate,
+                businessId: invoice.businessId,
+                customerId: invoice.customerId,
+                customerData: invoice.customerData,
+                placeOfSupply: invoice.placeOfSupply,
+                supplyType: invoice.supplyType || 'regular',
+                reverseCharge: invoice.reverseCharge === true,
+                noteDate: options.noteDate || new Date().toISOString().split('T')[0],
+                reason: options.reason || 'Sales return',
+                items,
+                charges,
+                totals,
+                restocked: options.restock !== false,
+                status: 'issued',
+                createdAt: new Date().toISOString(),
+                createdBy: 'user'
+            };
+
+            // Put returned goods back in stock
+            if (creditNote.restocked) {
+                for (const item of items.filter(i => i.productId)) {
+                    await this.productManager.updateStock(
+                        item.productId,
+                        item.quantity,
+                        'return',
+                        `Returned against credit note ${creditNote.creditNoteNumber}`
+                    );
+                }
+            }
+
+            // Reduce customer spend and loyalty points
+            if (invoice.customerId) {
+                await this.customerManager.reverseCustomerPurchase(invoice.customerId, totals.grandTotal, {
+                    reason: 'credit_note'
+                });
+            }
+
+            this.dataManager.saveCreditNote(creditNote);
+
+            // Link credit note to the original invoice
+            invoice.creditNotes = [...(invoice.creditNotes || []), creditNote.id];
+            invoice.creditedAmount = this.roundValue((invoice.creditedAmount || 0) + totals.grandTotal);
+            if (fullyReturned) {
+                this.transitionInvoiceStatus(invoice, 'returned', { reason: `Fully returned on ${creditNote.creditNoteNumber}` });
+            }
+            this.dataManager.saveInvoice(invoice);
+
+            // Credited amount is no longer receivable
+            await this.syncPaymentStatus(invoice.id);
+
+            this.trackBillingEvent('credit_note_created', {
+                creditNoteId: creditNote.id,
+                invoiceId: invoice.id,
+                total: totals.grandTotal,
+                items: items.length
+            });
+
+            console.log('Credit note created:', creditNote.creditNoteNumber);
+            return creditNote;
+
+        } catch (error) {
+            console.error('Failed to create credit note:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get quantities already returned per invoice item
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Object} Returned quantity keyed by item ID
+     */
+    getReturnedQuantities(invoiceId) {
+        return this.dataManager.getCreditNotes()
+            .filter(cn => cn.originalInvoiceId === invoiceId && cn.status !== 'cancelled')
+            .reduce((acc, cn) => {
+                cn.items.forEach(item => {
+                    acc[item.originalItemId] = (acc[item.originalItemId] || 0) + (parseFloat(item.quantity) || 0);
+                });
+                return acc;
+            }, {});
+    }
+
+    /**
+     * Validate return lines against the original invoice
+     * @param {Object} invoice - Original invoice
+     * @param {Array} lines - Return lines
+     * @param {Object} returnedQuantities - Already returned quantities
+     * @returns {Object} Validation result
+     */
+    validateReturnItems(invoice, lines, returnedQuantities) {
+        const errors = [];
+
+        if (!lines.length) {
+            errors.push('Nothing left to return on this invoice');
+        }
+
+        lines.forEach((line, index) => {
+            const item = invoice.items.find(i => i.id === line.itemId);
+            if (!item) {
+                errors.push(`Line ${index + 1}: Item not found on invoice`);
+                return;
+            }
+
+            const quantity = parseFloat(line.quantity) || 0;
+            const returnable = item.quantity - (returnedQuantities[item.id] || 0);
+
+            if (quantity <= 0) {
+                errors.push(`Line ${index + 1}: Quantity must be greater than 0`);
+            } else if (quantity > returnable) {
+                errors.push(`Line ${index + 1}: Only ${returnable} of ${item.name} can be returned`);
+            }
+        });
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Calculate credit or debit note totals
+     * @param {Array} items - Note items
+     * @param {Object} invoice - Original invoice (reverse charge and supply type carry over)
+     * @param {Array} charges - Credited charges
+     * @returns {Object} Note totals
+     */
+    calculateNoteTotals(items, invoice = {}, charges = []) {
+        const totals = items.reduce((acc, item) => ({
+            subtotal: acc.subtotal + (item.quantity * item.rate),
+            discountAmount: acc.discountAmount + item.discountAmount,
+            taxableAmount: acc.taxableAmount + item.taxableAmount,
+            cgst: acc.cgst + item.cgst,
+            sgst: acc.sgst + item.sgst,
+            igst: acc.igst + item.igst,
+            cess: acc.cess + (item.cess || 0),
+            totalTax: acc.totalTax + item.totalTax,
+            totalQuantity: acc.totalQuantity + item.quantity
+        }), {
+            subtotal: 0,
+            discountAmount: 0,
+            taxableAmount: 0,
+            cgst: 0,
+            sgst: 0,
+            igst: 0,
+            cess: 0,
+            totalTax: 0,
+            totalQuantity: 0
+        });
+
+        // Add credited charges
+        const chargeSum = field => charges.reduce((sum, charge) => sum + (charge[field] || 0), 0);
+        const additionalCharges = chargeSum('taxableAmount');
+        totals.taxableAmount += additionalCharges;
+        totals.cgst += chargeSum('cgst');
+        totals.sgst += chargeSum('sgst');
+        totals.igst += chargeSum('igst');
+        totals.cess += chargeSum('cess');
+        totals.totalTax += chargeSum('totalTax');
+
+        return {
+            ...this.getInitialTotals(),
+            subtotal: this.roundValue(totals.subtotal),
+            discountAmount: this.roundValue(totals.discountAmount),
+            taxableAmount: this.roundValue(totals.taxableAmount),
+            cgst: this.roundValue(totals.cgst),
+            sgst: this.roundValue(totals.sgst),
+            igst: this.roundValue(totals.igst),
+            cess: this.roundValue(totals.cess),
+            totalTax: this.roundValue(totals.totalTax),
+            reverseChargeTax: invoice.reverseCharge ? this.roundValue(totals.totalTax) : 0,
+            zeroRatedAmount: this.getSupplyType(invoice).zeroRated ? this.roundValue(totals.taxableAmount) : 0,
+            additionalCharges: this.roundValue(additionalCharges),
+            charges: charges.map(charge => ({
+                name: charge.name,
+                sac: charge.sac,
+                taxRate: charge.taxRate,
+                taxableAmount: charge.taxableAmount,
+                totalTax: charge.totalTax
+            })),
+            grandTotal: this.roundValue(totals.taxableAmount + (invoice.reverseCharge ? 0 : totals.totalTax)),
+            totalQuantity: totals.totalQuantity,
+            totalItems: items.length
+        };
+    }
+
+    /**
+     * Issue debit note against a generated invoice
+     * @param {string} invoiceId - Original invoice ID
+     * @param {Array} itemsData - Revision lines (price difference or extra charges)
+     * @param {Object} options - Debit note options
+     * @returns {Promise<Object>} Created debit note
+     */
+    async createDebitNote(invoiceId, itemsData = [], options = {}) {
+        try {
+            const invoice = this.dataManager.getInvoice(invoiceId);
+            if (!invoice) {
+                throw new Error('Invoice not found');
+            }
+
+            if (!AppConstants.RECEIVABLE_STATUSES.includes(invoice.status)) {
+                throw new Error('Debit notes can only be issued against generated invoices');
+            }
+
+            if (!itemsData.length) {
+                throw new Error('Debit note must have at least one item');
+            }
+
+            itemsData.forEach((itemData, index) => {
+                const validation = this.validateItemData(itemData);
+                if (!validation.valid) {
+                    throw new Error(`Invalid item ${index + 1}: ${validation.errors.join(', ')}`);
+                }
+            });
+
+            // Tax follows the original invoice's place of supply and pricing mode
+            const context = {
+                placeOfSupply: invoice.placeOfSupply,
+                supplyType: invoice.supplyType,
+                taxCalculation: invoice.taxCalculation
+            };
+
+            const items = itemsData.map(itemData => {
+                const item = {
+                    id: this.generateItemId(),
+                    productId: itemData.productId || null,
+                    name: itemData.name || '',
+                    description: itemData.description || '',
+                    hsn: itemData.hsn || '',
+                    unit: itemData.unit || 'pcs',
+                    quantity: parseFloat(itemData.quantity) || 1,
+                    rate: parseFloat(itemData.rate) || 0,
+                    taxRate: itemData.taxRate !== undefined ? parseFloat(itemData.taxRate) : this.taxSettings.defaultTaxRate,
+                    cessRate: parseFloat(itemData.cessRate) || 0,
+                    cessPerUnit: parseFloat(itemData.cessPerUnit) || 0,
+                    discountType: itemData.discountType === 'fixed' ? 'fixed' : 'percentage',
+                    discountPercent: parseFloat(itemData.discountPercent) || 0,
+                    fixedDiscount: parseFloat(itemData.fixedDiscount) || 0,
+                    notes: itemData.notes || ''
+                };
+                this.calculateItemTotals(item, context);
+                return item;
+            });
+
+            const totals = this.calculateNoteTotals(items, invoice);
+
+            const debitNote = {
+                id: this.generateDebitNoteId(),
+                debitNoteNumber: await this.generateDebitNoteNumber(options.noteDate),
+                documentType: 'debit_note',
+                originalInvoiceId: invoice.id,
+                originalInvoiceNumber: invoice.invoiceNumber,
+                originalInvoiceDate: invoice.invoiceDate,
+                businessId: invoice.businessId,
+                customerId: invoice.customerId,
+                customerData: invoice.customerData,
+                placeOfSupply: invoice.placeOfSupply,
+                supplyType: invoice.supplyType || 'regular',
+                reverseCharge: invoice.reverseCharge === true,
+                taxCalculation: invoice.taxCalculation,
+                noteDate: options.noteDate || new Date().toISOString().split('T')[0],
+                reason: options.reason || 'Price revision',
+                items,
+                totals,
+                status: 'issued',
+                createdAt: new Date().toISOString(),
+                createdBy: 'user'
+            };
+
+            this.dataManager.saveDebitNote(debitNote);
+
+            // Link debit note to the original invoice
+            invoice.debitNotes = [...(invoice.debitNotes || []), debitNote.id];
+            invoice.debitedAmount = this.roundValue((invoice.debitedAmount || 0) + totals.grandTotal);
+            this.dataManager.saveInvoice(invoice);
+
+            // Amount raised is owed by the customer
+            if (window.PaymentManager) {
+                await this.syncPaymentStatus(invoice.id);
+            } else if (invoice.customerId) {
+                await this.customerManager.adjustOutstandingBalance(invoice.customerId, totals.grandTotal, {
+                    documentType: 'debit_note',
+                    documentId: debitNote.id
+                });
+            }
+
+            this.trackBillingEvent('debit_note_created', {
+                debitNoteId: debitNote.id,
+                invoiceId: invoice.id,
+                total: totals.grandTotal,
+                items: items.length
+            });
+
+            console.log('Debit note created:', debitNote.debitNoteNumber);
+            return debitNote;
+
+        } catch (error) {
+            console.error('Failed to create debit note:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel a generated invoice and reverse its side effects
+     * @param {string} invoiceId - Invoice ID
+     * @param {string} reason - Cancellation reason (required)
+     * @returns {Promise<Object>} Cancelled invoice
+     */
+    async cancelInvoice(invoiceId, reason) {
+        try {
+            const invoice = this.dataManager.getInvoice(invoiceId);
+            if (!invoice) {
+                throw new Error('Invoice not found');
+            }
+
+            if (!reason || !reason.trim()) {
+                throw new Error('Cancellation reason is required');
+            }
+
+            if (!AppConstants.RECEIVABLE_STATUSES.includes(invoice.status)) {
+                throw new Error(`Invoice is ${invoice.status} and cannot be cancelled`);
+            }
+
+            if (invoice.creditNotes?.length || invoice.debitNotes?.length) {
+                throw new Error('Invoice has credit or debit notes; issue a credit note for the balance instead');
+            }
+
+            // Put the goods back on the shelf
+            for (const item of (invoice.items || []).filter(i => i.productId)) {
+                await this.productManager.updateStock(
+                    item.productId,
+                    item.quantity,
+                    'cancellation',
+                    `Cancelled invoice ${invoice.invoiceNumber}`
+                );
+            }
+
+            // Take back spend, invoice count, earned points and tier; refund redeemed points
+            if (invoice.customerId) {
+                const redemptionIds = (invoice.tenders || [])
+                    .filter(tender => tender.method === 'loyalty' && tender.redemptionId)
+                    .map(tender => tender.redemptionId);
+
+                await this.customerManager.reverseCustomerPurchase(invoice.customerId, invoice.totals?.grandTotal || 0, {
+                    countInvoice: true,
+                    points: invoice.loyaltyPointsEarned,
+                    redemptionIds,
+                    reason: 'cancellation'
+                });
+            }
+
+            // Number stays reserved: the invoice is kept, only its status changes
+            this.transitionInvoiceStatus(invoice, 'cancelled', { reason: reason.trim() });
+            invoice.cancelledAt = new Date().toISOString();
+            window.PromotionManager?.releaseUsage(invoice.id);
+            invoice.cancellationReason = reason.trim();
+            invoice.auditTrail = [
+                ...(invoice.auditTrail || []),
+                {
+                    action: 'cancelled',
+                    reason: reason.trim(),
+                    at: invoice.cancelledAt,
+                    by: 'user'
+                }
+            ];
+            invoice.updatedAt = invoice.cancelledAt;
+            this.dataManager.saveInvoice(invoice);
+
+            // Receipts collected against the invoice are refunded
+            if (window.PaymentManager) {
+                const payments = window.PaymentManager.getInvoicePayments(invoice.id);
+                for (const payment of payments) {
+                    await window.PaymentManager.voidPayment(payment.id, `Invoice cancelled: ${reason.trim()}`);
+                }
+                if (!payments.length) {
+                    await this.syncPaymentStatus(invoice.id);
+                }
+            }
+
+            if (this.currentInvoice?.id === invoice.id) {
+                Object.assign(this.currentInvoice, this.dataManager.getInvoice(invoice.id));
+            }
+
+            this.trackBillingEvent('invoice_cancelled', {
+                invoiceId: invoice.id,
+                invoiceNumber: invoice.invoiceNumber,
+                total: invoice.totals?.grandTotal || 0
+            });
+
+            console.log('Invoice cancelled:', invoice.invoiceNumber);
+            return this.dataManager.getInvoice(invoice.id);
+
+        } catch (error) {
+            console.error('Failed to cancel invoice:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start amending a generated invoice
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Promise<Object>} Invoice loaded for editing
+     */
+    async beginAmendment(invoiceId) {
+        try {
+            const invoice = this.dataManager.getInvoice(invoiceId);
+            if (!invoice) {
+                throw new Error('Invoice not found');
+            }
+
+            if (!AppConstants.RECEIVABLE_STATUSES.includes(invoice.status)) {
+                throw new Error(`Invoice is ${invoice.status} and cannot be amended`);
+            }
+
+            if (invoice.creditNotes?.length || invoice.debitNotes?.length) {
+                throw new Error('Invoice has credit or debit notes; use a credit or debit note to change it');
+            }
+
+            if (invoice.eInvoice?.irn) {
+                throw new Error('Invoice is registered with an IRN; use a credit or debit note to change it');
+            }
+
+            this.amendment = {
+                invoiceId: invoice.id,
+                original: JSON.parse(JSON.stringify(invoice)),
+                startedAt: new Date().toISOString()
+            };
+
+            await this.loadInvoice(invoice.id);
+
+            this.trackBillingEvent('amendment_started', { invoiceId: invoice.id });
+            return this.currentInvoice;
+
+        } catch (error) {
+            console.error('Failed to start amendment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save pending amendment as a new invoice version
+     * @param {string} reason - Amendment reason (required)
+     * @returns {Promise<Object>} Amended invoice
+     */
+    async commitAmendment(reason) {
+        try {
+            if (!this.amendment || this.currentInvoice?.id !== this.amendment.invoiceId) {
+                throw new Error('No amendment in progress');
+            }
+
+            if (!reason || !reason.trim()) {
+                throw new Error('Amendment reason is required');
             }
 
-            // Validate invoice
             const validation = this.validateInvoice();
             if (!validation.valid) {
                 throw new Error(`Invoice validation failed: ${validation.errors.join(', ')}`);
             }
 
-            // Update invoice status
-            this.currentInvoice.status = 'generated';
-            this.currentInvoice.generatedAt = new Date().toISOString();
-            this.currentInvoice.generatedBy = 'user';
+            const original = this.amendment.original;
+            const invoice = this.currentInvoice;
+            const history = window.InvoiceHistoryManager;
 
-            // Assign final invoice number if still draft
-            if (!this.currentInvoice.invoiceNumber || this.currentInvoice.invoiceNumber.startsWith('DRAFT')) {
-                this.currentInvoice.invoiceNumber = await this.generateInvoiceNumber();
+            if (history && !history.diffInvoices(original, invoice).hasChanges) {
+                throw new Error('No changes to save');
             }
 
-            // Update customer purchase data
-            if (this.currentInvoice.customerId) {
-                await this.customerManager.updateCustomerPurchase(
-                    this.currentInvoice.customerId,
-                    this.currentInvoice
-                );
+            // Keep the superseded version before anything is overwritten
+            const previousVersion = parseInt(original.version, 10) || 1;
+            if (history) {
+                history.recordVersion(original, { reason: reason.trim() });
             }
 
-            // Update product stock
-            await this.updateProductStock();
+            await this.applyAmendmentEffects(original, invoice);
 
-            // Save invoice
-            const invoiceId = this.dataManager.saveInvoice(this.currentInvoice);
+            invoice.version = previousVersion + 1;
+            invoice.amendedAt = new Date().toISOString();
+            invoice.auditTrail = [
+                ...(invoice.auditTrail || []),
+                {
+                    action: 'amended',
+                    fromVersion: previousVersion,
+                    toVersion: invoice.version,
+                    reason: reason.trim(),
+                    at: invoice.amendedAt,
+                    by: 'user'
+                }
+            ];
 
-            // Generate PDF if requested
-            if (options.generatePDF !== false) {
-                // PDF generation will be handled by pdfGenerator
-                this.currentInvoice.pdfGenerated = true;
-            }
+            this.amendment = null;
+            this.clearEditHistory(invoice.id);
+            this.dataManager.saveInvoice(invoice);
+            await this.syncPaymentStatus(invoice.id);
+            Object.assign(invoice, this.dataManager.getInvoice(invoice.id));
 
-            // Send notifications if enabled
-            if (options.sendNotifications !== false) {
-                await this.sendInvoiceNotifications();
+            // The original customer no longer owes this invoice
+            if (original.customerId && original.customerId !== invoice.customerId) {
+                await window.PaymentManager?.refreshCustomerOutstanding(original.customerId);
             }
 
-            // Track event
-            this.trackBillingEvent('invoice_generated', { 
-                invoiceId: this.currentInvoice.id,
-                invoiceNumber: this.currentInvoice.invoiceNumber,
-                total: this.invoiceTotals.grandTotal,
-                items: this.invoiceItems.length 
+            this.trackBillingEvent('invoice_amended', {
+                invoiceId: invoice.id,
+                version: invoice.version,
+                total: invoice.totals.grandTotal
             });
 
-            console.log('Invoice generated:', this.currentInvoice.invoiceNumber);
-            return this.currentInvoice;
-            
+            console.log(`Invoice amended: ${invoice.invoiceNumber} v${invoice.version}`);
+            return invoice;
+
         } catch (error) {
-            console.error('Failed to generate invoice:', error);
+            console.error('Failed to commit amendment:', error);
             throw error;
         }
     }
 
     /**
-     * Save current invoice as draft
-     * @returns {Promise<string>} Invoice ID
+     * Discard pending amendment and reload the stored version
+     * @returns {Promise<Object|null>} Stored invoice
      */
-    async saveCurrentInvoice() {
-        try {
-            if (!this.currentInvoice) {
-                throw new Error('No active invoice');
-            }
+    async discardAmendment() {
+        if (!this.amendment) return null;
 
-            this.currentInvoice.updatedAt = new Date().toISOString();
-            
-            const invoiceId = this.dataManager.saveInvoice(this.currentInvoice);
-            
-            this.trackBillingEvent('invoice_saved', { 
-                invoiceId: this.currentInvoice.id,
-                status: this.currentInvoice.status 
-            });
+        const { invoiceId } = this.amendment;
+        this.amendment = null;
+        this.clearEditHistory(invoiceId);
 
-            return invoiceId;
-            
-        } catch (error) {
-            console.error('Failed to save invoice:', error);
-            throw error;
-        }
+        this.trackBillingEvent('amendment_discarded', { invoiceId });
+        return this.loadInvoice(invoiceId);
     }
 
     /**
-     * Bulk add items to invoice
-     * @param {Array} itemsData - Array of item data
-     * @returns {Promise<Object>} Bulk operation result
+     * Apply stock and customer differences between two versions
+     * @param {Object} original - Superseded version
+     * @param {Object} amended - New version
      */
-    async bulkAddItems(itemsData) {
-        try {
-            this.bulkEntryMode = true;
-            
-            const results = {
-                success: [],
-                errors: [],
-                total: itemsData.length
-            };
+    async applyAmendmentEffects(original, amended) {
+        // Stock moves by the change in quantity per product
+        const quantities = new Map();
+        (original.items || []).filter(i => i.productId).forEach(item => {
+            quantities.set(item.productId, (quantities.get(item.productId) || 0) - item.quantity);
+        });
+        (amended.items || []).filter(i => i.productId).forEach(item => {
+            quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+        });
 
-            for (let i = 0; i < itemsData.length; i++) {
-                try {
-                    const item = await this.addItem(itemsData[i]);
-                    results.success.push({
-                        index: i,
-                        item: item,
-                        data: itemsData[i]
-                    });
-                } catch (error) {
-                    results.errors.push({
-                        index: i,
-                        error: error.message,
-                        data: itemsData[i]
-                    });
-                }
+        for (const [productId, quantityChange] of quantities) {
+            if (quantityChange !== 0) {
+                await this.productManager.updateStock(
+                    productId,
+                    -quantityChange,
+                    quantityChange > 0 ? 'sale' : 'return',
+                    `Amended invoice ${amended.invoiceNumber}`
+                );
             }
+        }
 
-            // Save once after all items
-            if (results.success.length > 0) {
-                await this.saveCurrentInvoice();
+        // A new customer takes over the whole sale from the original one
+        if (original.customerId !== amended.customerId) {
+            if (original.customerId) {
+                await this.customerManager.reverseCustomerPurchase(original.customerId, original.totals?.grandTotal || 0, {
+                    countInvoice: true,
+                    points: original.loyaltyPointsEarned,
+                    reason: 'amendment'
+                });
             }
 
-            this.bulkEntryMode = false;
+            amended.loyaltyPointsEarned = 0;
+            if (amended.customerId) {
+                const pointsBefore = this.customerManager.getCustomerById(amended.customerId)?.lifetimePoints || 0;
+                const customer = await this.customerManager.updateCustomerPurchase(amended.customerId, {
+                    totals: { grandTotal: amended.totals?.grandTotal || 0 },
+                    createdAt: original.createdAt
+                });
+                amended.loyaltyPointsEarned = (customer.lifetimePoints || 0) - pointsBefore;
+            }
+            return;
+        }
 
-            this.trackBillingEvent('bulk_items_added', {
-                invoiceId: this.currentInvoice.id,
-                total: results.total,
-                success: results.success.length,
-                errors: results.errors.length
-            });
+        // Customer spend and loyalty move by the change in total
+        const difference = this.roundValue((amended.totals?.grandTotal || 0) - (original.totals?.grandTotal || 0));
+        if (amended.customerId && difference !== 0) {
+            const pointsBefore = this.customerManager.getCustomerById(amended.customerId)?.lifetimePoints || 0;
 
-            return results;
-            
-        } catch (error) {
-            this.bulkEntryMode = false;
-            console.error('Failed to bulk add items:', error);
-            throw error;
+            const customer = difference > 0
+                ? await this.customerManager.updateCustomerPurchase(amended.customerId, {
+                    totals: { grandTotal: difference },
+                    createdAt: original.createdAt
+                }, { countInvoice: false })
+                : await this.customerManager.reverseCustomerPurchase(amended.customerId, difference, {
+                    reason: 'amendment'
+                });
+
+            amended.loyaltyPointsEarned = (amended.loyaltyPointsEarned || 0) +
+                (customer.lifetimePoints || 0) - pointsBefore;
         }
     }
 
     /**
-     * Enable multi-bill mode
+     * Validate split tender and work out change due
+     * @param {Array} tenders - Tenders as { method, amount, reference } or { method: 'loyalty', points }
+     * @returns {Object} Normalized tenders and change due
      */
-    enableMultiBillMode() {
-        this.multiBillMode = true;
-        console.log('Multi-bill mode enabled');
-        
-        this.trackBillingEvent('multi_bill_enabled');
-    }
+    prepareTenders(tenders) {
+        const errors = [];
+        const methods = AppConstants.PAYMENT_METHODS.map(m => m.id);
+        const grandTotal = this.invoiceTotals.grandTotal;
 
-    /**
-     * Disable multi-bill mode
-     */
-    disableMultiBillMode() {
-        this.multiBillMode = false;
-        this.openInvoices.clear();
-        this.activeInvoiceId = null;
-        console.log('Multi-bill mode disabled');
-        
-        this.trackBillingEvent('multi_bill_disabled');
-    }
+        const normalized = tenders.map((tender, index) => {
+            const entry = {
+                method: tender.method,
+                amount: this.roundValue(parseFloat(tender.amount) || 0),
+                applied: 0,
+                reference: tender.reference || ''
+            };
 
-    /**
-     * Switch active invoice in multi-bill mode
-     * @param {string} invoiceId - Invoice ID to switch to
-     */
-    switchActiveInvoice(invoiceId) {
-        if (!this.multiBillMode) return;
+            if (!methods.includes(tender.method)) {
+                errors.push(`Tender ${index + 1}: Unsupported payment method`);
+                return entry;
+            }
 
-        const invoice = this.openInvoices.get(invoiceId);
-        if (invoice) {
-            this.currentInvoice = invoice;
-            this.invoiceItems = invoice.items || [];
-            this.invoiceTotals = invoice.totals || this.getInitialTotals();
-            this.activeInvoiceId = invoiceId;
-            
-            this.trackBillingEvent('active_invoice_switched', { invoiceId });
-        }
-    }
+            if (tender.method === 'loyalty') {
+                entry.points = parseInt(tender.points) || 0;
+                entry.amount = this.roundValue(entry.points / this.customerManager.loyaltyProgram.redeemRate);
 
-    /**
-     * Update product stock after invoice generation
-     */
-    async updateProductStock() {
-        try {
-            const stockUpdates = this.invoiceItems
-                .filter(item => item.productId)
-                .map(item => ({
-                    productId: item.productId,
-                    quantity: -item.quantity, // Negative for sale
-                    type: 'sale',
-                    notes: `Sold in invoice ${this.currentInvoice.invoiceNumber}`
-                }));
+                const customer = this.currentInvoice.customerId ?
+                    this.customerManager.getCustomerById(this.currentInvoice.customerId) : null;
 
-            if (stockUpdates.length > 0) {
-                await this.productManager.bulkUpdateStock(stockUpdates);
+                if (!customer) {
+                    errors.push(`Tender ${index + 1}: Loyalty points need a customer on the invoice`);
+                } else if (entry.points > (customer.loyaltyPoints || 0)) {
+                    errors.push(`Tender ${index + 1}: Customer has only ${customer.loyaltyPoints || 0} points`);
+                } else if (entry.points < this.customerManager.loyaltyProgram.minRedemption) {
+                    errors.push(`Tender ${index + 1}: Minimum redemption is ${this.customerManager.loyaltyProgram.minRedemption} points`);
+                }
+            } else if (window.PaymentManager) {
+                const validation = window.PaymentManager.validatePaymentData(entry);
+                validation.errors.forEach(error => errors.push(`Tender ${index + 1}: ${error}`));
+            } else if (entry.amount <= 0) {
+                errors.push(`Tender ${index + 1}: Amount must be greater than 0`);
             }
-            
-        } catch (error) {
-            console.warn('Failed to update product stock:', error);
-            // Don't throw error as invoice generation should still succeed
+
+            return entry;
+        });
+
+        const tenderedTotal = this.roundValue(normalized.reduce((sum, t) => sum + t.amount, 0));
+        const cashTendered = normalized.filter(t => t.method === 'cash').reduce((sum, t) => sum + t.amount, 0);
+        const changeDue = this.roundValue(Math.max(0, tenderedTotal - grandTotal));
+
+        if (tenderedTotal < grandTotal) {
+            errors.push(`Tenders are short of the grand total by ₹${(grandTotal - tenderedTotal).toFixed(2)}`);
+        } else if (changeDue > cashTendered) {
+            errors.push('Tenders exceed the grand total; only cash can be returned as change');
         }
+
+        if (errors.length) {
+            throw new Error(`Invalid tenders: ${errors.join(', ')}`);
+        }
+
+        // Change comes out of the cash tendered
+        let changeLeft = changeDue;
+        normalized.slice().reverse().forEach(tender => {
+            const change = tender.method === 'cash' ? Math.min(changeLeft, tender.amount) : 0;
+            changeLeft = this.roundValue(changeLeft - change);
+            tender.applied = this.roundValue(tender.amount - change);
+        });
+
+        return {
+            tenders: normalized,
+            changeDue
+        };
     }
 
     /**
-     * Send invoice notifications
+     * Refresh invoice payment status and customer outstanding from the payment ledger
+     * @param {string} invoiceId - Invoice ID
      */
-    async sendInvoiceNotifications() {
+    async syncPaymentStatus(invoiceId) {
         try {
-            // Email notification (placeholder for future implementation)
-            if (this.currentInvoice.customerData?.email) {
-                console.log(`Email notification would be sent to: ${this.currentInvoice.customerData.email}`);
-            }
-
-            // SMS notification (placeholder for future implementation)
-            if (this.currentInvoice.customerData?.phone) {
-                console.log(`SMS notification would be sent to: ${this.currentInvoice.customerData.phone}`);
+            if (window.PaymentManager) {
+                await window.PaymentManager.syncInvoicePaymentStatus(invoiceId);
             }
-            
         } catch (error) {
-            console.warn('Failed to send notifications:', error);
+            console.warn('Failed to sync payment status:', error);
+            // Don't throw error as the document itself is already saved
         }
     }
 
@@ -841,6 +3777,35 @@ class BillingEngine {
             }
         });
 
+        // Line values, discounts and taxes must add up to the totals
+        if (this.invoiceItems.length) {
+            errors.push(...this.reconcileInvoiceTotals().errors);
+        }
+
+        // Zero-rated supplies and reverse charge
+        const supplyType = this.getSupplyType();
+        if (supplyType.zeroRated && !supplyType.withPayment && !this.currentInvoice.lutReference?.trim()) {
+            errors.push('LUT/bond reference is required for zero-rated supply without payment of IGST');
+        }
+
+        if (supplyType.zeroRated && this.currentInvoice.reverseCharge) {
+            errors.push('Reverse charge does not apply to SEZ or export supplies');
+        }
+
+        if (supplyType.id.startsWith('sez') && !this.currentInvoice.customerData?.gstin) {
+            errors.push('Customer GSTIN is required for SEZ supplies');
+        }
+
+        // TDS/TCS is reported against the customer's PAN
+        const withholding = this.currentInvoice.withholding;
+        if (withholding?.amount > 0) {
+            const customer = this.currentInvoice.customerId ?
+                this.customerManager.getCustomerById(this.currentInvoice.customerId) : null;
+            if (!customer?.pan && !this.currentInvoice.customerData?.pan) {
+                warnings.push(`Customer PAN not provided for ${withholding.type.toUpperCase()} under section ${withholding.section}`);
+            }
+        }
+
         // Check customer data if B2B invoice
         if (this.currentInvoice.billType === 'tax_invoice' && this.currentInvoice.customerId) {
             const customer = this.customerManager.getCustomerById(this.currentInvoice.customerId);
@@ -872,7 +3837,8 @@ class BillingEngine {
             errors.push('Quantity must be greater than 0');
         }
 
-        if (itemData.rate === undefined || itemData.rate < 0) {
+        // Product items without a typed rate are priced automatically
+        if ((itemData.rate === undefined && !itemData.productId) || itemData.rate < 0) {
             errors.push('Rate must be non-negative');
         }
 
@@ -880,6 +3846,27 @@ class BillingEngine {
             errors.push('Tax rate must be between 0 and 100');
         }
 
+        if (itemData.cessRate !== undefined && itemData.cessRate < 0) {
+            errors.push('Cess rate must be non-negative');
+        }
+
+        if (itemData.cessPerUnit !== undefined && itemData.cessPerUnit < 0) {
+            errors.push('Cess per unit must be non-negative');
+        }
+
+        const discountTypes = window.AppConfig?.billing?.discountTypes || ['percentage', 'fixed'];
+        if (itemData.discountType !== undefined && !discountTypes.includes(itemData.discountType)) {
+            errors.push(`Discount type must be one of: ${discountTypes.join(', ')}`);
+        }
+
+        if (itemData.discountPercent !== undefined && (itemData.discountPercent < 0 || itemData.discountPercent > 100)) {
+            errors.push('Discount percent must be between 0 and 100');
+        }
+
+        if (itemData.fixedDiscount !== undefined && itemData.fixedDiscount < 0) {
+            errors.push('Fixed discount must be non-negative');
+        }
+
         return {
             valid: errors.length === 0,
             errors
@@ -894,6 +3881,22 @@ class BillingEngine {
         return `invoice_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Generate unique credit note ID
+     * @returns {string} Credit note ID
+     */
+    generateCreditNoteId() {
+        return `creditnote_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Generate unique debit note ID
+     * @returns {string} Debit note ID
+     */
+    generateDebitNoteId() {
+        return `debitnote_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     /**
      * Generate unique item ID
      * @returns {string} Item ID
@@ -902,29 +3905,153 @@ class BillingEngine {
         return `item_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
     }
 
+    /**
+     * Assign final number to current document if it still carries a draft number
+     * Numbers are only taken from a series on finalization so the series stays gapless.
+     */
+    async assignFinalNumber() {
+        const invoice = this.currentInvoice;
+
+        if (!invoice.invoiceNumber || invoice.invoiceNumber.startsWith('DRAFT')) {
+            invoice.draftNumber = invoice.invoiceNumber || null;
+            invoice.invoiceNumber = await this.generateBillTypeNumber(invoice.billType, invoice.invoiceDate);
+        }
+    }
+
     /**
      * Generate invoice number
+     * @param {string} date - Invoice date (decides the financial year)
      * @returns {Promise<string>} Invoice number
      */
-    async generateInvoiceNumber() {
+    async generateInvoiceNumber(date = this.currentInvoice?.invoiceDate) {
+        const business = this.businessManager.getCurrentBusiness();
+        const format = business?.settings?.invoiceNumberFormat || '{PREFIX}/{FY}/{###}';
+        
+        return this.generateDocumentNumber('invoice', format, date);
+    }
+
+    /**
+     * Generate credit note number from its own series
+     * @param {string} date - Note date (decides the financial year)
+     * @returns {Promise<string>} Credit note number
+     */
+    async generateCreditNoteNumber(date) {
+        const business = this.businessManager.getCurrentBusiness();
+        const format = business?.settings?.creditNoteNumberFormat || '{PREFIX}/{FY}/{###}';
+        
+        return this.generateDocumentNumber('creditNote', format, date);
+    }
+
+    /**
+     * Generate document number from the series of a bill type
+     * @param {string} billType - Bill type ID
+     * @param {string} date - Document date (decides the financial year)
+     * @returns {Promise<string>} Document number
+     */
+    async generateBillTypeNumber(billType, date) {
+        switch (billType) {
+            case 'estimate':
+                return this.generateEstimateNumber(date);
+            case 'delivery_challan':
+                return this.generateChallanNumber(date);
+            case 'proforma':
+                return this.generateProformaNumber(date);
+            default:
+                return this.generateInvoiceNumber(date);
+        }
+    }
+
+    /**
+     * Generate delivery challan number from its own series
+     * @param {string} date - Challan date (decides the financial year)
+     * @returns {Promise<string>} Challan number
+     */
+    async generateChallanNumber(date) {
+        const business = this.businessManager.getCurrentBusiness();
+        const format = business?.settings?.challanNumberFormat || '{PREFIX}/{FY}/{###}';
+        
+        return this.generateDocumentNumber('challan', format, date);
+    }
+
+    /**
+     * Generate proforma invoice number from its own series
+     * @param {string} date - Proforma date (decides the financial year)
+     * @returns {Promise<string>} Proforma number
+     */
+    async generateProformaNumber(date) {
+        const business = this.businessManager.getCurrentBusiness();
+        const format = business?.settings?.proformaNumberFormat || '{PREFIX}/{FY}/{###}';
+        
+        return this.generateDocumentNumber('proforma', format, date);
+    }
+
+    /**
+     * Generate estimate number from its own series
+     * @param {string} date - Estimate date (decides the financial year)
+     * @returns {Promise<string>} Estimate number
+     */
+    async generateEstimateNumber(date) {
         const business = this.businessManager.getCurrentBusiness();
-        const format = business?.settings?.invoiceNumberFormat || 'INV-{###}';
+        const format = business?.settings?.estimateNumberFormat || '{PREFIX}/{FY}/{###}';
         
-        const counters = this.dataManager.getItem('counters') || { invoice: 1 };
-        const invoiceCount = counters.invoice;
+        return this.generateDocumentNumber('estimate', format, date);
+    }
+
+    /**
+     * Generate debit note number from its own series
+     * @param {string} date - Note date (decides the financial year)
+     * @returns {Promise<string>} Debit note number
+     */
+    async generateDebitNoteNumber(date) {
+        const business = this.businessManager.getCurrentBusiness();
+        const format = business?.settings?.debitNoteNumberFormat || '{PREFIX}/{FY}/{###}';
         
-        const now = new Date();
-        let invoiceNumber = format
-            .replace('{YYYY}', now.getFullYear().toString())
-            .replace('{MM}', String(now.getMonth() + 1).padStart(2, '0'))
-            .replace('{DD}', String(now.getDate()).padStart(2, '0'))
-            .replace('{###}', String(invoiceCount).padStart(3, '0'));
+        return this.generateDocumentNumber('debitNote', format, date);
+    }
+
+    /**
+     * Generate next number from the business series for a document type
+     * @param {string} seriesKey - Series name (invoice, creditNote, estimate...)
+     * @param {string} format - Number format
+     * @param {string} date - Document date (decides the financial year)
+     * @returns {string} Document number
+     */
+    generateDocumentNumber(seriesKey, format, date = new Date()) {
+        return this.dataManager.reserveDocumentNumber(this.getSeriesOptions(seriesKey, format, date));
+    }
+
+    /**
+     * Get the current business's series options for a document type
+     * @param {string} seriesKey - Series name (invoice, creditNote, estimate...)
+     * @param {string} format - Number format
+     * @param {string} date - Document date (decides the financial year)
+     * @returns {Object} Series options
+     */
+    getSeriesOptions(seriesKey, format, date = new Date()) {
+        const business = this.businessManager.getCurrentBusiness();
+        const prefixes = window.AppConfig?.billing?.numberSeries?.prefixes || {};
+
+        return {
+            businessId: business?.id,
+            documentType: seriesKey,
+            format,
+            date: date || new Date(),
+            prefix: business?.settings?.documentPrefixes?.[seriesKey] || prefixes[seriesKey] || '',
+            branch: business?.settings?.branchCode || ''
+        };
+    }
 
-        // Update counter
-        counters.invoice = invoiceCount + 1;
-        this.dataManager.setItem('counters', counters);
+    /**
+     * Give back the invoice number reserved for a generation that failed
+     * @param {string} invoiceNumber - Reserved invoice number
+     * @param {string} date - Invoice date (decides the financial year)
+     * @returns {boolean} True when the number was released
+     */
+    releaseInvoiceNumber(invoiceNumber, date = this.currentInvoice?.invoiceDate) {
+        const business = this.businessManager.getCurrentBusiness();
+        const format = business?.settings?.invoiceNumberFormat || '{PREFIX}/{FY}/{###}';
 
-        return invoiceNumber;
+        return this.dataManager.releaseDocumentNumber(this.getSeriesOptions('invoice', format, date), invoiceNumber);
     }
 
     /**
@@ -997,7 +4124,7 @@ class BillingEngine {
     getBillingStatistics() {
         const invoices = this.dataManager.getInvoices();
         const drafts = invoices.filter(inv => inv.status === 'draft');
-        const generated = invoices.filter(inv => inv.status === 'generated');
+        const generated = invoices.filter(inv => AppConstants.RECEIVABLE_STATUSES.includes(inv.status));
         
         const totalRevenue = generated.reduce((sum, inv) => sum + (inv.totals?.grandTotal || 0), 0);
         const avgOrderValue = generated.length > 0 ? totalRevenue / generated.length : 0;
@@ -1010,6 +4137,7 @@ class BillingEngine {
             averageOrderValue: avgOrderValue,
             multiBillEnabled: this.multiBillMode,
             openInvoices: this.openInvoices.size,
+            parkedBills: this.parkedBills.length,
             currentInvoiceItems: this.invoiceItems.length
         };
     }
@@ -520,7 +520,16 @@ class BusinessManager {
     getDefaultBusinessSettings() {
         return {
             invoiceTemplate: 'modern',
-            invoiceNumberFormat: 'INV-{###}',
+            invoiceNumberFormat: '{PREFIX}/{FY}/{###}',
+            creditNoteNumberFormat: '{PREFIX}/{FY}/{###}',
+            debitNoteNumberFormat: '{PREFIX}/{FY}/{###}',
+            estimateNumberFormat: '{PREFIX}/{FY}/{###}',
+            challanNumberFormat: '{PREFIX}/{FY}/{###}',
+            proformaNumberFormat: '{PREFIX}/{FY}/{###}',
+            challanMovesStock: true,
+            documentPrefixes: {},
+            branchCode: '',
+            eInvoicing: false,
             taxCalculation: 'exclusive',
             showHSN: true,
             showSignature: true,
@@ -577,7 +586,7 @@ class BusinessManager {
 
             // Calculate statistics
             const totalRevenue = invoices
-                .filter(inv => inv.status === 'paid' || inv.status === 'generated')
+                .filter(inv => AppConstants.RECEIVABLE_STATUSES.includes(inv.status))
                 .reduce((sum, inv) => sum + (inv.total || 0), 0);
 
             const thisMonth = new Date();
@@ -586,7 +595,7 @@ class BusinessManager {
 
             const monthlyRevenue = invoices
                 .filter(inv => 
-                    (inv.status === 'paid' || inv.status === 'generated') &&
+                    AppConstants.RECEIVABLE_STATUSES.includes(inv.status) &&
                     new Date(inv.createdAt) >= thisMonth
                 )
                 .reduce((sum, inv) => sum + (inv.total || 0), 0);
@@ -58,6 +58,14 @@ class CustomerManager {
                     message: 'Invalid GSTIN format'
                 };
             },
+            pan: (value) => {
+                if (!value) return { valid: true };
+                const panRegex = /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/;
+                return {
+                    valid: panRegex.test(value),
+                    message: 'Invalid PAN format'
+                };
+            },
             pincode: (value) => {
                 if (!value) return { valid: true };
                 const pincodeRegex = /^[0-9]{6}$/;
@@ -479,23 +487,26 @@ class CustomerManager {
      * Update customer purchase data after invoice
      * @param {string} customerId - Customer ID
      * @param {Object} invoiceData - Invoice data
+     * @param {Object} options - Update options (countInvoice)
      * @returns {Promise<Object>} Updated customer
      */
-    async updateCustomerPurchase(customerId, invoiceData) {
+    async updateCustomerPurchase(customerId, invoiceData, options = {}) {
         try {
             const customer = this.getCustomerById(customerId);
             if (!customer) {
                 throw new Error('Customer not found');
             }
 
-            const invoiceTotal = parseFloat(invoiceData.total) || 0;
+            const invoiceTotal = parseFloat(invoiceData.totals?.grandTotal ?? invoiceData.total) || 0;
             const oldTotalSpent = customer.totalSpent || 0;
             const newTotalSpent = oldTotalSpent + invoiceTotal;
 
             // Update customer metrics
             customer.totalSpent = newTotalSpent;
-            customer.invoiceCount = (customer.invoiceCount || 0) + 1;
-            customer.averageOrderValue = customer.totalSpent / customer.invoiceCount;
+            if (options.countInvoice !== false) {
+                customer.invoiceCount = (customer.invoiceCount || 0) + 1;
+            }
+            customer.averageOrderValue = customer.invoiceCount > 0 ? customer.totalSpent / customer.invoiceCount : 0;
             customer.lastPurchaseDate = invoiceData.createdAt || new Date().toISOString();
             
             if (!customer.firstPurchaseDate) {
@@ -541,6 +552,110 @@ class CustomerManager {
         }
     }
 
+    /**
+     * Reverse purchase effects for returned or cancelled sales
+     * @param {string} customerId - Customer ID
+     * @param {number} amount - Amount to reverse
+     * @param {Object} options - Reversal options
+     * @returns {Promise<Object>} Updated customer
+     */
+    async reverseCustomerPurchase(customerId, amount, options = {}) {
+        try {
+            const customer = this.getCustomerById(customerId);
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+
+            const reversalAmount = Math.abs(parseFloat(amount) || 0);
+            const newTotalSpent = Math.max(0, (customer.totalSpent || 0) - reversalAmount);
+
+            // Update customer metrics
+            customer.totalSpent = newTotalSpent;
+            if (options.countInvoice) {
+                customer.invoiceCount = Math.max(0, (customer.invoiceCount || 0) - 1);
+            }
+            customer.averageOrderValue = customer.invoiceCount > 0 ? customer.totalSpent / customer.invoiceCount : 0;
+
+            // Take back the loyalty points earned on the reversed amount
+            const pointsReversed = options.points ?? Math.floor(reversalAmount * this.loyaltyProgram.pointsPerRupee);
+            customer.loyaltyPoints = Math.max(0, (customer.loyaltyPoints || 0) - pointsReversed);
+            customer.lifetimePoints = Math.max(0, (customer.lifetimePoints || 0) - pointsReversed);
+
+            // Give back points redeemed against the reversed purchase
+            const pointsRestored = (customer.redemptions || [])
+                .filter(r => (options.redemptionIds || []).includes(r.id) && r.status === 'completed')
+                .reduce((sum, redemption) => {
+                    redemption.status = 'reversed';
+                    return sum + redemption.points;
+                }, 0);
+            customer.loyaltyPoints += pointsRestored;
+
+            // Update loyalty tier
+            customer.loyaltyTier = this.calculateLoyaltyTier(newTotalSpent);
+
+            // Update timestamp
+            customer.updatedAt = new Date().toISOString();
+
+            // Save customer
+            this.dataManager.saveCustomer(customer);
+            this.loadCustomers();
+
+            // Track event
+            this.trackCustomerEvent('customer_purchase_reversed', { 
+                customerId, 
+                amount: reversalAmount, 
+                pointsReversed,
+                pointsRestored,
+                reason: options.reason || 'return',
+                newTier: customer.loyaltyTier 
+            });
+
+            return customer;
+            
+        } catch (error) {
+            console.error('Failed to reverse customer purchase:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Adjust customer outstanding balance
+     * @param {string} customerId - Customer ID
+     * @param {number} amount - Amount to add (negative to reduce)
+     * @param {Object} reference - Document the adjustment comes from
+     * @returns {Promise<Object>} Updated customer
+     */
+    async adjustOutstandingBalance(customerId, amount, reference = {}) {
+        try {
+            const customer = this.getCustomerById(customerId);
+            if (!customer) {
+                throw new Error('Customer not found');
+            }
+
+            const adjustment = parseFloat(amount) || 0;
+            customer.outstandingBalance = Math.round(((customer.outstandingBalance || 0) + adjustment) * 100) / 100;
+            customer.updatedAt = new Date().toISOString();
+
+            // Save customer
+            this.dataManager.saveCustomer(customer);
+            this.loadCustomers();
+
+            // Track event
+            this.trackCustomerEvent('customer_outstanding_adjusted', { 
+                customerId, 
+                amount: adjustment, 
+                outstandingBalance: customer.outstandingBalance,
+                ...reference 
+            });
+
+            return customer;
+            
+        } catch (error) {
+            console.error('Failed to adjust outstanding balance:', error);
+            throw error;
+        }
+    }
+
     /**
      * Redeem loyalty points
      * @param {string} customerId - Customer ID
@@ -30,8 +30,17 @@ class DataManager {
             businesses: [],
             customers: [],
             products: [],
+            priceLists: [],
+            promotions: [],
             invoices: [],
+            creditNotes: [],
+            debitNotes: [],
+            recurringProfiles: [],
+            payments: [],
+            invoiceVersions: [],
+            numberSeries: {},
             drafts: [],
+            parkedBills: [],
             templates: this.getDefaultTemplates(),
             settings: this.getDefaultSettings(),
             counters: {
@@ -39,6 +48,11 @@ class DataManager {
                 customer: 1,
                 product: 1,
                 invoice: 1,
+                creditNote: 1,
+                debitNote: 1,
+                estimate: 1,
+                challan: 1,
+                proforma: 1,
                 draft: 1
             },
             analytics: [],
@@ -82,7 +96,13 @@ class DataManager {
             },
             business: {
                 defaultTemplate: 'modern',
-                invoiceNumberFormat: 'INV-{###}',
+                invoiceNumberFormat: '{PREFIX}/{FY}/{###}',
+                creditNoteNumberFormat: '{PREFIX}/{FY}/{###}',
+                debitNoteNumberFormat: '{PREFIX}/{FY}/{###}',
+                estimateNumberFormat: '{PREFIX}/{FY}/{###}',
+                challanNumberFormat: '{PREFIX}/{FY}/{###}',
+                proformaNumberFormat: '{PREFIX}/{FY}/{###}',
+                challanMovesStock: true,
                 taxCalculation: 'exclusive',
                 showHSN: true,
                 showSignature: true,
@@ -106,6 +126,7 @@ class DataManager {
             notifications: {
                 lowStock: true,
                 overdueInvoices: true,
+                paymentReminders: true,
                 dailyReports: false,
                 backupReminders: true
             }
@@ -182,6 +203,34 @@ class DataManager {
                 },
                 createdAt: new Date().toISOString(),
                 isDefault: true
+            },
+            {
+                id: 'challan',
+                name: 'Delivery Challan',
+                description: 'Dispatch document with quantities and no prices',
+                preview: '🚚',
+                billType: 'delivery_challan',
+                config: {
+                    colors: { primary: '#0f766e', secondary: '#64748b', accent: '#14b8a6' },
+                    fonts: { heading: 'Inter', body: 'Inter' },
+                    layout: 'challan'
+                },
+                createdAt: new Date().toISOString(),
+                isDefault: true
+            },
+            {
+                id: 'proforma',
+                name: 'Proforma Invoice',
+                description: 'Advance invoice requesting payment before supply',
+                preview: '📑',
+                billType: 'proforma',
+                config: {
+                    colors: { primary: '#b45309', secondary: '#64748b', accent: '#f59e0b' },
+                    fonts: { heading: 'Inter', body: 'Inter' },
+                    layout: 'proforma'
+                },
+                createdAt: new Date().toISOString(),
+                isDefault: true
             }
         ];
     }
@@ -333,6 +382,8 @@ class DataManager {
                     ...businessData,
                     updatedAt: new Date().toISOString()
                 };
+            } else {
+                businesses.push({ ...businessData });
             }
         } else {
             // Create new business
@@ -407,6 +458,8 @@ class DataManager {
                     ...customerData,
                     updatedAt: new Date().toISOString()
                 };
+            } else {
+                customers.push({ ...customerData });
             }
         } else {
             // Create new customer
@@ -473,6 +526,8 @@ class DataManager {
                     ...productData,
                     updatedAt: new Date().toISOString()
                 };
+            } else {
+                products.push({ ...productData });
             }
         } else {
             // Create new product
@@ -550,7 +605,6 @@ class DataManager {
      */
     saveInvoice(invoiceData) {
         const invoices = this.getItem('invoices') || [];
-        const counters = this.getItem('counters');
 
         if (invoiceData.id) {
             // Update existing invoice
@@ -560,30 +614,22 @@ class DataManager {
                     ...invoiceData,
                     updatedAt: new Date().toISOString()
                 };
+            } else {
+                invoices.push({ ...invoiceData });
             }
         } else {
-            // Create new invoice
+            // Create new invoice; the final number is assigned when it is generated
             invoiceData.id = `invoice_${Date.now()}`;
-            invoiceData.invoiceNumber = this.generateInvoiceNumber();
+            invoiceData.invoiceNumber = invoiceData.invoiceNumber || this.generateDraftNumber();
             invoiceData.createdAt = new Date().toISOString();
             invoiceData.updatedAt = new Date().toISOString();
             invoiceData.status = invoiceData.status || 'draft';
             
             invoices.push(invoiceData);
-            counters.invoice++;
-            this.setItem('counters', counters);
-        }
-
-        // Update product stock if invoice is completed
-        if (invoiceData.status === 'generated' || invoiceData.status === 'paid') {
-            this.updateStockFromInvoice(invoiceData);
-        }
-
-        // Update customer purchase history
-        if (invoiceData.customerId) {
-            this.updateCustomerPurchases(invoiceData.customerId, invoiceData);
         }
 
+        // Stock and customer updates are applied once by BillingEngine when the
+        // invoice is generated, so saving here must not repeat them
         this.setItem('invoices', invoices);
         this.log('info', 'Invoice saved', { invoiceId: invoiceData.id, status: invoiceData.status });
         return invoiceData.id;
@@ -598,58 +644,330 @@ class DataManager {
     }
 
     /**
-     * Generate invoice number
-     * @returns {string} Generated invoice number
+     * Get invoice by ID
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Object|null} Invoice
      */
-    generateInvoiceNumber() {
-        const settings = this.getItem('settings');
-        const counters = this.getItem('counters');
-        const format = settings?.business?.invoiceNumberFormat || 'INV-{###}';
-        const now = new Date();
+    getInvoice(invoiceId) {
+        return this.getInvoices().find(inv => inv.id === invoiceId) || null;
+    }
+
+    /**
+     * Delete a draft invoice
+     * Generated invoices are never deleted; they are cancelled instead
+     * @param {string} invoiceId - Invoice ID
+     * @returns {boolean} Success status
+     */
+    deleteDraftInvoice(invoiceId) {
+        const invoices = this.getInvoices();
+        const filtered = invoices.filter(inv => !(inv.id === invoiceId && inv.status === 'draft'));
+
+        if (filtered.length !== invoices.length) {
+            this.setItem('invoices', filtered);
+            this.log('info', 'Draft invoice deleted', { invoiceId });
+            return true;
+        }
+        return false;
+    }
 
-        let invoiceNumber = format
-            .replace('{YYYY}', now.getFullYear().toString())
-            .replace('{MM}', String(now.getMonth() + 1).padStart(2, '0'))
-            .replace('{DD}', String(now.getDate()).padStart(2, '0'))
-            .replace('{###}', String(counters.invoice).padStart(3, '0'));
+    /**
+     * Save credit note
+     * @param {Object} creditNoteData - Credit note data
+     * @returns {string} Credit note ID
+     */
+    saveCreditNote(creditNoteData) {
+        const creditNotes = this.getItem('creditNotes') || [];
+        const index = creditNotes.findIndex(cn => cn.id === creditNoteData.id);
+
+        if (index !== -1) {
+            creditNotes[index] = {
+                ...creditNoteData,
+                updatedAt: new Date().toISOString()
+            };
+        } else {
+            creditNotes.push(creditNoteData);
+        }
 
-        return invoiceNumber;
+        this.setItem('creditNotes', creditNotes);
+        this.log('info', 'Credit note saved', { creditNoteId: creditNoteData.id, invoiceId: creditNoteData.originalInvoiceId });
+        return creditNoteData.id;
     }
 
     /**
-     * Update stock from invoice items
-     * @param {Object} invoiceData - Invoice data
+     * Get all credit notes
+     * @returns {Array} Credit notes
      */
-    updateStockFromInvoice(invoiceData) {
-        if (invoiceData.items && Array.isArray(invoiceData.items)) {
-            invoiceData.items.forEach(item => {
-                if (item.productId) {
-                    this.updateProductStock(item.productId, -item.quantity);
-                }
-            });
+    getCreditNotes() {
+        return this.getItem('creditNotes') || [];
+    }
+
+    /**
+     * Save debit note
+     * @param {Object} debitNoteData - Debit note data
+     * @returns {string} Debit note ID
+     */
+    saveDebitNote(debitNoteData) {
+        const debitNotes = this.getItem('debitNotes') || [];
+        const index = debitNotes.findIndex(dn => dn.id === debitNoteData.id);
+
+        if (index !== -1) {
+            debitNotes[index] = {
+                ...debitNoteData,
+                updatedAt: new Date().toISOString()
+            };
+        } else {
+            debitNotes.push(debitNoteData);
         }
+
+        this.setItem('debitNotes', debitNotes);
+        this.log('info', 'Debit note saved', { debitNoteId: debitNoteData.id, invoiceId: debitNoteData.originalInvoiceId });
+        return debitNoteData.id;
     }
 
     /**
-     * Update customer purchase history
-     * @param {string} customerId - Customer ID
-     * @param {Object} invoiceData - Invoice data
+     * Get all debit notes
+     * @returns {Array} Debit notes
      */
-    updateCustomerPurchases(customerId, invoiceData) {
-        const customers = this.getCustomers();
-        const customerIndex = customers.findIndex(c => c.id === customerId);
-        
-        if (customerIndex !== -1) {
-            customers[customerIndex].totalPurchases = (customers[customerIndex].totalPurchases || 0) + invoiceData.total;
-            customers[customerIndex].lastPurchase = invoiceData.createdAt;
-            customers[customerIndex].invoiceCount = (customers[customerIndex].invoiceCount || 0) + 1;
-            
-            // Add loyalty points (1 point per 100 currency units)
-            const points = Math.floor(invoiceData.total / 100);
-            customers[customerIndex].loyaltyPoints = (customers[customerIndex].loyaltyPoints || 0) + points;
-            
-            this.setItem('customers', customers);
+    getDebitNotes() {
+        return this.getItem('debitNotes') || [];
+    }
+
+    /**
+     * Save payment receipt
+     * @param {Object} paymentData - Payment data
+     * @returns {string} Payment ID
+     */
+    savePayment(paymentData) {
+        const payments = this.getItem('payments') || [];
+        const index = payments.findIndex(p => p.id === paymentData.id);
+
+        if (index !== -1) {
+            payments[index] = {
+                ...paymentData,
+                updatedAt: new Date().toISOString()
+            };
+        } else {
+            payments.push(paymentData);
         }
+
+        this.setItem('payments', payments);
+        this.log('info', 'Payment saved', { paymentId: paymentData.id, invoiceId: paymentData.invoiceId });
+        return paymentData.id;
+    }
+
+    /**
+     * Get all payment receipts
+     * @returns {Array} Payments
+     */
+    getPayments() {
+        return this.getItem('payments') || [];
+    }
+
+    /**
+     * Save immutable invoice version snapshot
+     * @param {Object} versionData - Version snapshot
+     * @returns {string} Version record ID
+     */
+    saveInvoiceVersion(versionData) {
+        const versions = this.getItem('invoiceVersions') || [];
+
+        // Snapshots are never overwritten
+        if (versions.some(v => v.invoiceId === versionData.invoiceId && v.version === versionData.version)) {
+            return versionData.id;
+        }
+
+        versions.push(versionData);
+
+        this.setItem('invoiceVersions', versions);
+        this.log('info', 'Invoice version saved', { invoiceId: versionData.invoiceId, version: versionData.version });
+        return versionData.id;
+    }
+
+    /**
+     * Get version snapshots of an invoice
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Array} Versions, oldest first
+     */
+    getInvoiceVersions(invoiceId) {
+        return (this.getItem('invoiceVersions') || [])
+            .filter(v => v.invoiceId === invoiceId)
+            .sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Get all PDF templates
+     * @returns {Array} Templates
+     */
+    getTemplates() {
+        return this.getItem('templates') || [];
+    }
+
+    /**
+     * Reserve next number from a document series
+     * Series are kept per business, per document type and per financial year,
+     * so numbering restarts automatically when a new financial year begins.
+     * @param {Object} options - Series options
+     * @param {string} options.businessId - Business ID
+     * @param {string} options.documentType - Series name (invoice, creditNote, estimate...)
+     * @param {string} options.format - Number format with tokens
+     * @param {string|Date} options.date - Document date, decides the financial year
+     * @param {string} options.prefix - Value for {PREFIX}
+     * @param {string} options.branch - Value for {BRANCH}
+     * @returns {string} Document number
+     */
+    reserveDocumentNumber(options) {
+        const { businessId = 'default', documentType, format, prefix = '', branch = '' } = options;
+        const date = options.date ? new Date(options.date) : new Date();
+        const financialYear = this.getFinancialYear(date);
+
+        const series = this.getItem('numberSeries') || {};
+        const seriesKey = `${businessId}:${documentType}:${financialYear.label}`;
+
+        let next = series[seriesKey] || this.getSeriesStart(series, businessId, documentType, format);
+        let documentNumber = this.formatDocumentNumber(format, { date, financialYear, prefix, branch, sequence: next });
+
+        // Never hand out a number that is already on a stored document
+        const takenNumbers = this.getTakenDocumentNumbers(businessId);
+        while (takenNumbers.has(documentNumber)) {
+            next++;
+            documentNumber = this.formatDocumentNumber(format, { date, financialYear, prefix, branch, sequence: next });
+        }
+
+        series[seriesKey] = next + 1;
+        this.setItem('numberSeries', series);
+        this.log('info', 'Document number reserved', { seriesKey, documentNumber });
+
+        return documentNumber;
+    }
+
+    /**
+     * Give back a reserved number that never made it onto a saved document
+     * Only the latest number of a series can be released, so the series stays gapless
+     * @param {Object} options - Series options, as passed to reserveDocumentNumber
+     * @param {string} documentNumber - Reserved document number
+     * @returns {boolean} True when the number was released
+     */
+    releaseDocumentNumber(options, documentNumber) {
+        const { businessId = 'default', documentType, format, prefix = '', branch = '' } = options;
+        const date = options.date ? new Date(options.date) : new Date();
+        const financialYear = this.getFinancialYear(date);
+
+        const series = this.getItem('numberSeries') || {};
+        const seriesKey = `${businessId}:${documentType}:${financialYear.label}`;
+        const last = (series[seriesKey] || 1) - 1;
+
+        if (last < 1 || this.formatDocumentNumber(format, { date, financialYear, prefix, branch, sequence: last }) !== documentNumber) {
+            return false;
+        }
+
+        series[seriesKey] = last;
+        this.setItem('numberSeries', series);
+        this.log('info', 'Document number released', { seriesKey, documentNumber });
+
+        return true;
+    }
+
+    /**
+     * Get the first sequence number of a new financial-year series
+     * Formats without {FY} keep counting from the previous year so numbers never repeat
+     * @param {Object} series - Stored series
+     * @param {string} businessId - Business ID
+     * @param {string} documentType - Series name
+     * @param {string} format - Number format
+     * @returns {number} First sequence number
+     */
+    getSeriesStart(series, businessId, documentType, format) {
+        const previous = Object.keys(series)
+            .filter(key => key.startsWith(`${businessId}:${documentType}:`))
+            .map(key => series[key]);
+
+        if (previous.length === 0) {
+            return this.getLegacySeriesStart(documentType);
+        }
+
+        return format.includes('{FY}') ? 1 : Math.max(...previous);
+    }
+
+    /**
+     * Start a business's first series at the old global counter so upgraded data keeps counting on
+     * @param {string} documentType - Series name
+     * @returns {number} First sequence number
+     */
+    getLegacySeriesStart(documentType) {
+        const counters = this.getItem('counters') || {};
+
+        return counters[documentType] || 1;
+    }
+
+    /**
+     * Fill number format tokens
+     * Supports {PREFIX}, {BRANCH}, {FY}, {YYYY}, {YY}, {MM}, {DD} and {###} (padding from # count)
+     * Numbering restarts each financial year only when the format contains {FY}; without it the
+     * sequence carries on from the previous year
+     * @param {string} format - Number format
+     * @param {Object} tokens - Token values
+     * @returns {string} Document number
+     */
+    formatDocumentNumber(format, tokens) {
+        const { date, financialYear, prefix, branch, sequence } = tokens;
+
+        return format
+            .replace(/\{PREFIX\}/g, prefix)
+            .replace(/\{BRANCH\}/g, branch)
+            .replace(/\{FY\}/g, financialYear.label)
+            .replace(/\{YYYY\}/g, date.getFullYear().toString())
+            .replace(/\{YY\}/g, date.getFullYear().toString().slice(-2))
+            .replace(/\{MM\}/g, String(date.getMonth() + 1).padStart(2, '0'))
+            .replace(/\{DD\}/g, String(date.getDate()).padStart(2, '0'))
+            .replace(/\{(#+)\}/g, (match, hashes) => String(sequence).padStart(hashes.length, '0'))
+            .replace(/^[-/_]+|[-/_]+$/g, '')
+            .replace(/([-/_])[-/_]+/g, '$1');
+    }
+
+    /**
+     * Get Indian financial year (April to March) for a date
+     * @param {Date} date - Date
+     * @returns {Object} Financial year label and bounds
+     */
+    getFinancialYear(date = new Date()) {
+        const startMonth = (window.AppConfig?.billing?.numberSeries?.financialYearStartMonth || 4) - 1;
+        const startYear = date.getMonth() >= startMonth ? date.getFullYear() : date.getFullYear() - 1;
+
+        return {
+            label: `${startYear}-${String(startYear + 1).slice(-2)}`,
+            startYear,
+            start: new Date(startYear, startMonth, 1),
+            end: new Date(startYear + 1, startMonth, 0)
+        };
+    }
+
+    /**
+     * Get document numbers already used by a business
+     * @param {string} businessId - Business ID
+     * @returns {Set} Taken document numbers
+     */
+    getTakenDocumentNumbers(businessId) {
+        const sameBusiness = doc => !doc.businessId || doc.businessId === businessId;
+
+        return new Set([
+            ...this.getInvoices().filter(sameBusiness).map(doc => doc.invoiceNumber),
+            ...this.getCreditNotes().filter(sameBusiness).map(doc => doc.creditNoteNumber),
+            ...this.getDebitNotes().filter(sameBusiness).map(doc => doc.debitNoteNumber)
+        ]);
+    }
+
+    /**
+     * Generate placeholder number for a draft
+     * @returns {string} Draft number
+     */
+    generateDraftNumber() {
+        const counters = this.getItem('counters') || {};
+        const count = counters.draft || 1;
+
+        counters.draft = count + 1;
+        this.setItem('counters', counters);
+
+        return `DRAFT-${String(count).padStart(4, '0')}`;
     }
 
     /**
@@ -666,7 +984,7 @@ class DataManager {
         const products = this.getProducts();
         
         const totalRevenue = invoices
-            .filter(inv => inv.status === 'paid' || inv.status === 'generated')
+            .filter(inv => AppConstants.RECEIVABLE_STATUSES.includes(inv.status))
             .reduce((sum, inv) => sum + (parseFloat(inv.total) || 0), 0);
 
         const thisMonth = new Date();
@@ -678,7 +996,7 @@ class DataManager {
         );
 
         const monthlyRevenue = monthlyInvoices
-            .filter(inv => inv.status === 'paid' || inv.status === 'generated')
+            .filter(inv => AppConstants.RECEIVABLE_STATUSES.includes(inv.status))
             .reduce((sum, inv) => sum + (parseFloat(inv.total) || 0), 0);
 
         return {
@@ -689,6 +1007,7 @@ class DataManager {
             monthlyInvoices: monthlyInvoices.length,
             monthlyRevenue,
             lowStockProducts: products.filter(p => p.isActive && (p.stock || 0) <= (p.minStock || 10)).length,
+            overdueInvoices: invoices.filter(inv => inv.status === 'overdue').length,
             recentInvoices: invoices
                 .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
                 .slice(0, 5)
@@ -711,8 +1030,17 @@ class DataManager {
                 businesses: this.getItem('businesses'),
                 customers: this.getItem('customers'),
                 products: this.getItem('products'),
+                priceLists: this.getItem('priceLists'),
+                promotions: this.getItem('promotions'),
                 invoices: this.getItem('invoices'),
+                creditNotes: this.getItem('creditNotes'),
+                debitNotes: this.getItem('debitNotes'),
+                recurringProfiles: this.getItem('recurringProfiles'),
+                payments: this.getItem('payments'),
+                invoiceVersions: this.getItem('invoiceVersions'),
+                numberSeries: this.getItem('numberSeries'),
                 drafts: this.getItem('drafts'),
+                parkedBills: this.getItem('parkedBills'),
                 templates: this.getItem('templates'),
                 settings: this.getItem('settings'),
                 counters: this.getItem('counters')
@@ -976,8 +1304,17 @@ class DataManager {
                 businesses: this.getItem('businesses'),
                 customers: this.getItem('customers'),
                 products: this.getItem('products'),
+                priceLists: this.getItem('priceLists'),
+                promotions: this.getItem('promotions'),
                 invoices: this.getItem('invoices'),
+                creditNotes: this.getItem('creditNotes'),
+                debitNotes: this.getItem('debitNotes'),
+                recurringProfiles: this.getItem('recurringProfiles'),
+                payments: this.getItem('payments'),
+                invoiceVersions: this.getItem('invoiceVersions'),
+                numberSeries: this.getItem('numberSeries'),
                 drafts: this.getItem('drafts'),
+                parkedBills: this.getItem('parkedBills'),
                 templates: this.getItem('templates'),
                 settings: this.getItem('settings'),
                 counters: this.getItem('counters')
@@ -0,0 +1,342 @@
+/**
+ * ⚡️ UnifyX Bill Maker - Payment Reminders
+ * Dunning schedule, reminder templates, and per-invoice reminder log
+ * Author: Ved Mangukiya
+ * Version: 1.0.0
+ */
+
+class DunningManager {
+    constructor() {
+        this.dataManager = window.DataManager;
+        this.businessManager = window.BusinessManager;
+        this.customerManager = window.CustomerManager;
+        this.billingEngine = window.BillingEngine;
+
+        // Scheduler state
+        this.isRunning = false;
+        this.lastRunAt = null;
+
+        // Invoice statuses that can still be chased for payment
+        this.remindableStatuses = AppConstants.RECEIVABLE_STATUSES.filter(status => status !== 'paid');
+
+        // Placeholders available in reminder templates
+        this.placeholders = ['{CUSTOMER}', '{INVOICE_NO}', '{INVOICE_DATE}', '{DUE_DATE}', '{AMOUNT}', '{DAYS_OVERDUE}', '{BUSINESS}'];
+
+        this.settings = window.AppConfig?.billing?.dunning || {
+            checkInterval: 60 * 60 * 1000,
+            schedule: []
+        };
+
+        console.log('🔔 DunningManager initialized successfully!');
+    }
+
+    /**
+     * Get reminder schedule, earliest stage first
+     * @returns {Array} Schedule stages ({ id, offsetDays, subject, message })
+     */
+    getSchedule() {
+        const settings = this.dataManager.getItem('settings') || {};
+        const schedule = settings.dunningSchedule || this.settings.schedule;
+
+        return [...schedule].sort((a, b) => a.offsetDays - b.offsetDays);
+    }
+
+    /**
+     * Replace reminder schedule
+     * @param {Array} schedule - Schedule stages
+     * @returns {Array} Saved schedule
+     */
+    updateSchedule(schedule) {
+        try {
+            const validation = this.validateScheduleData(schedule);
+            if (!validation.valid) {
+                throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            const stages = schedule.map(stage => ({
+                id: stage.id.trim(),
+                offsetDays: parseInt(stage.offsetDays, 10),
+                subject: (stage.subject || '').trim(),
+                message: stage.message.trim()
+            }));
+
+            const settings = this.dataManager.getItem('settings') || {};
+            this.dataManager.setItem('settings', { ...settings, dunningSchedule: stages });
+
+            this.trackDunningEvent('dunning_schedule_updated', { stages: stages.length });
+            return this.getSchedule();
+
+        } catch (error) {
+            console.error('Failed to update reminder schedule:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore the default reminder schedule
+     * @returns {Array} Default schedule
+     */
+    resetSchedule() {
+        const settings = this.dataManager.getItem('settings') || {};
+        delete settings.dunningSchedule;
+        this.dataManager.setItem('settings', settings);
+
+        return this.getSchedule();
+    }
+
+    /**
+     * Validate reminder schedule
+     * @param {Array} schedule - Schedule stages
+     * @returns {Object} Validation result
+     */
+    validateScheduleData(schedule) {
+        const errors = [];
+
+        if (!Array.isArray(schedule) || schedule.length === 0) {
+            errors.push('Schedule needs at least one reminder');
+            return { valid: false, errors };
+        }
+
+        schedule.forEach((stage, index) => {
+            const label = `Reminder ${index + 1}`;
+
+            if (!stage.id || !String(stage.id).trim()) {
+                errors.push(`${label}: ID is required`);
+            }
+
+            if (!Number.isInteger(parseFloat(stage.offsetDays))) {
+                errors.push(`${label}: Days from due date must be a whole number`);
+            }
+
+            if (!stage.message || !stage.message.trim()) {
+                errors.push(`${label}: Message is required`);
+            }
+
+            const unknown = `${stage.subject || ''} ${stage.message || ''}`.match(/\{[A-Z_]+\}/g) || [];
+            unknown.filter(token => !this.placeholders.includes(token)).forEach(token => {
+                errors.push(`${label}: Unknown placeholder ${token}`);
+            });
+        });
+
+        const ids = schedule.map(stage => String(stage.id || '').trim());
+        if (new Set(ids).size !== ids.length) {
+            errors.push('Reminder IDs must be unique');
+        }
+
+        const offsets = schedule.map(stage => parseInt(stage.offsetDays, 10));
+        if (new Set(offsets).size !== offsets.length) {
+            errors.push('Only one reminder can be sent per day offset');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Get balance still owed on an invoice
+     * @param {Object} invoice - Invoice
+     * @returns {number} Outstanding balance
+     */
+    getOutstandingBalance(invoice) {
+        const paymentManager = window.PaymentManager;
+        if (paymentManager) {
+            return paymentManager.roundValue(paymentManager.getAmountDue(invoice) - paymentManager.getAmountPaid(invoice.id));
+        }
+
+        return invoice.balanceDue ?? invoice.totals?.grandTotal ?? 0;
+    }
+
+    /**
+     * Get days between due date and a date (negative before the due date)
+     * @param {Object} invoice - Invoice
+     * @param {string} asOf - Date (YYYY-MM-DD)
+     * @returns {number} Days from due date
+     */
+    getDaysFromDue(invoice, asOf) {
+        return Math.round((new Date(asOf).getTime() - new Date(invoice.dueDate).getTime()) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Get the reminder an invoice is due for
+     * Only the latest stage reached is sent, so a late first check does not send a burst of reminders
+     * @param {Object} invoice - Invoice
+     * @param {string} asOf - Date (YYYY-MM-DD)
+     * @returns {Object|null} Schedule stage, or null when nothing is due
+     */
+    getDueStage(invoice, asOf = new Date().toISOString().split('T')[0]) {
+        if (!invoice.dueDate ||
+            !this.remindableStatuses.includes(invoice.status) ||
+            ['paid', 'overpaid'].includes(invoice.paymentStatus) ||
+            this.getOutstandingBalance(invoice) < 0.01) {
+            return null;
+        }
+
+        const daysFromDue = this.getDaysFromDue(invoice, asOf);
+        const reached = this.getSchedule().filter(stage => stage.offsetDays <= daysFromDue);
+        const stage = reached[reached.length - 1];
+
+        if (!stage) {
+            return null;
+        }
+
+        // Never remind twice for the same stage, or go back to an earlier one
+        const log = this.getReminderLog(invoice);
+        const alreadySent = log.some(entry => entry.stageId === stage.id || entry.offsetDays >= stage.offsetDays);
+
+        return alreadySent ? null : stage;
+    }
+
+    /**
+     * Fill in reminder template placeholders
+     * @param {string} template - Template text
+     * @param {Object} invoice - Invoice
+     * @param {string} asOf - Date (YYYY-MM-DD)
+     * @returns {string} Reminder text
+     */
+    renderTemplate(template, invoice, asOf = new Date().toISOString().split('T')[0]) {
+        const customer = this.customerManager.getCustomerById(invoice.customerId) || invoice.customerData || {};
+        const business = this.businessManager.getBusinessById(invoice.businessId) || this.businessManager.getCurrentBusiness() || {};
+
+        const values = {
+            '{CUSTOMER}': customer.name || 'Customer',
+            '{INVOICE_NO}': invoice.invoiceNumber,
+            '{INVOICE_DATE}': invoice.invoiceDate,
+            '{DUE_DATE}': invoice.dueDate,
+            '{AMOUNT}': `Rs. ${this.getOutstandingBalance(invoice).toFixed(2)}`,
+            '{DAYS_OVERDUE}': Math.max(0, this.getDaysFromDue(invoice, asOf)),
+            '{BUSINESS}': business.businessName || business.name || ''
+        };
+
+        return (template || '').replace(/\{[A-Z_]+\}/g, token => (token in values ? values[token] : token));
+    }
+
+    /**
+     * Send one reminder and log it on the invoice
+     * @param {Object} invoice - Invoice
+     * @param {Object} stage - Schedule stage
+     * @param {string} asOf - Date (YYYY-MM-DD)
+     * @returns {Promise<Object|null>} Log entry, or null when the customer has no contact details
+     */
+    async sendReminder(invoice, stage, asOf = new Date().toISOString().split('T')[0]) {
+        try {
+            const reminder = {
+                subject: this.renderTemplate(stage.subject, invoice, asOf),
+                message: this.renderTemplate(stage.message, invoice, asOf)
+            };
+
+            const channels = await this.billingEngine.sendInvoiceNotifications(invoice, reminder);
+            if (channels.length === 0) {
+                return null;
+            }
+
+            const entry = {
+                id: `reminder_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                stageId: stage.id,
+                offsetDays: stage.offsetDays,
+                channels,
+                ...reminder,
+                balance: this.getOutstandingBalance(invoice),
+                sentAt: new Date().toISOString()
+            };
+
+            invoice.reminders = [...this.getReminderLog(invoice), entry];
+            this.dataManager.saveInvoice(invoice);
+
+            this.trackDunningEvent('payment_reminder_sent', {
+                invoiceId: invoice.id,
+                stageId: stage.id,
+                channels
+            });
+
+            return entry;
+
+        } catch (error) {
+            console.error('Failed to send payment reminder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send all reminders that are due
+     * @param {Date} now - Current time
+     * @returns {Promise<Array>} Sent reminders ({ invoiceId, invoiceNumber, reminder })
+     */
+    async runReminders(now = new Date()) {
+        if (this.isRunning) {
+            return [];
+        }
+
+        this.isRunning = true;
+        const sent = [];
+
+        try {
+            const settings = this.dataManager.getItem('settings') || {};
+            if (settings.notifications?.paymentReminders === false) {
+                return sent;
+            }
+
+            const today = now.toISOString().split('T')[0];
+
+            for (const invoice of this.dataManager.getInvoices()) {
+                const stage = this.getDueStage(invoice, today);
+                if (!stage) continue;
+
+                try {
+                    const reminder = await this.sendReminder(invoice, stage, today);
+                    if (reminder) {
+                        sent.push({ invoiceId: invoice.id, invoiceNumber: invoice.invoiceNumber, reminder });
+                    }
+                } catch (error) {
+                    // Leave it unlogged so the reminder is retried on the next check
+                    console.warn(`Reminder for ${invoice.invoiceNumber} will be retried:`, error);
+                }
+            }
+
+            this.lastRunAt = new Date().toISOString();
+
+            if (sent.length > 0) {
+                this.trackDunningEvent('dunning_run', { sent: sent.length });
+            }
+
+            return sent;
+
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Get reminders sent for an invoice
+     * @param {Object|string} invoice - Invoice or invoice ID
+     * @returns {Array} Reminder log, oldest first
+     */
+    getReminderLog(invoice) {
+        const record = typeof invoice === 'string' ? this.dataManager.getInvoice(invoice) : invoice;
+        return record?.reminders || [];
+    }
+
+    /**
+     * Track dunning events
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    trackDunningEvent(event, data = {}) {
+        try {
+            if (window.UnifyXApp) {
+                window.UnifyXApp.trackEvent(event, {
+                    module: 'dunning',
+                    ...data
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to track dunning event:', error);
+        }
+    }
+}
+
+// Create and export global DunningManager instance
+window.DunningManager = new DunningManager();
+
+console.log('🔔 UnifyX Bill Maker DunningManager Loaded Successfully!');
@@ -0,0 +1,556 @@
+/**
+ * ⚡️ UnifyX Bill Maker - GST E-Invoice
+ * INV-01 e-invoice JSON export, local schema validation, and IRN storage
+ * Author: Ved Mangukiya
+ * Version: 1.0.0
+ */
+
+class EInvoiceManager {
+    constructor() {
+        this.dataManager = window.DataManager;
+        this.businessManager = window.BusinessManager;
+        this.customerManager = window.CustomerManager;
+
+        this.settings = window.AppConfig?.billing?.eInvoice || {
+            schemaVersion: '1.1',
+            turnoverThreshold: 50000000
+        };
+
+        // GST rates accepted by the IRP
+        this.allowedRates = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28];
+
+        // Invoice statuses an e-invoice can be raised for
+        this.eligibleStatuses = AppConstants.RECEIVABLE_STATUSES;
+
+        // Totals may differ from the sum of their parts by up to ₹1
+        this.tolerance = 1;
+
+        // State code used for place of supply and address of overseas buyers
+        this.exportStateCode = '96';
+
+        console.log('🧾 EInvoiceManager initialized successfully!');
+    }
+
+    /**
+     * Check whether e-invoicing applies to an invoice
+     * @param {Object} invoice - Invoice
+     * @returns {boolean} True when an IRN is required
+     */
+    isEInvoiceRequired(invoice) {
+        if (!invoice || invoice.billType !== 'tax_invoice') {
+            return false;
+        }
+
+        // Exports are reported even though the overseas buyer has no GSTIN
+        if (!this.getBuyer(invoice).gstin && !this.getSupplyType(invoice).isExport) {
+            return false;
+        }
+
+        const business = this.businessManager.getBusinessById(invoice.businessId);
+        return !!business?.settings?.eInvoicing ||
+            (business?.annualTurnover || 0) > this.settings.turnoverThreshold;
+    }
+
+    /**
+     * Build INV-01 e-invoice JSON for a generated tax invoice
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Object} E-invoice payload
+     */
+    buildEInvoice(invoiceId) {
+        const invoice = this.dataManager.getInvoice(invoiceId);
+        if (!invoice) {
+            throw new Error('Invoice not found');
+        }
+
+        if (invoice.billType !== 'tax_invoice') {
+            throw new Error('E-invoices can only be raised for tax invoices');
+        }
+
+        if (!this.eligibleStatuses.includes(invoice.status)) {
+            throw new Error(`Invoice is ${invoice.status}; only generated invoices can be e-invoiced`);
+        }
+
+        const business = this.businessManager.getBusinessById(invoice.businessId) || {};
+        const buyer = this.getBuyer(invoice);
+        const supplyType = this.getSupplyType(invoice);
+        // Charges are reported as service lines under their SAC code
+        const lines = [...(invoice.items || []), ...(invoice.charges || []).map(charge => ({
+            name: charge.name,
+            hsn: charge.sac,
+            quantity: 1,
+            unit: 'OTH',
+            taxableAmount: charge.taxableAmount,
+            taxRate: charge.taxRate,
+            cgst: charge.cgst,
+            sgst: charge.sgst,
+            igst: charge.igst,
+            cess: charge.cess,
+            totalTax: charge.totalTax
+        }))];
+        const itemList = lines.map((item, index) => this.buildItem(item, index, invoice));
+
+        // Overseas buyers are unregistered and outside India (state code 96, PIN 999999)
+        const exportBuyer = supplyType.isExport ? {
+            Gstin: 'URP',
+            Pos: this.exportStateCode,
+            Stcd: this.exportStateCode,
+            Pin: 999999
+        } : {};
+
+        return {
+            Version: this.settings.schemaVersion,
+            TranDtls: {
+                TaxSch: 'GST',
+                SupTyp: supplyType.eInvoiceType || 'B2B',
+                RegRev: invoice.reverseCharge ? 'Y' : 'N',
+                IgstOnIntra: 'N'
+            },
+            DocDtls: {
+                Typ: 'INV',
+                No: invoice.invoiceNumber,
+                Dt: this.formatDate(invoice.invoiceDate)
+            },
+            SellerDtls: {
+                Gstin: business.gstin || '',
+                LglNm: business.name || '',
+                ...this.buildAddress(business),
+                Stcd: business.stateCode || (business.gstin || '').substr(0, 2),
+                ...this.buildContact(business)
+            },
+            BuyerDtls: {
+                Gstin: buyer.gstin || '',
+                LglNm: buyer.name || '',
+                Pos: invoice.placeOfSupply || buyer.stateCode || (buyer.gstin || '').substr(0, 2),
+                ...this.buildAddress(buyer),
+                Stcd: buyer.stateCode || (buyer.gstin || '').substr(0, 2),
+                ...this.buildContact(buyer),
+                ...exportBuyer
+            },
+            ItemList: itemList,
+            ValDtls: this.buildValueDetails(itemList, invoice.totals || {})
+        };
+    }
+
+    /**
+     * Build e-invoice line item
+     * @param {Object} item - Invoice item
+     * @param {number} index - Line index
+     * @param {Object} invoice - Invoice the item belongs to
+     * @returns {Object} Item details
+     */
+    buildItem(item, index, invoice) {
+        const quantity = parseFloat(item.quantity) || 0;
+
+        // Discount is taken off the GST-inclusive price in inclusive mode, so report it net of tax
+        const discount = invoice.taxCalculation === 'inclusive' && item.taxRate > 0
+            ? window.CalculatorUtils.removeGST(item.discountAmount || 0, item.taxRate)
+            : (item.discountAmount || 0);
+
+        const assessable = item.taxableAmount || 0;
+        const gross = assessable + discount;
+        const hsn = String(item.hsn || '');
+        const specificCess = quantity * (item.cessPerUnit || 0);
+
+        return {
+            SlNo: String(index + 1),
+            PrdDesc: item.name || item.description || '',
+            IsServc: hsn.startsWith('99') ? 'Y' : 'N',
+            HsnCd: hsn,
+            Qty: quantity,
+            Unit: this.getUnitCode(item.unit),
+            UnitPrice: quantity ? Math.round((gross / quantity) * 1000) / 1000 : 0,
+            TotAmt: this.roundValue(gross),
+            Discount: this.roundValue(discount),
+            AssAmt: this.roundValue(assessable),
+            GstRt: item.taxRate || 0,
+            IgstAmt: this.roundValue(item.igst || 0),
+            CgstAmt: this.roundValue(item.cgst || 0),
+            SgstAmt: this.roundValue(item.sgst || 0),
+            CesRt: item.cessRate || 0,
+            CesAmt: this.roundValue((item.cess || 0) - specificCess),
+            CesNonAdvlAmt: this.roundValue(specificCess),
+            TotItemVal: this.roundValue(assessable + (item.totalTax || 0))
+        };
+    }
+
+    /**
+     * Build value details from item list and invoice totals
+     * @param {Array} itemList - E-invoice items
+     * @param {Object} totals - Invoice totals
+     * @returns {Object} Value details
+     */
+    buildValueDetails(itemList, totals) {
+        const sum = field => this.roundValue(itemList.reduce((acc, item) => acc + item[field], 0));
+
+        const roundOff = this.roundValue(totals.roundOff || 0);
+
+        // Reverse charge tax is left out of the amount collected but still forms part of the invoice value
+        const totalValue = this.roundValue((totals.grandTotal || 0) + (totals.reverseChargeTax || 0));
+
+        // Invoice-level discount is whatever the line values exceed the billed total by
+        const discount = this.roundValue(sum('TotItemVal') + roundOff - totalValue);
+
+        return {
+            AssVal: sum('AssAmt'),
+            CgstVal: sum('CgstAmt'),
+            SgstVal: sum('SgstAmt'),
+            IgstVal: sum('IgstAmt'),
+            CesVal: this.roundValue(sum('CesAmt') + sum('CesNonAdvlAmt')),
+            Discount: Math.max(discount, 0),
+            OthChrg: Math.max(-discount, 0),
+            RndOffAmt: roundOff,
+            TotInvVal: totalValue
+        };
+    }
+
+    /**
+     * Build address block (Addr1, Addr2, Loc, Pin)
+     * @param {Object} party - Business or customer
+     * @returns {Object} Address details
+     */
+    buildAddress(party) {
+        const address = String(party.address || '').replace(/\s+/g, ' ').trim();
+        const pincode = party.pincode || (address.match(/\b[1-9][0-9]{5}\b/) || [])[0] || '';
+
+        const details = {
+            Addr1: address.substr(0, 100),
+            Loc: party.city || '',
+            Pin: pincode ? parseInt(pincode, 10) : null
+        };
+
+        if (address.length > 100) {
+            details.Addr2 = address.substr(100, 100);
+        }
+
+        return details;
+    }
+
+    /**
+     * Build optional contact fields
+     * @param {Object} party - Business or customer
+     * @returns {Object} Contact details
+     */
+    buildContact(party) {
+        const contact = {};
+        const phone = String(party.phone || '').replace(/\D/g, '').slice(-12);
+
+        if (phone.length >= 6) contact.Ph = phone;
+        if (party.email) contact.Em = party.email;
+
+        return contact;
+    }
+
+    /**
+     * Get buyer details from the invoice, falling back to the customer record
+     * @param {Object} invoice - Invoice
+     * @returns {Object} Buyer details
+     */
+    getBuyer(invoice) {
+        const customer = invoice.customerId ?
+            this.customerManager.getCustomerById(invoice.customerId) : null;
+
+        return { ...(customer || {}), ...(invoice.customerData || {}) };
+    }
+
+    /**
+     * Get supply type configuration of an invoice
+     * @param {Object} invoice - Invoice
+     * @returns {Object} Supply type from AppConstants.SUPPLY_TYPES
+     */
+    getSupplyType(invoice) {
+        return window.BillingEngine.getSupplyType(invoice);
+    }
+
+    /**
+     * Map unit of measurement to GST unit quantity code
+     * @param {string} unit - Unit ID
+     * @returns {string} UQC
+     */
+    getUnitCode(unit) {
+        const units = Object.values(window.AppConstants?.UNITS || {}).flat();
+        return units.find(u => u.id === unit)?.uqc || 'OTH';
+    }
+
+    /**
+     * Validate e-invoice JSON against schema rules
+     * @param {Object} payload - E-invoice payload
+     * @returns {Object} Validation result
+     */
+    validateEInvoice(payload) {
+        const errors = [];
+        const regex = window.AppConstants?.REGEX || {};
+        const stateCodes = (window.AppConstants?.INDIAN_STATES || []).map(s => s.gstCode);
+        const seller = payload.SellerDtls || {};
+        const buyer = payload.BuyerDtls || {};
+        const values = payload.ValDtls || {};
+        const items = payload.ItemList || [];
+        const supplyType = payload.TranDtls?.SupTyp || 'B2B';
+        const isExport = ['EXPWP', 'EXPWOP'].includes(supplyType);
+        const isZeroRated = supplyType !== 'B2B';
+        const chargesTax = !['SEZWOP', 'EXPWOP'].includes(supplyType);
+        const buyerStateCodes = isExport ? [...stateCodes, this.exportStateCode] : stateCodes;
+
+        // Document details
+        if (!/^[A-Z1-9][A-Z0-9/-]{0,15}$/.test(payload.DocDtls?.No || '')) {
+            errors.push('Document number must be up to 16 characters of A-Z, 0-9, / and -, not starting with 0, / or -');
+        }
+
+        const docDate = this.parseDate(payload.DocDtls?.Dt);
+        if (!docDate) {
+            errors.push('Document date must be in DD/MM/YYYY format');
+        } else if (docDate > new Date()) {
+            errors.push('Document date cannot be in the future');
+        }
+
+        // Parties
+        [['Seller', seller], ['Buyer', buyer]].forEach(([label, party]) => {
+            const isOverseas = isExport && party === buyer;
+
+            if (!(isOverseas && party.Gstin === 'URP') && !regex.GSTIN?.test(party.Gstin || '')) {
+                errors.push(`${label} GSTIN is invalid`);
+            }
+            if (!party.LglNm || party.LglNm.length < 3 || party.LglNm.length > 100) {
+                errors.push(`${label} legal name must be 3-100 characters`);
+            }
+            if (!party.Addr1) {
+                errors.push(`${label} address is required`);
+            }
+            if (!party.Loc || party.Loc.length < 3 || party.Loc.length > 50) {
+                errors.push(`${label} location (city) must be 3-50 characters`);
+            }
+            if (!regex.PINCODE?.test(String(party.Pin || '')) && !(isOverseas && party.Pin === 999999)) {
+                errors.push(`${label} PIN code must be 6 digits`);
+            }
+            if (!(isOverseas ? buyerStateCodes : stateCodes).includes(party.Stcd)) {
+                errors.push(`${label} state code is invalid`);
+            }
+            if (party.Gstin && !isOverseas && party.Stcd && party.Gstin.substr(0, 2) !== party.Stcd) {
+                errors.push(`${label} state code does not match GSTIN`);
+            }
+        });
+
+        if (seller.Gstin && seller.Gstin === buyer.Gstin) {
+            errors.push('Seller and buyer GSTIN cannot be the same');
+        }
+
+        if (!buyerStateCodes.includes(buyer.Pos)) {
+            errors.push('Place of supply is invalid');
+        }
+
+        // Items
+        if (items.length === 0) {
+            errors.push('At least one item is required');
+        }
+
+        items.forEach(item => {
+            const line = `Item ${item.SlNo}`;
+            const isInterState = seller.Stcd !== buyer.Pos;
+
+            if (!/^(\d{4}|\d{6}|\d{8})$/.test(item.HsnCd)) {
+                errors.push(`${line}: HSN/SAC code must be 4, 6 or 8 digits`);
+            }
+            if (!this.allowedRates.includes(item.GstRt)) {
+                errors.push(`${line}: GST rate ${item.GstRt}% is not allowed`);
+            }
+            if (item.IsServc === 'N' && !(item.Qty > 0)) {
+                errors.push(`${line}: quantity is required for goods`);
+            }
+            if (Math.abs(item.TotAmt - item.Discount - item.AssAmt) > this.tolerance) {
+                errors.push(`${line}: assessable value does not equal total amount less discount`);
+            }
+            if (chargesTax && Math.abs(item.AssAmt * item.GstRt / 100 - (item.IgstAmt + item.CgstAmt + item.SgstAmt)) > this.tolerance) {
+                errors.push(`${line}: tax amount does not match GST rate`);
+            }
+            if (!chargesTax && (item.IgstAmt || item.CgstAmt || item.SgstAmt)) {
+                errors.push(`${line}: no GST is charged on ${supplyType} supplies`);
+            }
+            if ((isInterState || isZeroRated) && (item.CgstAmt || item.SgstAmt)) {
+                errors.push(`${line}: ${isZeroRated ? 'zero-rated' : 'inter-state'} supply must be charged IGST`);
+            }
+            if (!isInterState && !isZeroRated && item.IgstAmt) {
+                errors.push(`${line}: intra-state supply must be charged CGST and SGST`);
+            }
+            if (chargesTax && Math.abs(item.AssAmt * (item.CesRt || 0) / 100 - (item.CesAmt || 0)) > this.tolerance) {
+                errors.push(`${line}: cess amount does not match cess rate`);
+            }
+            if (Math.abs(item.AssAmt + item.IgstAmt + item.CgstAmt + item.SgstAmt +
+                (item.CesAmt || 0) + (item.CesNonAdvlAmt || 0) - item.TotItemVal) > this.tolerance) {
+                errors.push(`${line}: item value does not equal assessable value plus tax`);
+            }
+        });
+
+        // Value details
+        const sum = field => items.reduce((acc, item) => acc + (item[field] || 0), 0);
+        [['AssVal', 'AssAmt'], ['CgstVal', 'CgstAmt'], ['SgstVal', 'SgstAmt'], ['IgstVal', 'IgstAmt']]
+            .forEach(([total, field]) => {
+                if (Math.abs((values[total] || 0) - sum(field)) > this.tolerance) {
+                    errors.push(`${total} does not equal the sum of item ${field}`);
+                }
+            });
+
+        const expectedTotal = (values.AssVal || 0) + (values.CgstVal || 0) + (values.SgstVal || 0) +
+            (values.IgstVal || 0) + (values.CesVal || 0) + (values.OthChrg || 0) - (values.Discount || 0) + (values.RndOffAmt || 0);
+        if (Math.abs(expectedTotal - (values.TotInvVal || 0)) > this.tolerance) {
+            errors.push('Total invoice value does not match value details');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Build, validate and download e-invoice JSON
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Object} E-invoice payload
+     */
+    exportEInvoice(invoiceId) {
+        try {
+            const payload = this.buildEInvoice(invoiceId);
+
+            const validation = this.validateEInvoice(payload);
+            if (!validation.valid) {
+                throw new Error(`E-invoice validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            const invoice = this.dataManager.getInvoice(invoiceId);
+
+            window.BackupManager?.downloadFile(
+                JSON.stringify([payload], null, 2),
+                `einvoice_${invoice.invoiceNumber.replace(/[^A-Za-z0-9-]/g, '_')}.json`,
+                'application/json'
+            );
+
+            invoice.eInvoice = {
+                ...(invoice.eInvoice || {}),
+                status: invoice.eInvoice?.irn ? invoice.eInvoice.status : 'exported',
+                exportedAt: new Date().toISOString()
+            };
+            this.dataManager.saveInvoice(invoice);
+
+            this.trackEInvoiceEvent('einvoice_exported', { invoiceId });
+            return payload;
+
+        } catch (error) {
+            console.error('Failed to export e-invoice:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store IRN and signed QR code returned by the IRP
+     * @param {string} invoiceId - Invoice ID
+     * @param {Object} response - IRP response (Irn, AckNo, AckDt, SignedInvoice, SignedQRCode)
+     * @returns {Object} Updated invoice
+     */
+    recordIRN(invoiceId, response = {}) {
+        try {
+            const invoice = this.dataManager.getInvoice(invoiceId);
+            if (!invoice) {
+                throw new Error('Invoice not found');
+            }
+
+            if (invoice.eInvoice?.irn) {
+                throw new Error('An IRN is already recorded for this invoice');
+            }
+
+            if (!/^[0-9a-f]{64}$/i.test(response.Irn || '')) {
+                throw new Error('IRN must be a 64-character hash');
+            }
+
+            if (!response.SignedQRCode) {
+                throw new Error('Signed QR code is required');
+            }
+
+            const recordedAt = new Date().toISOString();
+
+            invoice.eInvoice = {
+                ...(invoice.eInvoice || {}),
+                status: 'registered',
+                irn: response.Irn.toLowerCase(),
+                ackNo: response.AckNo ? String(response.AckNo) : '',
+                ackDate: response.AckDt || '',
+                signedInvoice: response.SignedInvoice || '',
+                signedQRCode: response.SignedQRCode,
+                recordedAt
+            };
+            invoice.auditTrail = [
+                ...(invoice.auditTrail || []),
+                {
+                    action: 'irn_recorded',
+                    reason: `IRN ${invoice.eInvoice.irn}`,
+                    at: recordedAt,
+                    by: 'user'
+                }
+            ];
+            invoice.updatedAt = recordedAt;
+            this.dataManager.saveInvoice(invoice);
+
+            this.trackEInvoiceEvent('irn_recorded', { invoiceId });
+            return invoice;
+
+        } catch (error) {
+            console.error('Failed to record IRN:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Format date as DD/MM/YYYY
+     * @param {string} date - ISO date
+     * @returns {string} Formatted date
+     */
+    formatDate(date) {
+        const d = new Date(date);
+        if (isNaN(d.getTime())) return '';
+
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}`;
+    }
+
+    /**
+     * Parse DD/MM/YYYY date
+     * @param {string} value - Formatted date
+     * @returns {Date|null} Parsed date
+     */
+    parseDate(value) {
+        const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(value || '');
+        if (!match) return null;
+
+        const date = new Date(parseInt(match[3], 10), parseInt(match[2], 10) - 1, parseInt(match[1], 10));
+        return date.getDate() === parseInt(match[1], 10) ? date : null;
+    }
+
+    /**
+     * Round value to 2 decimals
+     * @param {number} value - Value to round
+     * @returns {number} Rounded value
+     */
+    roundValue(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Track e-invoice events
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    trackEInvoiceEvent(event, data = {}) {
+        try {
+            if (window.UnifyXApp) {
+                window.UnifyXApp.trackEvent(event, {
+                    module: 'eInvoice',
+                    ...data
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to track e-invoice event:', error);
+        }
+    }
+}
+
+// Create and export global EInvoiceManager instance
+window.EInvoiceManager = new EInvoiceManager();
+
+console.log('🧾 UnifyX Bill Maker EInvoiceManager Loaded Successfully!');
@@ -0,0 +1,619 @@
+/**
+ * ⚡️ UnifyX Bill Maker - E-Way Bill
+ * Bulk-upload e-way bill JSON for goods movement, transport details, and validity tracking
+ * Author: Ved Mangukiya
+ * Version: 1.0.0
+ */
+
+class EWayBillManager {
+    constructor() {
+        this.dataManager = window.DataManager;
+        this.businessManager = window.BusinessManager;
+        this.customerManager = window.CustomerManager;
+
+        this.settings = window.AppConfig?.billing?.eWayBill || {
+            schemaVersion: '1.0.0621',
+            threshold: 50000,
+            kmPerDay: 200,
+            odcKmPerDay: 20,
+            maxDistance: 4000
+        };
+
+        // Document types an e-way bill can be raised against, with their eligible statuses
+        this.documentTypes = {
+            tax_invoice: { docType: 'INV', statuses: AppConstants.RECEIVABLE_STATUSES },
+            bill_of_supply: { docType: 'BIL', statuses: AppConstants.RECEIVABLE_STATUSES },
+            delivery_challan: { docType: 'CHL', statuses: ['dispatched', 'invoiced'] }
+        };
+
+        // Sub-supply types for challans, matched against the challan purpose
+        this.challanSupplyTypes = [
+            { pattern: /job\s*work/i, code: 4 },
+            { pattern: /own\s*use/i, code: 5 },
+            { pattern: /line\s*sale/i, code: 10 },
+            { pattern: /exhibition|fair/i, code: 12 }
+        ];
+
+        // State code for consignments leaving the country; the port's state goes in actualToStateCode
+        this.exportStateCode = 99;
+
+        console.log('🚛 EWayBillManager initialized successfully!');
+    }
+
+    /**
+     * Check whether a consignment needs an e-way bill
+     * @param {Object} invoice - Invoice or challan
+     * @returns {boolean} True when goods value exceeds the threshold
+     */
+    isEWayBillRequired(invoice) {
+        if (!invoice || !this.documentTypes[invoice.billType]) {
+            return false;
+        }
+
+        const hasGoods = (invoice.items || []).some(item => !String(item.hsn || '').startsWith('99'));
+        return hasGoods && (invoice.totals?.grandTotal || 0) > this.settings.threshold;
+    }
+
+    /**
+     * List transport details still needed for an e-way bill
+     * @param {Object} transport - Transport details
+     * @returns {Array} Missing field names
+     */
+    getMissingTransportDetails(transport = {}) {
+        const missing = [];
+
+        if (!transport.mode) missing.push('mode');
+        if (!(parseInt(transport.distance, 10) > 0)) missing.push('distance');
+
+        if ((transport.mode || 'road') === 'road') {
+            if (!transport.vehicleNumber && !transport.transporterId) {
+                missing.push('vehicleNumber');
+            }
+        } else {
+            if (!transport.transportDocNumber) missing.push('transportDocNumber');
+            if (!transport.transportDocDate) missing.push('transportDocDate');
+        }
+
+        return missing;
+    }
+
+    /**
+     * Ask for missing transport details and save the e-way bill draft
+     * @param {string} invoiceId - Invoice or challan ID
+     */
+    promptTransportDetails(invoiceId) {
+        const invoice = this.dataManager.getInvoice(invoiceId);
+        if (!invoice) {
+            window.UnifyXApp?.showNotification('error', 'E-way bill', 'Invoice not found');
+            return;
+        }
+
+        const transport = invoice.transport || {};
+
+        window.ModalComponents.showForm({
+            title: `🚛 E-Way Bill: ${invoice.invoiceNumber}`,
+            submitText: 'Save Draft',
+            fields: [
+                {
+                    type: 'select',
+                    name: 'mode',
+                    label: 'Transport Mode',
+                    required: true,
+                    value: transport.mode || 'road',
+                    options: (window.AppConstants?.TRANSPORT_MODES || []).map(m => ({ value: m.id, label: m.name }))
+                },
+                { type: 'number', name: 'distance', label: 'Approximate Distance (km)', required: true, value: transport.distance || '' },
+                { name: 'vehicleNumber', label: 'Vehicle Number', placeholder: 'GJ05AB1234', value: transport.vehicleNumber || '' },
+                { name: 'transporterId', label: 'Transporter ID', placeholder: '15-character GSTIN/TRANSIN', value: transport.transporterId || '' },
+                { name: 'transporterName', label: 'Transporter Name', value: transport.transporterName || '' },
+                { name: 'transportDocNumber', label: 'Transport Doc No (rail/air/ship)', value: transport.transportDocNumber || '' },
+                { type: 'date', name: 'transportDocDate', label: 'Transport Doc Date', value: transport.transportDocDate || '' },
+                { type: 'checkbox', name: 'overDimensional', label: 'Over Dimensional Cargo', value: transport.overDimensional }
+            ],
+            onSubmit: (formData) => {
+                try {
+                    this.saveDraft(invoiceId, {
+                        ...formData,
+                        overDimensional: !!formData.overDimensional
+                    });
+                    window.UnifyXApp?.showNotification('success', 'E-way bill', 'E-way bill draft validated and saved');
+                    return true;
+                } catch (error) {
+                    window.UnifyXApp?.showNotification('error', 'E-way bill', error.message);
+                    return false;
+                }
+            }
+        });
+    }
+
+    /**
+     * Build bulk-upload e-way bill entry for an invoice or challan
+     * @param {string} invoiceId - Invoice or challan ID
+     * @param {Object} transport - Transport details (defaults to those on the document)
+     * @returns {Object} E-way bill entry
+     */
+    buildEWayBill(invoiceId, transport = null) {
+        const invoice = this.dataManager.getInvoice(invoiceId);
+        if (!invoice) {
+            throw new Error('Invoice not found');
+        }
+
+        const type = this.documentTypes[invoice.billType];
+        if (!type) {
+            throw new Error('E-way bills can only be raised for invoices, bills of supply and delivery challans');
+        }
+
+        if (!type.statuses.includes(invoice.status)) {
+            throw new Error(`Document is ${invoice.status} and cannot be moved on an e-way bill`);
+        }
+
+        const details = transport || invoice.transport || {};
+        const business = this.businessManager.getBusinessById(invoice.businessId) || {};
+        const buyer = this.getBuyer(invoice);
+        const from = this.buildAddress(business);
+        const to = this.buildAddress({ ...buyer, address: invoice.deliveryAddress || buyer.address });
+        const totals = invoice.totals || {};
+        const isChallan = invoice.billType === 'delivery_challan';
+        const items = (invoice.items || []).filter(item => !String(item.hsn || '').startsWith('99'));
+
+        const fromStateCode = this.getStateCode(business.stateCode || business.gstin);
+        const isExport = !isChallan && !!window.BillingEngine.getSupplyType(invoice).isExport;
+        const deliveryStateCode = this.getStateCode(invoice.placeOfSupply || buyer.stateCode || buyer.gstin);
+        const toStateCode = isExport ? this.exportStateCode : deliveryStateCode;
+        const subSupplyType = isChallan ? this.getChallanSupplyType(invoice.challanReason) : (isExport ? 3 : 1);
+
+        const itemList = items.map((item, index) => {
+            const isInterState = (item.igst || 0) > 0;
+
+            return {
+                itemNo: index + 1,
+                productName: item.name || '',
+                productDesc: item.description || item.name || '',
+                hsnCode: parseInt(item.hsn, 10) || 0,
+                quantity: parseFloat(item.quantity) || 0,
+                qtyUnit: this.getUnitCode(item.unit),
+                taxableAmount: this.roundValue(item.taxableAmount || 0),
+                cgstRate: isInterState ? 0 : (item.cgst ? item.taxRate / 2 : 0),
+                sgstRate: isInterState ? 0 : (item.sgst ? item.taxRate / 2 : 0),
+                igstRate: isInterState ? item.taxRate : 0,
+                cessRate: item.cessRate || 0,
+                cessNonAdvol: item.cessPerUnit || 0
+            };
+        });
+
+        // Most valuable line determines the main HSN code
+        const mainItem = items.reduce((main, item) =>
+            (!main || (item.taxableAmount || 0) > (main.taxableAmount || 0) ? item : main), null);
+
+        const mode = (window.AppConstants?.TRANSPORT_MODES || []).find(m => m.id === details.mode);
+        const taxableValue = this.roundValue(itemList.reduce((sum, item) => sum + item.taxableAmount, 0));
+        const taxValue = field => this.roundValue(items.reduce((sum, item) => sum + (item[field] || 0), 0));
+        const invoiceValue = this.roundValue((totals.grandTotal || 0) + (totals.reverseChargeTax || 0));
+        const specificCess = this.roundValue(items.reduce((sum, item) =>
+            sum + (parseFloat(item.quantity) || 0) * (item.cessPerUnit || 0), 0));
+        const cessValue = this.roundValue(taxValue('cess') - specificCess);
+
+        // Service lines, charges, invoice discount and round-off all land in other value
+        const otherValue = this.roundValue(
+            invoiceValue - taxableValue - taxValue('cgst') - taxValue('sgst') - taxValue('igst') - taxValue('cess')
+        );
+
+        return {
+            userGstin: business.gstin || '',
+            supplyType: 'O',
+            subSupplyType,
+            subSupplyDesc: subSupplyType === 8 ? (invoice.challanReason || 'Others') : '',
+            docType: type.docType,
+            docNo: invoice.invoiceNumber,
+            docDate: this.formatDate(invoice.invoiceDate),
+            fromGstin: business.gstin || '',
+            fromTrdName: business.name || '',
+            fromAddr1: from.addr1,
+            fromAddr2: from.addr2,
+            fromPlace: from.place,
+            fromPincode: from.pincode,
+            fromStateCode,
+            actualFromStateCode: fromStateCode,
+            toGstin: isExport ? 'URP' : (buyer.gstin || 'URP'),
+            toTrdName: buyer.name || '',
+            toAddr1: to.addr1,
+            toAddr2: to.addr2,
+            toPlace: to.place,
+            toPincode: to.pincode,
+            toStateCode,
+            actualToStateCode: isExport
+                ? (deliveryStateCode || fromStateCode)
+                : (this.getStateCode(buyer.stateCode || buyer.gstin) || toStateCode),
+            transactionType: 1,
+            totalValue: taxableValue,
+            cgstValue: taxValue('cgst'),
+            sgstValue: taxValue('sgst'),
+            igstValue: taxValue('igst'),
+            cessValue,
+            TotNonAdvolVal: specificCess,
+            OthValue: otherValue,
+            totInvValue: invoiceValue,
+            transMode: mode?.code || '',
+            transDistance: String(parseInt(details.distance, 10) || 0),
+            transporterId: (details.transporterId || '').toUpperCase(),
+            transporterName: details.transporterName || '',
+            transDocNo: details.transportDocNumber || '',
+            transDocDate: details.transportDocDate ? this.formatDate(details.transportDocDate) : '',
+            vehicleNo: (details.vehicleNumber || '').replace(/[\s-]/g, '').toUpperCase(),
+            vehicleType: details.overDimensional ? 'O' : 'R',
+            mainHsnCode: parseInt(mainItem?.hsn, 10) || 0,
+            itemList
+        };
+    }
+
+    /**
+     * Validate e-way bill entry against bulk-upload rules
+     * @param {Object} bill - E-way bill entry
+     * @returns {Object} Validation result
+     */
+    validateEWayBill(bill) {
+        const errors = [];
+        const regex = window.AppConstants?.REGEX || {};
+        const stateCodes = (window.AppConstants?.INDIAN_STATES || []).map(s => parseInt(s.gstCode, 10));
+
+        // Document details
+        if (!/^[A-Za-z0-9/-]{1,16}$/.test(bill.docNo || '')) {
+            errors.push('Document number must be up to 16 characters of letters, digits, / and -');
+        }
+        if (!bill.docDate) {
+            errors.push('Document date is required');
+        }
+
+        // Parties
+        if (!regex.GSTIN?.test(bill.fromGstin || '')) {
+            errors.push('Supplier GSTIN is invalid');
+        }
+        if (bill.toGstin !== 'URP' && !regex.GSTIN?.test(bill.toGstin || '')) {
+            errors.push('Recipient GSTIN is invalid (use URP for unregistered recipients)');
+        }
+
+        [['Supplier', 'from'], ['Recipient', 'to']].forEach(([label, prefix]) => {
+            if (!bill[`${prefix}Place`]) {
+                errors.push(`${label} place is required`);
+            }
+            if (!regex.PINCODE?.test(String(bill[`${prefix}Pincode`] || ''))) {
+                errors.push(`${label} PIN code must be 6 digits`);
+            }
+            const isExport = prefix === 'to' && bill.subSupplyType === 3 && bill[`${prefix}StateCode`] === this.exportStateCode;
+            if (!isExport && !stateCodes.includes(bill[`${prefix}StateCode`])) {
+                errors.push(`${label} state code is invalid`);
+            }
+        });
+
+        // Items and values
+        if (!bill.itemList?.length) {
+            errors.push('At least one goods item is required');
+        }
+
+        (bill.itemList || []).forEach(item => {
+            if (!/^\d{4,8}$/.test(String(item.hsnCode))) {
+                errors.push(`Item ${item.itemNo}: HSN code must be 4 to 8 digits`);
+            }
+            if (String(item.hsnCode).startsWith('99')) {
+                errors.push(`Item ${item.itemNo}: services cannot be moved on an e-way bill`);
+            }
+        });
+
+        const computedTotal = bill.totalValue + bill.cgstValue + bill.sgstValue + bill.igstValue +
+            bill.cessValue + bill.TotNonAdvolVal + bill.OthValue;
+        if (Math.abs(computedTotal - bill.totInvValue) > 1) {
+            errors.push('Total invoice value does not match taxable value plus taxes');
+        }
+
+        if (bill.totInvValue <= 0) {
+            errors.push('Consignment value must be greater than 0');
+        }
+
+        // Transport
+        const mode = (window.AppConstants?.TRANSPORT_MODES || []).find(m => m.code === bill.transMode);
+        if (!mode) {
+            errors.push('Transport mode is required');
+        }
+
+        const distance = parseInt(bill.transDistance, 10);
+        if (!(distance > 0) || distance > this.settings.maxDistance) {
+            errors.push(`Distance must be between 1 and ${this.settings.maxDistance} km`);
+        }
+
+        if (bill.transporterId && !/^[0-9]{2}[A-Z0-9]{13}$/.test(bill.transporterId)) {
+            errors.push('Transporter ID must be a 15-character GSTIN or TRANSIN');
+        }
+
+        if (mode?.id === 'road') {
+            if (!bill.vehicleNo && !bill.transporterId) {
+                errors.push('Vehicle number or transporter ID is required for road transport');
+            }
+            if (bill.vehicleNo && !/^([A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}|TR[A-Z0-9]{6,13})$/.test(bill.vehicleNo)) {
+                errors.push('Vehicle number format is invalid');
+            }
+        } else if (mode) {
+            if (!bill.transDocNo || !bill.transDocDate) {
+                errors.push(`Transport document number and date are required for ${mode.name.toLowerCase()} transport`);
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate and store e-way bill draft against the document
+     * @param {string} invoiceId - Invoice or challan ID
+     * @param {Object} transportData - Transport details
+     * @returns {Object} Stored e-way bill record
+     */
+    saveDraft(invoiceId, transportData = {}) {
+        try {
+            const invoice = this.dataManager.getInvoice(invoiceId);
+            if (!invoice) {
+                throw new Error('Invoice not found');
+            }
+
+            if (invoice.eWayBill?.ewbNo) {
+                throw new Error(`E-way bill ${invoice.eWayBill.ewbNo} is already generated for this document`);
+            }
+
+            const transport = { ...(invoice.transport || {}), ...transportData };
+            const bill = this.buildEWayBill(invoiceId, transport);
+
+            const validation = this.validateEWayBill(bill);
+            if (!validation.valid) {
+                throw new Error(`E-way bill validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            invoice.transport = transport;
+            invoice.eWayBill = {
+                status: 'draft',
+                payload: bill,
+                validatedAt: new Date().toISOString()
+            };
+            invoice.updatedAt = invoice.eWayBill.validatedAt;
+            this.dataManager.saveInvoice(invoice);
+
+            this.trackEWayBillEvent('ewaybill_draft_saved', { invoiceId, value: bill.totInvValue });
+            return invoice.eWayBill;
+
+        } catch (error) {
+            console.error('Failed to save e-way bill draft:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Download validated drafts as a bulk-upload JSON file
+     * @param {Array} invoiceIds - Invoice or challan IDs
+     * @returns {Object} Bulk-upload payload
+     */
+    exportEWayBills(invoiceIds) {
+        try {
+            const bills = invoiceIds.map(id => {
+                const invoice = this.dataManager.getInvoice(id);
+                if (invoice?.eWayBill?.status !== 'draft') {
+                    throw new Error(`${invoice?.invoiceNumber || id} has no validated e-way bill draft`);
+                }
+                return invoice.eWayBill.payload;
+            });
+
+            const payload = {
+                version: this.settings.schemaVersion,
+                billLists: bills
+            };
+
+            window.BackupManager?.downloadFile(
+                JSON.stringify(payload, null, 2),
+                `ewaybills_${new Date().toISOString().split('T')[0]}.json`,
+                'application/json'
+            );
+
+            this.trackEWayBillEvent('ewaybills_exported', { count: bills.length });
+            return payload;
+
+        } catch (error) {
+            console.error('Failed to export e-way bills:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store e-way bill number and validity returned by the portal
+     * @param {string} invoiceId - Invoice or challan ID
+     * @param {Object} response - Portal response (ewbNo, ewbDate, validUpto)
+     * @returns {Object} Updated document
+     */
+    recordEWayBill(invoiceId, response = {}) {
+        try {
+            const invoice = this.dataManager.getInvoice(invoiceId);
+            if (!invoice) {
+                throw new Error('Invoice not found');
+            }
+
+            if (!invoice.eWayBill?.payload) {
+                throw new Error('Save a validated e-way bill draft first');
+            }
+
+            const ewbNo = String(response.ewbNo || '').replace(/\s/g, '');
+            if (!/^\d{12}$/.test(ewbNo)) {
+                throw new Error('E-way bill number must be 12 digits');
+            }
+
+            const generatedAt = response.ewbDate ? new Date(response.ewbDate) : new Date();
+            if (isNaN(generatedAt.getTime())) {
+                throw new Error('E-way bill date is invalid');
+            }
+
+            const validUntil = response.validUpto ?
+                new Date(response.validUpto) :
+                this.calculateValidity(generatedAt, invoice.eWayBill.payload);
+
+            invoice.eWayBill = {
+                ...invoice.eWayBill,
+                status: 'generated',
+                ewbNo,
+                generatedAt: generatedAt.toISOString(),
+                validUntil: validUntil.toISOString(),
+                recordedAt: new Date().toISOString()
+            };
+            invoice.auditTrail = [
+                ...(invoice.auditTrail || []),
+                {
+                    action: 'ewaybill_recorded',
+                    reason: `E-way bill ${ewbNo}`,
+                    at: invoice.eWayBill.recordedAt,
+                    by: 'user'
+                }
+            ];
+            invoice.updatedAt = invoice.eWayBill.recordedAt;
+            this.dataManager.saveInvoice(invoice);
+
+            this.trackEWayBillEvent('ewaybill_recorded', { invoiceId });
+            return invoice;
+
+        } catch (error) {
+            console.error('Failed to record e-way bill:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Work out e-way bill validity from distance
+     * @param {Date} generatedAt - Generation time
+     * @param {Object} bill - E-way bill entry
+     * @returns {Date} Valid until (midnight ending the last day)
+     */
+    calculateValidity(generatedAt, bill) {
+        const kmPerDay = bill.vehicleType === 'O' ? this.settings.odcKmPerDay : this.settings.kmPerDay;
+        const days = Math.max(1, Math.ceil((parseInt(bill.transDistance, 10) || 0) / kmPerDay));
+
+        // Each day runs to midnight of the day after generation
+        const validUntil = new Date(generatedAt);
+        validUntil.setDate(validUntil.getDate() + days);
+        validUntil.setHours(23, 59, 59, 999);
+        return validUntil;
+    }
+
+    /**
+     * Check whether a recorded e-way bill is still valid
+     * @param {Object} invoice - Invoice or challan
+     * @param {Date} asOf - Reference time
+     * @returns {boolean} True while the e-way bill is valid
+     */
+    isEWayBillValid(invoice, asOf = new Date()) {
+        return !!invoice?.eWayBill?.validUntil && new Date(invoice.eWayBill.validUntil) >= asOf;
+    }
+
+    /**
+     * Get challan sub-supply type from the dispatch purpose
+     * @param {string} reason - Challan purpose
+     * @returns {number} Sub-supply type code
+     */
+    getChallanSupplyType(reason = '') {
+        return this.challanSupplyTypes.find(type => type.pattern.test(reason))?.code || 8;
+    }
+
+    /**
+     * Resolve a GST state code from a state code, state name or GSTIN
+     * @param {string} value - State code, name or GSTIN
+     * @returns {number|null} Numeric state code
+     */
+    getStateCode(value) {
+        if (!value) return null;
+
+        const text = String(value).trim();
+        const state = (window.AppConstants?.INDIAN_STATES || []).find(s =>
+            s.code === text || s.gstCode === text.substr(0, 2) || s.name.toLowerCase() === text.toLowerCase()
+        );
+
+        return state ? parseInt(state.gstCode, 10) : null;
+    }
+
+    /**
+     * Split address into lines, place and PIN code
+     * @param {Object} party - Business or customer
+     * @returns {Object} Address parts
+     */
+    buildAddress(party) {
+        const address = String(party.address || '').replace(/\s+/g, ' ').trim();
+        const pincode = party.pincode || (address.match(/\b[1-9][0-9]{5}\b/) || [])[0] || '';
+
+        return {
+            addr1: address.substr(0, 120),
+            addr2: address.substr(120, 120),
+            place: party.city || '',
+            pincode: pincode ? parseInt(pincode, 10) : null
+        };
+    }
+
+    /**
+     * Get buyer details from the document, falling back to the customer record
+     * @param {Object} invoice - Invoice or challan
+     * @returns {Object} Buyer details
+     */
+    getBuyer(invoice) {
+        const customer = invoice.customerId ?
+            this.customerManager.getCustomerById(invoice.customerId) : null;
+
+        return { ...(customer || {}), ...(invoice.customerData || {}) };
+    }
+
+    /**
+     * Map unit of measurement to GST unit quantity code
+     * @param {string} unit - Unit ID
+     * @returns {string} UQC
+     */
+    getUnitCode(unit) {
+        const units = Object.values(window.AppConstants?.UNITS || {}).flat();
+        return units.find(u => u.id === unit)?.uqc || 'OTH';
+    }
+
+    /**
+     * Format date as DD/MM/YYYY
+     * @param {string} date - ISO date
+     * @returns {string} Formatted date
+     */
+    formatDate(date) {
+        const d = new Date(date);
+        if (isNaN(d.getTime())) return '';
+
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}`;
+    }
+
+    /**
+     * Round value to 2 decimals
+     * @param {number} value - Value to round
+     * @returns {number} Rounded value
+     */
+    roundValue(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Track e-way bill events
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    trackEWayBillEvent(event, data = {}) {
+        try {
+            if (window.UnifyXApp) {
+                window.UnifyXApp.trackEvent(event, {
+                    module: 'eWayBill',
+                    ...data
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to track e-way bill event:', error);
+        }
+    }
+}
+
+// Create and export global EWayBillManager instance
+window.EWayBillManager = new EWayBillManager();
+
+console.log('🚛 UnifyX Bill Maker EWayBillManager Loaded Successfully!');
@@ -0,0 +1,312 @@
+/**
+ * ⚡️ UnifyX Bill Maker - Invoice Version History
+ * Immutable invoice revisions, version diffs, and historical reprints
+ * Author: Ved Mangukiya
+ * Version: 1.0.0
+ */
+
+class InvoiceHistoryManager {
+    constructor() {
+        this.dataManager = window.DataManager;
+
+        // Line fields compared between versions
+        this.itemFields = ['name', 'hsn', 'quantity', 'rate', 'discountPercent', 'fixedDiscount', 'taxRate', 'totalTax', 'total'];
+
+        // Totals compared between versions
+        this.totalFields = [
+            'subtotal', 'discountAmount', 'invoiceDiscount', 'taxableAmount', 'cgst', 'sgst', 'igst', 'cess',
+            'totalTax', 'additionalCharges', 'roundOff', 'grandTotal', 'tds', 'tcs'
+        ];
+
+        // Header fields compared between versions
+        this.headerFields = ['invoiceDate', 'dueDate', 'placeOfSupply', 'customerId', 'paymentTerms', 'notes'];
+
+        console.log('🕓 InvoiceHistoryManager initialized successfully!');
+    }
+
+    /**
+     * Store an immutable snapshot of an invoice version
+     * @param {Object} invoice - Invoice as it stood at that version
+     * @param {Object} meta - Snapshot metadata (reason, supersededBy)
+     * @returns {Object} Version record
+     */
+    recordVersion(invoice, meta = {}) {
+        try {
+            const version = this.getVersionNumber(invoice);
+
+            const record = {
+                id: `version_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                invoiceId: invoice.id,
+                invoiceNumber: invoice.invoiceNumber,
+                version,
+                snapshot: JSON.parse(JSON.stringify(invoice)),
+                supersededBy: meta.supersededBy || version + 1,
+                supersededReason: meta.reason || '',
+                createdAt: new Date().toISOString(),
+                createdBy: 'user'
+            };
+
+            this.dataManager.saveInvoiceVersion(record);
+
+            this.trackHistoryEvent('invoice_version_recorded', {
+                invoiceId: invoice.id,
+                version
+            });
+
+            return record;
+
+        } catch (error) {
+            console.error('Failed to record invoice version:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get version number of an invoice
+     * @param {Object} invoice - Invoice
+     * @returns {number} Version number
+     */
+    getVersionNumber(invoice) {
+        return parseInt(invoice?.version, 10) || 1;
+    }
+
+    /**
+     * List all versions of an invoice, including the current one
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Array} Version summaries, oldest first
+     */
+    getVersions(invoiceId) {
+        const invoice = this.dataManager.getInvoice(invoiceId);
+        if (!invoice) {
+            return [];
+        }
+
+        const history = this.dataManager.getInvoiceVersions(invoiceId).map(record => ({
+            version: record.version,
+            grandTotal: record.snapshot.totals?.grandTotal || 0,
+            savedAt: record.snapshot.amendedAt || record.snapshot.generatedAt || record.snapshot.createdAt,
+            supersededAt: record.createdAt,
+            supersededReason: record.supersededReason,
+            isCurrent: false
+        }));
+
+        history.push({
+            version: this.getVersionNumber(invoice),
+            grandTotal: invoice.totals?.grandTotal || 0,
+            savedAt: invoice.amendedAt || invoice.generatedAt || invoice.createdAt,
+            supersededAt: null,
+            supersededReason: '',
+            isCurrent: true
+        });
+
+        return history;
+    }
+
+    /**
+     * Get an invoice as it stood at a given version
+     * @param {string} invoiceId - Invoice ID
+     * @param {number} version - Version number
+     * @returns {Object|null} Invoice snapshot
+     */
+    getVersion(invoiceId, version) {
+        const invoice = this.dataManager.getInvoice(invoiceId);
+        if (!invoice) {
+            return null;
+        }
+
+        if (this.getVersionNumber(invoice) === parseInt(version, 10)) {
+            return invoice;
+        }
+
+        const record = this.dataManager.getInvoiceVersions(invoiceId)
+            .find(v => v.version === parseInt(version, 10));
+
+        return record ? record.snapshot : null;
+    }
+
+    /**
+     * Compare two versions of an invoice
+     * @param {string} invoiceId - Invoice ID
+     * @param {number} fromVersion - Older version
+     * @param {number} toVersion - Newer version (defaults to current)
+     * @returns {Object} Version diff
+     */
+    compareVersions(invoiceId, fromVersion, toVersion = null) {
+        const invoice = this.dataManager.getInvoice(invoiceId);
+        if (!invoice) {
+            throw new Error('Invoice not found');
+        }
+
+        const targetVersion = toVersion || this.getVersionNumber(invoice);
+        const before = this.getVersion(invoiceId, fromVersion);
+        const after = this.getVersion(invoiceId, targetVersion);
+
+        if (!before || !after) {
+            throw new Error('Invoice version not found');
+        }
+
+        return {
+            invoiceId,
+            invoiceNumber: invoice.invoiceNumber,
+            fromVersion: parseInt(fromVersion, 10),
+            toVersion: parseInt(targetVersion, 10),
+            ...this.diffInvoices(before, after)
+        };
+    }
+
+    /**
+     * Work out what changed between two invoice snapshots
+     * @param {Object} before - Older snapshot
+     * @param {Object} after - Newer snapshot
+     * @returns {Object} Header, item and totals changes
+     */
+    diffInvoices(before, after) {
+        const beforeItems = new Map((before.items || []).map(item => [item.id, item]));
+        const afterItems = new Map((after.items || []).map(item => [item.id, item]));
+
+        const items = {
+            added: [...afterItems.values()].filter(item => !beforeItems.has(item.id)),
+            removed: [...beforeItems.values()].filter(item => !afterItems.has(item.id)),
+            changed: []
+        };
+
+        afterItems.forEach((item, itemId) => {
+            const previous = beforeItems.get(itemId);
+            if (!previous) return;
+
+            const changes = this.diffFields(previous, item, this.itemFields);
+            if (changes.length > 0) {
+                items.changed.push({ itemId, name: item.name, changes });
+            }
+        });
+
+        const header = this.diffFields(before, after, this.headerFields);
+        const totals = this.diffFields(before.totals || {}, after.totals || {}, this.totalFields)
+            .map(change => ({
+                ...change,
+                difference: Math.round(((change.after || 0) - (change.before || 0)) * 100) / 100
+            }));
+
+        return {
+            header,
+            items,
+            totals,
+            hasChanges: header.length > 0 || totals.length > 0 ||
+                items.added.length > 0 || items.removed.length > 0 || items.changed.length > 0
+        };
+    }
+
+    /**
+     * Compare selected fields of two objects
+     * @param {Object} before - Older values
+     * @param {Object} after - Newer values
+     * @param {Array} fields - Fields to compare
+     * @returns {Array} Changed fields
+     */
+    diffFields(before, after, fields) {
+        return fields
+            .filter(field => (before[field] ?? null) !== (after[field] ?? null))
+            .map(field => ({
+                field,
+                before: before[field] ?? null,
+                after: after[field] ?? null
+            }));
+    }
+
+    /**
+     * Show diff between two versions in a modal
+     * @param {string} invoiceId - Invoice ID
+     * @param {number} fromVersion - Older version
+     * @param {number} toVersion - Newer version (defaults to current)
+     */
+    showVersionDiff(invoiceId, fromVersion, toVersion = null) {
+        try {
+            const diff = this.compareVersions(invoiceId, fromVersion, toVersion);
+
+            window.ModalComponents?.showModal({
+                id: 'invoice-version-diff',
+                title: `${diff.invoiceNumber}: Version ${diff.fromVersion} → ${diff.toVersion}`,
+                content: this.renderDiff(diff),
+                size: 'large'
+            });
+
+            this.trackHistoryEvent('invoice_versions_compared', {
+                invoiceId,
+                fromVersion: diff.fromVersion,
+                toVersion: diff.toVersion
+            });
+
+        } catch (error) {
+            console.error('Failed to show version diff:', error);
+            window.UnifyXApp?.showNotification('error', 'Version history', `Failed to compare versions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render version diff as HTML
+     * @param {Object} diff - Version diff
+     * @returns {string} Diff HTML
+     */
+    renderDiff(diff) {
+        if (!diff.hasChanges) {
+            return '<p class="text-muted">No differences between these versions.</p>';
+        }
+
+        const row = (label, before, after, className = '') => `
+            <tr class="${className}">
+                <td>${label}</td>
+                <td>${before ?? '-'}</td>
+                <td>${after ?? '-'}</td>
+            </tr>
+        `;
+
+        return `
+            <table class="table version-diff-table">
+                <thead>
+                    <tr>
+                        <th>Change</th>
+                        <th>Version ${diff.fromVersion}</th>
+                        <th>Version ${diff.toVersion}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${diff.header.map(change => row(change.field, change.before, change.after)).join('')}
+                    ${diff.items.added.map(item => row(`➕ ${item.name}`, '', `${item.quantity} × ₹${item.rate}`, 'diff-added')).join('')}
+                    ${diff.items.removed.map(item => row(`➖ ${item.name}`, `${item.quantity} × ₹${item.rate}`, '', 'diff-removed')).join('')}
+                    ${diff.items.changed.map(item => item.changes.map(change =>
+                        row(`✏️ ${item.name}: ${change.field}`, change.before, change.after, 'diff-changed')
+                    ).join('')).join('')}
+                    ${diff.totals.map(change => row(
+                        `Σ ${change.field}`,
+                        `₹${(change.before || 0).toFixed(2)}`,
+                        `₹${(change.after || 0).toFixed(2)} (${change.difference >= 0 ? '+' : ''}${change.difference.toFixed(2)})`,
+                        'diff-total'
+                    )).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Track history events
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    trackHistoryEvent(event, data = {}) {
+        try {
+            if (window.UnifyXApp) {
+                window.UnifyXApp.trackEvent(event, {
+                    module: 'invoiceHistory',
+                    ...data
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to track history event:', error);
+        }
+    }
+}
+
+// Create and export global InvoiceHistoryManager instance
+window.InvoiceHistoryManager = new InvoiceHistoryManager();
+
+console.log('🕓 UnifyX Bill Maker InvoiceHistoryManager Loaded Successfully!');
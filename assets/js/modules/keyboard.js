@@ -60,6 +60,7 @@ class KeyboardManager {
         this.addShortcut('Ctrl+B', this.toggleBulkEntry.bind(this), 'Toggle bulk entry mode', this.categories.BILLING);
         this.addShortcut('Ctrl+M', this.toggleMultiBill.bind(this), 'Toggle multi-bill mode', this.categories.BILLING);
         this.addShortcut('Ctrl+G', this.generateBill.bind(this), 'Generate bill', this.categories.BILLING);
+        this.addShortcut('F8', this.parkBill.bind(this), 'Park current bill', this.categories.BILLING);
         
         // Product shortcuts
         this.addShortcut('F3', this.focusProductSearch.bind(this), 'Focus product search', this.categories.PRODUCT);
@@ -487,6 +488,17 @@ class KeyboardManager {
         }
     }
 
+    parkBill() {
+        if (window.BillingEngine) {
+            try {
+                const parkedBill = window.BillingEngine.parkCurrentInvoice();
+                this.showNotification(`Bill parked as "${parkedBill.label}"`, 'success');
+            } catch (error) {
+                this.showNotification(error.message, 'warning');
+            }
+        }
+    }
+
     focusProductSearch() {
         const searchInput = document.getElementById('product-search') || 
                            document.querySelector('input[placeholder*="product"]') ||
@@ -574,16 +586,18 @@ class KeyboardManager {
         }
     }
 
-    undo() {
-        // Implementation for undo
-        this.showNotification('Undo', 'info');
-        console.log('Undo shortcut triggered');
+    async undo() {
+        if (!window.BillingEngine) return;
+
+        const action = await window.BillingEngine.undo();
+        this.showNotification(action ? `Undo: ${action}` : 'Nothing to undo', 'info');
     }
 
-    redo() {
-        // Implementation for redo
-        this.showNotification('Redo', 'info');
-        console.log('Redo shortcut triggered');
+    async redo() {
+        if (!window.BillingEngine) return;
+
+        const action = await window.BillingEngine.redo();
+        this.showNotification(action ? `Redo: ${action}` : 'Nothing to redo', 'info');
     }
 
     refreshData() {
@@ -0,0 +1,317 @@
+/**
+ * ⚡️ UnifyX Bill Maker - Payment Ledger
+ * Payment receipts per invoice, derived payment status, and customer outstanding balances
+ * Author: Ved Mangukiya
+ * Version: 1.0.0
+ */
+
+class PaymentManager {
+    constructor() {
+        this.dataManager = window.DataManager;
+        this.customerManager = window.CustomerManager;
+
+        // Invoice statuses that carry a receivable
+        this.receivableStatuses = AppConstants.RECEIVABLE_STATUSES;
+
+        // Amounts below this are treated as settled (paise rounding)
+        this.tolerance = 0.01;
+
+        console.log('💰 PaymentManager initialized successfully!');
+    }
+
+    /**
+     * Record payment receipt against an invoice
+     * @param {string} invoiceId - Invoice ID
+     * @param {Object} paymentData - Receipt data (date, amount, method, reference)
+     * @returns {Promise<Object>} Recorded payment
+     */
+    async recordPayment(invoiceId, paymentData) {
+        try {
+            const invoice = this.dataManager.getInvoice(invoiceId);
+            if (!invoice) {
+                throw new Error('Invoice not found');
+            }
+
+            if (!this.receivableStatuses.includes(invoice.status)) {
+                throw new Error('Payments can only be recorded against generated invoices');
+            }
+
+            const validation = this.validatePaymentData(paymentData);
+            if (!validation.valid) {
+                throw new Error(`Invalid payment: ${validation.errors.join(', ')}`);
+            }
+
+            const payment = {
+                id: `payment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                invoiceId: invoice.id,
+                invoiceNumber: invoice.invoiceNumber,
+                businessId: invoice.businessId,
+                customerId: invoice.customerId,
+                date: paymentData.date || new Date().toISOString().split('T')[0],
+                amount: Math.round(parseFloat(paymentData.amount) * 100) / 100,
+                method: paymentData.method,
+                reference: paymentData.reference || '',
+                notes: paymentData.notes || '',
+                status: 'active',
+                createdAt: new Date().toISOString(),
+                createdBy: 'user'
+            };
+
+            this.dataManager.savePayment(payment);
+            await this.syncInvoicePaymentStatus(invoice.id);
+
+            this.trackPaymentEvent('payment_recorded', {
+                paymentId: payment.id,
+                invoiceId: invoice.id,
+                amount: payment.amount,
+                method: payment.method
+            });
+
+            console.log('Payment recorded:', payment.id);
+            return payment;
+
+        } catch (error) {
+            console.error('Failed to record payment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Void a recorded receipt (kept in the ledger for audit)
+     * @param {string} paymentId - Payment ID
+     * @param {string} reason - Void reason
+     * @returns {Promise<Object>} Voided payment
+     */
+    async voidPayment(paymentId, reason = '') {
+        try {
+            const payment = this.dataManager.getPayments().find(p => p.id === paymentId);
+            if (!payment) {
+                throw new Error('Payment not found');
+            }
+
+            if (payment.status === 'void') {
+                throw new Error('Payment is already void');
+            }
+
+            payment.status = 'void';
+            payment.voidReason = reason;
+            payment.voidedAt = new Date().toISOString();
+
+            this.dataManager.savePayment(payment);
+            await this.syncInvoicePaymentStatus(payment.invoiceId);
+
+            this.trackPaymentEvent('payment_voided', { paymentId, invoiceId: payment.invoiceId });
+            return payment;
+
+        } catch (error) {
+            console.error('Failed to void payment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Recalculate invoice payment fields from its receipts
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Promise<Object>} Updated invoice
+     */
+    async syncInvoicePaymentStatus(invoiceId) {
+        try {
+            const invoice = this.dataManager.getInvoice(invoiceId);
+            if (!invoice) {
+                throw new Error('Invoice not found');
+            }
+
+            const amountDue = this.getAmountDue(invoice);
+            const amountPaid = this.getAmountPaid(invoiceId);
+
+            invoice.amountDue = amountDue;
+            invoice.amountPaid = amountPaid;
+            invoice.balanceDue = this.roundValue(amountDue - amountPaid);
+            invoice.paymentStatus = this.derivePaymentStatus(amountDue, amountPaid);
+            invoice.lastPaymentDate = this.getInvoicePayments(invoiceId)
+                .reduce((latest, p) => (p.date > latest ? p.date : latest), null);
+
+            // Keep the document status in step with settlement
+            const billingEngine = window.BillingEngine;
+            if (invoice.paymentStatus === 'paid' || invoice.paymentStatus === 'overpaid') {
+                if (this.receivableStatuses.includes(invoice.status) && invoice.status !== 'paid') {
+                    billingEngine.transitionInvoiceStatus(invoice, 'paid', { reason: 'Settled in full' });
+                }
+            } else if (invoice.status === 'paid') {
+                billingEngine.transitionInvoiceStatus(invoice, billingEngine.getUnpaidStatus(invoice), {
+                    reason: 'Payment reversed'
+                });
+            }
+
+            this.dataManager.saveInvoice(invoice);
+
+            if (invoice.customerId) {
+                await this.refreshCustomerOutstanding(invoice.customerId);
+            }
+
+            return invoice;
+
+        } catch (error) {
+            console.error('Failed to sync payment status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Bring customer's stored outstanding balance in line with the ledger
+     * @param {string} customerId - Customer ID
+     * @returns {Promise<number>} Outstanding balance
+     */
+    async refreshCustomerOutstanding(customerId) {
+        const outstanding = this.getCustomerOutstanding(customerId);
+        const customer = this.customerManager.getCustomerById(customerId);
+
+        if (customer) {
+            const difference = this.roundValue(outstanding - (customer.outstandingBalance || 0));
+            if (Math.abs(difference) >= this.tolerance) {
+                await this.customerManager.adjustOutstandingBalance(customerId, difference, {
+                    documentType: 'payment_ledger'
+                });
+            }
+        }
+
+        return outstanding;
+    }
+
+    /**
+     * Get customer outstanding balance across open invoices
+     * @param {string} customerId - Customer ID
+     * @returns {number} Outstanding balance (negative for advances)
+     */
+    getCustomerOutstanding(customerId) {
+        const invoices = this.dataManager.getInvoices().filter(inv =>
+            inv.customerId === customerId && this.receivableStatuses.includes(inv.status)
+        );
+
+        const payments = this.dataManager.getPayments()
+            .filter(p => p.customerId === customerId && p.status !== 'void');
+
+        const totalDue = invoices.reduce((sum, inv) => sum + this.getAmountDue(inv), 0);
+        const totalPaid = payments
+            .filter(p => invoices.some(inv => inv.id === p.invoiceId))
+            .reduce((sum, p) => sum + p.amount, 0);
+
+        return this.roundValue(totalDue - totalPaid);
+    }
+
+    /**
+     * Get amount payable on an invoice after TDS/TCS and credit and debit notes
+     * @param {Object} invoice - Invoice
+     * @returns {number} Amount due
+     */
+    getAmountDue(invoice) {
+        return this.roundValue(
+            (invoice.totals?.grandTotal || 0) +
+            (invoice.totals?.tcs || 0) -
+            (invoice.totals?.tds || 0) +
+            (invoice.debitedAmount || 0) -
+            (invoice.creditedAmount || 0)
+        );
+    }
+
+    /**
+     * Get total received against an invoice
+     * @param {string} invoiceId - Invoice ID
+     * @returns {number} Amount paid
+     */
+    getAmountPaid(invoiceId) {
+        return this.roundValue(
+            this.getInvoicePayments(invoiceId).reduce((sum, p) => sum + p.amount, 0)
+        );
+    }
+
+    /**
+     * Derive payment status from amounts
+     * @param {number} amountDue - Amount due
+     * @param {number} amountPaid - Amount paid
+     * @returns {string} Payment status
+     */
+    derivePaymentStatus(amountDue, amountPaid) {
+        const difference = amountPaid - amountDue;
+
+        if (amountPaid < this.tolerance) return 'unpaid';
+        if (Math.abs(difference) < this.tolerance) return 'paid';
+        if (difference > 0) return 'overpaid';
+        return 'partially_paid';
+    }
+
+    /**
+     * Get active receipts for an invoice
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Array} Payments, oldest first
+     */
+    getInvoicePayments(invoiceId) {
+        return this.dataManager.getPayments()
+            .filter(p => p.invoiceId === invoiceId && p.status !== 'void')
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Validate payment data
+     * @param {Object} paymentData - Payment data
+     * @returns {Object} Validation result
+     */
+    validatePaymentData(paymentData) {
+        const errors = [];
+        const methods = (window.AppConstants?.PAYMENT_METHODS || []).map(m => m.id);
+
+        const amount = parseFloat(paymentData.amount);
+        if (isNaN(amount) || amount <= 0) {
+            errors.push('Amount must be greater than 0');
+        }
+
+        if (!paymentData.method || (methods.length && !methods.includes(paymentData.method))) {
+            errors.push('Payment method is not supported');
+        }
+
+        if (paymentData.date && isNaN(new Date(paymentData.date).getTime())) {
+            errors.push('Payment date is invalid');
+        }
+
+        if (['cheque', 'bank_transfer'].includes(paymentData.method) && !paymentData.reference) {
+            errors.push('Reference number is required for cheque and bank transfer');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Round value to 2 decimals
+     * @param {number} value - Value to round
+     * @returns {number} Rounded value
+     */
+    roundValue(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Track payment events
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    trackPaymentEvent(event, data = {}) {
+        try {
+            if (window.UnifyXApp) {
+                window.UnifyXApp.trackEvent(event, {
+                    module: 'paymentManager',
+                    ...data
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to track payment event:', error);
+        }
+    }
+}
+
+// Create and export global PaymentManager instance
+window.PaymentManager = new PaymentManager();
+
+console.log('💰 UnifyX Bill Maker PaymentManager Loaded Successfully!');
@@ -40,6 +40,11 @@ class PDFGenerator {
     loadTemplates() {
         try {
             const templates = this.dataManager.getTemplates() || [];
+
+            // Document templates added after data was first stored
+            this.dataManager.getDefaultTemplates()
+                .filter(template => !templates.some(t => t.id === template.id))
+                .forEach(template => templates.push(template));
             
             templates.forEach(template => {
                 this.templates.set(template.id, {
@@ -66,7 +71,9 @@ class PDFGenerator {
             minimal: this.generateMinimalTemplate.bind(this),
             classic: this.generateClassicTemplate.bind(this),
             corporate: this.generateCorporateTemplate.bind(this),
-            creative: this.generateCreativeTemplate.bind(this)
+            creative: this.generateCreativeTemplate.bind(this),
+            challan: this.generateChallanTemplate.bind(this),
+            proforma: this.generateProformaTemplate.bind(this)
         };
         
         return generators[templateId] || generators.modern;
@@ -114,6 +121,32 @@ class PDFGenerator {
         }
     }
 
+    /**
+     * Generate PDF for a historical invoice version
+     * @param {string} invoiceId - Invoice ID
+     * @param {number} version - Version number
+     * @param {Object} options - Generation options
+     * @returns {Promise<Blob>} Generated PDF blob
+     */
+    async generateVersionPDF(invoiceId, version, options = {}) {
+        const history = window.InvoiceHistoryManager;
+        const snapshot = history?.getVersion(invoiceId, version);
+        if (!snapshot) {
+            throw new Error('Invoice version not found');
+        }
+
+        // Superseded versions are stamped so a reprint is never mistaken for the current bill
+        const isCurrent = history.getVersionNumber(this.dataManager.getInvoice(invoiceId)) === parseInt(version, 10);
+
+        return this.generateInvoicePDF(
+            { ...snapshot, business: snapshot.business || this.businessManager.getCurrentBusiness() },
+            {
+                ...options,
+                watermark: options.watermark || (isCurrent ? null : `VERSION ${version} - SUPERSEDED`)
+            }
+        );
+    }
+
     /**
      * Build document definition for PDF generation
      * @param {Object} options - Generation options
@@ -150,12 +183,26 @@ class PDFGenerator {
             header: this.buildHeader.bind(this),
             footer: this.buildFooter.bind(this),
             
-            // Watermark
-            watermark: this.buildWatermark(options.watermark)
+            // Watermark (cancelled invoices are always stamped)
+            watermark: this.buildWatermark(
+                this.currentInvoice.status === 'cancelled' ? 'CANCELLED' : options.watermark
+            )
         };
 
         // Generate content using template
         const content = await this.currentTemplate.generator(this.currentInvoice, options);
+
+        // Registered e-invoices carry the IRN and signed QR code at the top
+        if (this.currentInvoice.eInvoice?.irn) {
+            content.unshift(this.buildEInvoiceSection(this.currentInvoice.eInvoice));
+        }
+
+        // Reverse charge and zero-rated supplies need a declaration on the invoice
+        const declaration = this.buildSupplyDeclaration(this.currentInvoice);
+        if (declaration) {
+            content.push(declaration);
+        }
+
         docDefinition.content = content;
         
         return docDefinition;
@@ -183,7 +230,7 @@ class PDFGenerator {
         content.push(this.buildItemsTable(invoice.items, invoice.billType, 'modern'));
         
         // Totals section
-        content.push(this.buildTotalsSection(invoice.totals, 'modern'));
+        content.push(this.buildTotalsSection(invoice.totals, 'modern', invoice.withholding));
         
         // Payment and terms
         content.push(this.buildPaymentTerms(invoice, 'modern'));
@@ -486,6 +533,98 @@ class PDFGenerator {
         return content;
     }
 
+    /**
+     * Generate Delivery Challan template
+     * @param {Object} invoice - Challan data
+     * @param {Object} options - Template options
+     * @returns {Array} PDF content array
+     */
+    generateChallanTemplate(invoice, options) {
+        const content = [];
+        
+        content.push(this.buildBusinessHeader(invoice.business, 'challan'));
+        content.push(this.buildInvoiceDetails(invoice, 'challan', 'DELIVERY CHALLAN'));
+        
+        // Consignee and dispatch details
+        content.push({
+            columns: [
+                {
+                    text: [
+                        { text: 'Consignee:\n', style: 'label' },
+                        { text: invoice.customerData?.name || 'Customer', style: 'customerName' },
+                        `\n${invoice.deliveryAddress || invoice.customerData?.address || ''}`
+                    ]
+                },
+                {
+                    text: [
+                        { text: 'Dispatch:\n', style: 'label' },
+                        invoice.challanReason || '',
+                        invoice.transport?.vehicleNumber ? `\nVehicle: ${invoice.transport.vehicleNumber}` : ''
+                    ],
+                    alignment: 'right'
+                }
+            ],
+            margin: [0, 0, 0, 20]
+        });
+        
+        // Quantities only, challans carry no prices
+        const tableBody = [
+            ['#', 'Description', 'HSN', 'Qty', 'Unit'].map(h => ({ text: h, style: 'tableHeader' }))
+        ];
+        (invoice.items || []).forEach((item, index) => {
+            tableBody.push([
+                { text: (index + 1).toString(), style: 'tableCell' },
+                { text: item.name, style: 'tableCell' },
+                { text: item.hsn || '', style: 'tableCell' },
+                { text: item.quantity.toString(), style: 'tableCell', alignment: 'center' },
+                { text: item.unit || 'pcs', style: 'tableCell', alignment: 'center' }
+            ]);
+        });
+        
+        content.push({
+            table: { widths: ['auto', '*', 'auto', 'auto', 'auto'], body: tableBody },
+            layout: 'lightHorizontalLines',
+            margin: [0, 0, 0, 40]
+        });
+        
+        content.push({
+            columns: [
+                { text: "Receiver's Signature", alignment: 'left' },
+                { text: 'Authorised Signatory', alignment: 'right' }
+            ]
+        });
+        
+        return content;
+    }
+
+    /**
+     * Generate Proforma Invoice template
+     * @param {Object} invoice - Proforma data
+     * @param {Object} options - Template options
+     * @returns {Array} PDF content array
+     */
+    generateProformaTemplate(invoice, options) {
+        const content = [];
+        
+        content.push(this.buildBusinessHeader(invoice.business, 'proforma'));
+        content.push(this.buildInvoiceDetails(invoice, 'proforma', 'PROFORMA INVOICE'));
+        content.push(this.buildItemsTable(invoice.items, 'tax_invoice', 'proforma'));
+        content.push(this.buildTotalsSection(invoice.totals, 'proforma', invoice.withholding));
+        
+        content.push({
+            text: 'This is a proforma invoice and not a tax invoice. A tax invoice will be issued on supply.',
+            style: 'label',
+            margin: [0, 10, 0, 10]
+        });
+        
+        // QR Code for advance payment
+        if (invoice.business?.upiId) {
+            content.push(this.buildQRCode(invoice, 'proforma'));
+        }
+        
+        return content;
+    }
+
     /**
      * Build business header section
      * @param {Object} business - Business data
@@ -519,20 +658,25 @@ class PDFGenerator {
      * Build invoice details section
      * @param {Object} invoice - Invoice data
      * @param {string} style - Template style
+     * @param {string} title - Document title
      * @returns {Object} Invoice details content
      */
-    buildInvoiceDetails(invoice, style) {
+    buildInvoiceDetails(invoice, style, title = 'INVOICE') {
         return {
             columns: [
                 {
-                    text: 'INVOICE',
+                    text: title,
                     style: 'invoiceTitle'
                 },
                 {
                     stack: [
                         { text: `Invoice #: ${invoice.invoiceNumber}`, style: 'invoiceDetail' },
                         { text: `Date: ${new Date(invoice.invoiceDate).toLocaleDateString()}`, style: 'invoiceDetail' },
-                        { text: `Due Date: ${invoice.dueDate ? new Date(invoice.dueDate).toLocaleDateString() : 'N/A'}`, style: 'invoiceDetail' }
+                        { text: `Due Date: ${invoice.dueDate ? new Date(invoice.dueDate).toLocaleDateString() : 'N/A'}`, style: 'invoiceDetail' },
+                        ...(invoice.eWayBill?.ewbNo ? [
+                            { text: `E-Way Bill: ${invoice.eWayBill.ewbNo}`, style: 'invoiceDetail' },
+                            { text: `Valid Until: ${new Date(invoice.eWayBill.validUntil).toLocaleDateString()}`, style: 'invoiceDetail' }
+                        ] : [])
                     ],
                     alignment: 'right'
                 }
@@ -603,9 +747,10 @@ class PDFGenerator {
      * Build totals section
      * @param {Object} totals - Invoice totals
      * @param {string} style - Template style
+     * @param {Object} withholding - TDS/TCS details of the invoice
      * @returns {Object} Totals content
      */
-    buildTotalsSection(totals, style) {
+    buildTotalsSection(totals, style, withholding = null) {
         const totalsTable = [
             [{ text: 'Subtotal:', style: 'totalLabel' }, { text: this.formatCurrency(totals.subtotal), style: 'totalValue' }]
         ];
@@ -617,6 +762,13 @@ class PDFGenerator {
             ]);
         }
         
+        (totals.charges || []).forEach(charge => {
+            totalsTable.push([
+                { text: `${charge.name}${charge.sac ? ` (SAC ${charge.sac})` : ''}:`, style: 'totalLabel' },
+                { text: this.formatCurrency(charge.taxableAmount), style: 'totalValue' }
+            ]);
+        });
+        
         if (totals.cgst > 0) {
             totalsTable.push([
                 { text: 'CGST:', style: 'totalLabel' },
@@ -638,10 +790,17 @@ class PDFGenerator {
             ]);
         }
         
-        if (totals.additionalCharges > 0) {
+        if (totals.cess > 0) {
             totalsTable.push([
-                { text: 'Additional Charges:', style: 'totalLabel' },
-                { text: this.formatCurrency(totals.additionalCharges), style: 'totalValue' }
+                { text: 'Cess:', style: 'totalLabel' },
+                { text: this.formatCurrency(totals.cess), style: 'totalValue' }
+            ]);
+        }
+        
+        if (totals.reverseChargeTax > 0) {
+            totalsTable.push([
+                { text: 'Tax payable on reverse charge:', style: 'totalLabel' },
+                { text: this.formatCurrency(totals.reverseChargeTax), style: 'totalValue' }
             ]);
         }
         
@@ -657,6 +816,18 @@ class PDFGenerator {
             { text: this.formatCurrency(totals.grandTotal), style: 'grandTotalValue' }
         ]);
         
+        if (totals.tds > 0 || totals.tcs > 0) {
+            const isTDS = totals.tds > 0;
+            totalsTable.push([
+                { text: `${isTDS ? 'TDS deducted' : 'TCS collected'}${withholding?.section ? ` (${withholding.section})` : ''}:`, style: 'totalLabel' },
+                { text: `${isTDS ? '-' : ''}${this.formatCurrency(isTDS ? totals.tds : totals.tcs)}`, style: 'totalValue' }
+            ]);
+            totalsTable.push([
+                { text: 'Net Receivable:', style: 'grandTotalLabel' },
+                { text: this.formatCurrency(totals.netReceivable), style: 'grandTotalValue' }
+            ]);
+        }
+        
         return {
             columns: [
                 { text: '', width: '*' },
@@ -680,7 +851,7 @@ class PDFGenerator {
      * @returns {Object} QR code content
      */
     buildQRCode(invoice, style) {
-        const upiString = `upi://pay?pa=${invoice.business.upiId}&pn=${encodeURIComponent(invoice.business.name)}&am=${invoice.totals.grandTotal}&tn=${encodeURIComponent(`Invoice ${invoice.invoiceNumber}`)}`;
+        const upiString = `upi://pay?pa=${invoice.business.upiId}&pn=${encodeURIComponent(invoice.business.name)}&am=${invoice.totals.netReceivable || invoice.totals.grandTotal}&tn=${encodeURIComponent(`Invoice ${invoice.invoiceNumber}`)}`;
         
         return {
             columns: [
@@ -700,6 +871,60 @@ class PDFGenerator {
         };
     }
 
+    /**
+     * Build reverse charge / zero-rated supply declaration
+     * @param {Object} invoice - Invoice data
+     * @returns {Object|null} Declaration content
+     */
+    buildSupplyDeclaration(invoice) {
+        const supplyType = Object.values(window.AppConstants?.SUPPLY_TYPES || {})
+            .find(type => type.id === invoice.supplyType);
+        const lines = [];
+
+        if (invoice.reverseCharge) {
+            lines.push('Tax payable on reverse charge: Yes');
+        }
+
+        if (supplyType?.zeroRated) {
+            lines.push(supplyType.withPayment
+                ? `${supplyType.name}.`
+                : `${supplyType.isExport ? 'Supply meant for export' : 'Supply meant for SEZ'} under LUT/Bond without payment of IGST` +
+                    `${invoice.lutReference ? ` (LUT/Bond: ${invoice.lutReference})` : ''}.`);
+        }
+
+        if (lines.length === 0) return null;
+
+        return {
+            stack: lines.map(line => ({ text: line, style: 'invoiceDetail', bold: true })),
+            margin: [0, 15, 0, 0]
+        };
+    }
+
+    /**
+     * Build e-invoice section with IRN and signed QR code
+     * @param {Object} eInvoice - Stored IRP response
+     * @returns {Object} E-invoice content
+     */
+    buildEInvoiceSection(eInvoice) {
+        return {
+            columns: [
+                {
+                    stack: [
+                        { text: `IRN: ${eInvoice.irn}`, style: 'invoiceDetail' },
+                        { text: `Ack No: ${eInvoice.ackNo || '-'}`, style: 'invoiceDetail' },
+                        { text: `Ack Date: ${eInvoice.ackDate || '-'}`, style: 'invoiceDetail' }
+                    ]
+                },
+                {
+                    qr: eInvoice.signedQRCode,
+                    fit: 110,
+                    alignment: 'right'
+                }
+            ],
+            margin: [0, 0, 0, 15]
+        };
+    }
+
     /**
      * Build watermark
      * @param {string} watermarkText - Watermark text
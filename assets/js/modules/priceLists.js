@@ -0,0 +1,282 @@
+/**
+ * ⚡️ UnifyX Bill Maker - Price Lists
+ * Customer and tag based price lists with negotiated product rates
+ * Author: Ved Mangukiya
+ * Version: 1.0.0
+ */
+
+class PriceListManager {
+    constructor() {
+        this.dataManager = window.DataManager;
+        this.businessManager = window.BusinessManager;
+        this.customerManager = window.CustomerManager;
+
+        // Price lists
+        this.priceLists = [];
+
+        // Load price lists on initialization
+        this.loadPriceLists();
+
+        console.log('🏷️ PriceListManager initialized successfully!');
+    }
+
+    /**
+     * Load price lists from storage
+     */
+    loadPriceLists() {
+        try {
+            this.priceLists = this.dataManager.getItem('priceLists') || [];
+            console.log(`Loaded ${this.priceLists.length} price lists`);
+        } catch (error) {
+            console.error('Failed to load price lists:', error);
+            this.priceLists = [];
+        }
+    }
+
+    /**
+     * Save price lists to storage
+     */
+    savePriceLists() {
+        this.dataManager.setItem('priceLists', this.priceLists);
+    }
+
+    /**
+     * Create price list
+     * @param {Object} priceListData - Price list data
+     * @returns {Object} Created price list
+     */
+    createPriceList(priceListData) {
+        try {
+            const validation = this.validatePriceListData(priceListData);
+            if (!validation.valid) {
+                throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            const priceList = {
+                id: `pricelist_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                name: priceListData.name.trim(),
+                description: priceListData.description || '',
+                businessId: priceListData.businessId || this.businessManager.getCurrentBusiness()?.id,
+
+                // Who the list applies to
+                customerIds: priceListData.customerIds || [],
+                customerTags: priceListData.customerTags || [],
+
+                // Negotiated rates per product; other products get the adjustment on their base price
+                prices: this.normalizePrices(priceListData.prices),
+                adjustmentPercent: parseFloat(priceListData.adjustmentPercent) || 0,
+
+                priority: parseInt(priceListData.priority, 10) || 0,
+                validFrom: priceListData.validFrom || null,
+                validTo: priceListData.validTo || null,
+                isActive: priceListData.isActive !== false,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            this.priceLists.push(priceList);
+            this.savePriceLists();
+
+            this.trackPriceListEvent('price_list_created', {
+                priceListId: priceList.id,
+                products: priceList.prices.length,
+                customers: priceList.customerIds.length,
+                tags: priceList.customerTags.length
+            });
+
+            console.log('Price list created:', priceList.id);
+            return priceList;
+
+        } catch (error) {
+            console.error('Failed to create price list:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update price list
+     * @param {string} priceListId - Price list ID
+     * @param {Object} priceListData - Updated fields
+     * @returns {Object} Updated price list
+     */
+    updatePriceList(priceListId, priceListData) {
+        try {
+            const priceList = this.getPriceListById(priceListId);
+            if (!priceList) {
+                throw new Error('Price list not found');
+            }
+
+            const updated = { ...priceList, ...priceListData };
+            const validation = this.validatePriceListData(updated);
+            if (!validation.valid) {
+                throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            updated.prices = this.normalizePrices(updated.prices);
+            updated.adjustmentPercent = parseFloat(updated.adjustmentPercent) || 0;
+            updated.priority = parseInt(updated.priority, 10) || 0;
+            updated.updatedAt = new Date().toISOString();
+
+            Object.assign(priceList, updated);
+            this.savePriceLists();
+
+            this.trackPriceListEvent('price_list_updated', { priceListId });
+            return priceList;
+
+        } catch (error) {
+            console.error('Failed to update price list:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete price list
+     * @param {string} priceListId - Price list ID
+     * @returns {boolean} Success status
+     */
+    deletePriceList(priceListId) {
+        const index = this.priceLists.findIndex(list => list.id === priceListId);
+        if (index === -1) {
+            return false;
+        }
+
+        this.priceLists.splice(index, 1);
+        this.savePriceLists();
+
+        this.trackPriceListEvent('price_list_deleted', { priceListId });
+        return true;
+    }
+
+    /**
+     * Normalize product prices
+     * @param {Array} prices - Prices ({ productId, rate })
+     * @returns {Array} Normalized prices
+     */
+    normalizePrices(prices) {
+        return (prices || []).map(price => ({
+            productId: price.productId,
+            rate: parseFloat(price.rate) || 0
+        }));
+    }
+
+    /**
+     * Validate price list data
+     * @param {Object} priceListData - Price list data
+     * @returns {Object} Validation result
+     */
+    validatePriceListData(priceListData) {
+        const errors = [];
+
+        if (!priceListData.name || !priceListData.name.trim()) {
+            errors.push('Price list name is required');
+        }
+
+        const prices = priceListData.prices || [];
+        if (prices.some(price => !price.productId || !(parseFloat(price.rate) > 0))) {
+            errors.push('Each product price needs a product and a positive rate');
+        }
+
+        const productIds = prices.map(price => price.productId);
+        if (new Set(productIds).size !== productIds.length) {
+            errors.push('A product can only be priced once per list');
+        }
+
+        const adjustment = parseFloat(priceListData.adjustmentPercent) || 0;
+        if (adjustment <= -100) {
+            errors.push('Adjustment must be above -100%');
+        }
+
+        if (!prices.length && adjustment === 0) {
+            errors.push('Price list needs product prices or an adjustment');
+        }
+
+        if (priceListData.validFrom && priceListData.validTo && priceListData.validTo < priceListData.validFrom) {
+            errors.push('Valid to date cannot be before valid from date');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Get price list by ID
+     * @param {string} priceListId - Price list ID
+     * @returns {Object|null} Price list
+     */
+    getPriceListById(priceListId) {
+        return this.priceLists.find(list => list.id === priceListId) || null;
+    }
+
+    /**
+     * Get active price lists that apply to a customer, best match first
+     * Lists assigned to the customer directly come before tag-based lists, then by priority
+     * @param {Object} customer - Customer
+     * @param {string} date - Invoice date (YYYY-MM-DD)
+     * @returns {Array} Applicable price lists
+     */
+    getPriceListsForCustomer(customer, date = new Date().toISOString().split('T')[0]) {
+        if (!customer) {
+            return [];
+        }
+
+        const tags = customer.tags || [];
+
+        return this.priceLists
+            .filter(list => list.isActive &&
+                (!list.businessId || !customer.businessId || list.businessId === customer.businessId) &&
+                (!list.validFrom || list.validFrom <= date) &&
+                (!list.validTo || list.validTo >= date))
+            .map(list => ({
+                list,
+                direct: list.customerIds.includes(customer.id),
+                tagged: list.customerTags.some(tag => tags.includes(tag))
+            }))
+            .filter(match => match.direct || match.tagged)
+            .sort((a, b) => (b.direct - a.direct) || (b.list.priority - a.list.priority))
+            .map(match => match.list);
+    }
+
+    /**
+     * Get the rate a price list gives a product
+     * @param {Object} priceList - Price list
+     * @param {Object} product - Product
+     * @returns {number|null} Rate, or null when the list does not price the product
+     */
+    getPriceListRate(priceList, product) {
+        const price = priceList.prices.find(p => p.productId === product.id);
+        if (price) {
+            return price.rate;
+        }
+
+        if (priceList.adjustmentPercent) {
+            return Math.round(product.price * (1 + priceList.adjustmentPercent / 100) * 100) / 100;
+        }
+
+        return null;
+    }
+
+    /**
+     * Track price list events
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    trackPriceListEvent(event, data = {}) {
+        try {
+            if (window.UnifyXApp) {
+                window.UnifyXApp.trackEvent(event, {
+                    module: 'priceLists',
+                    ...data
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to track price list event:', error);
+        }
+    }
+}
+
+// Create and export global PriceListManager instance
+window.PriceListManager = new PriceListManager();
+
+console.log('🏷️ UnifyX Bill Maker PriceListManager Loaded Successfully!');
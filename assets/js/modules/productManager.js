@@ -67,6 +67,28 @@ class ProductManager {
                     valid: rate >= 0 && rate <= 100,
                     message: 'Tax rate must be between 0 and 100'
                 };
+            },
+            cessRate: (value) => {
+                if (value === undefined || value === null || value === '') return { valid: true };
+                return {
+                    valid: parseFloat(value) >= 0,
+                    message: 'Cess rate must be non-negative'
+                };
+            },
+            cessPerUnit: (value) => {
+                if (value === undefined || value === null || value === '') return { valid: true };
+                return {
+                    valid: parseFloat(value) >= 0,
+                    message: 'Cess per unit must be non-negative'
+                };
+            },
+            priceTiers: (value) => {
+                if (!value) return { valid: true };
+                return {
+                    valid: Array.isArray(value) && value.every(tier =>
+                        parseFloat(tier.minQuantity) > 1 && parseFloat(tier.price) > 0),
+                    message: 'Quantity tiers need a minimum quantity above 1 and a positive price'
+                };
             }
         };
     }
@@ -160,7 +182,10 @@ class ProductManager {
                 stock: parseInt(productData.stock) || 0,
                 minStock: parseInt(productData.minStock) || 10,
                 maxStock: parseInt(productData.maxStock) || 1000,
-                taxRate: parseFloat(productData.taxRate) || 0
+                taxRate: parseFloat(productData.taxRate) || 0,
+                cessRate: parseFloat(productData.cessRate) || 0,
+                cessPerUnit: parseFloat(productData.cessPerUnit) || 0,
+                priceTiers: this.normalizePriceTiers(productData.priceTiers)
             };
 
             // Process product image if provided
@@ -231,7 +256,13 @@ class ProductManager {
                 ...productData,
                 updatedAt: new Date().toISOString(),
                 price: parseFloat(productData.price) || existingProduct.price,
-                taxRate: parseFloat(productData.taxRate) || existingProduct.taxRate
+                taxRate: parseFloat(productData.taxRate) || existingProduct.taxRate,
+                cessRate: productData.cessRate !== undefined ?
+                    parseFloat(productData.cessRate) || 0 : existingProduct.cessRate || 0,
+                cessPerUnit: productData.cessPerUnit !== undefined ?
+                    parseFloat(productData.cessPerUnit) || 0 : existingProduct.cessPerUnit || 0,
+                priceTiers: productData.priceTiers !== undefined ?
+                    this.normalizePriceTiers(productData.priceTiers) : existingProduct.priceTiers || []
             };
 
             // Handle stock changes
@@ -482,11 +513,16 @@ class ProductManager {
             product.stock = newStock;
             product.updatedAt = new Date().toISOString();
 
-            // Update total sold if it's a sale
-            if (type === 'sale' && quantity < 0) {
+            // Update total sold if it's a sale or goods dispatched on challan
+            if ((type === 'sale' || type === 'dispatch') && quantity < 0) {
                 product.totalSold = (product.totalSold || 0) + Math.abs(quantity);
             }
 
+            // Returned or cancelled goods are no longer counted as sold
+            if ((type === 'return' || type === 'cancellation') && quantity > 0) {
+                product.totalSold = Math.max(0, (product.totalSold || 0) - quantity);
+            }
+
             // Save product
             this.dataManager.saveProduct(product);
             
@@ -673,6 +709,13 @@ class ProductManager {
                             case 'tax rate':
                                 product.taxRate = parseFloat(value) || 0;
                                 break;
+                            case 'cess':
+                            case 'cess rate':
+                                product.cessRate = parseFloat(value) || 0;
+                                break;
+                            case 'cess per unit':
+                                product.cessPerUnit = parseFloat(value) || 0;
+                                break;
                             case 'description':
                                 product.description = value;
                                 break;
@@ -711,7 +754,7 @@ class ProductManager {
             
         const headers = [
             'Name', 'Category', 'Price', 'Stock', 'Unit', 'HSN Code', 
-            'Tax Rate', 'Barcode', 'SKU', 'Description', 'Min Stock', 'Max Stock'
+            'Tax Rate', 'Cess Rate', 'Cess Per Unit', 'Barcode', 'SKU', 'Description', 'Min Stock', 'Max Stock'
         ];
         
         const csvRows = [headers.join(',')];
@@ -725,6 +768,8 @@ class ProductManager {
                 `"${product.unit || 'pcs'}"`,
                 `"${product.hsn || ''}"`,
                 product.taxRate || 0,
+                product.cessRate || 0,
+                product.cessPerUnit || 0,
                 `"${product.barcode || ''}"`,
                 `"${product.sku || ''}"`,
                 `"${product.description || ''}"`,
@@ -884,6 +929,20 @@ class ProductManager {
         }
     }
 
+    /**
+     * Normalize quantity-break tiers, lowest quantity first
+     * @param {Array} tiers - Tiers ({ minQuantity, price })
+     * @returns {Array} Normalized tiers
+     */
+    normalizePriceTiers(tiers) {
+        return (tiers || [])
+            .map(tier => ({
+                minQuantity: parseFloat(tier.minQuantity) || 0,
+                price: parseFloat(tier.price) || 0
+            }))
+            .sort((a, b) => a.minQuantity - b.minQuantity);
+    }
+
     /**
      * Validate product data
      * @param {Object} productData - Product data to validate
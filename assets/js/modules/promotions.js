@@ -0,0 +1,523 @@
+/**
+ * ⚡️ UnifyX Bill Maker - Promotions & Coupons
+ * Rules-based promotions, coupon codes, stacking, usage limits and free lines
+ * Author: Ved Mangukiya
+ * Version: 1.0.0
+ */
+
+class PromotionManager {
+    constructor() {
+        this.dataManager = window.DataManager;
+        this.businessManager = window.BusinessManager;
+        this.productManager = window.ProductManager;
+
+        // Promotions
+        this.promotions = [];
+
+        // Supported promotion types
+        this.promotionTypes = {
+            BUY_X_GET_Y: 'buy_x_get_y',
+            FLAT_OFF: 'flat_off',
+            ORDER_PERCENT: 'order_percent',
+            CATEGORY_PERCENT: 'category_percent'
+        };
+
+        // Load promotions on initialization
+        this.loadPromotions();
+
+        console.log('🎁 PromotionManager initialized successfully!');
+    }
+
+    /**
+     * Load promotions from storage
+     */
+    loadPromotions() {
+        try {
+            this.promotions = this.dataManager.getItem('promotions') || [];
+            console.log(`Loaded ${this.promotions.length} promotions`);
+        } catch (error) {
+            console.error('Failed to load promotions:', error);
+            this.promotions = [];
+        }
+    }
+
+    /**
+     * Save promotions to storage
+     */
+    savePromotions() {
+        this.dataManager.setItem('promotions', this.promotions);
+    }
+
+    /**
+     * Create promotion
+     * @param {Object} promotionData - Promotion data
+     * @returns {Object} Created promotion
+     */
+    createPromotion(promotionData) {
+        try {
+            const validation = this.validatePromotionData(promotionData);
+            if (!validation.valid) {
+                throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            const promotion = {
+                id: `promotion_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                businessId: promotionData.businessId || this.businessManager.getCurrentBusiness()?.id,
+                ...this.normalizePromotion(promotionData),
+
+                // Redemptions, one per generated invoice
+                usage: [],
+                usageCount: 0,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            this.promotions.push(promotion);
+            this.savePromotions();
+
+            this.trackPromotionEvent('promotion_created', {
+                promotionId: promotion.id,
+                type: promotion.type,
+                coupon: !!promotion.couponCode
+            });
+
+            console.log('Promotion created:', promotion.id);
+            return promotion;
+
+        } catch (error) {
+            console.error('Failed to create promotion:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update promotion
+     * @param {string} promotionId - Promotion ID
+     * @param {Object} promotionData - Updated fields
+     * @returns {Object} Updated promotion
+     */
+    updatePromotion(promotionId, promotionData) {
+        try {
+            const promotion = this.getPromotionById(promotionId);
+            if (!promotion) {
+                throw new Error('Promotion not found');
+            }
+
+            const updated = { ...promotion, ...promotionData };
+            const validation = this.validatePromotionData(updated, promotionId);
+            if (!validation.valid) {
+                throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            Object.assign(promotion, this.normalizePromotion(updated), {
+                updatedAt: new Date().toISOString()
+            });
+            this.savePromotions();
+
+            this.trackPromotionEvent('promotion_updated', { promotionId });
+            return promotion;
+
+        } catch (error) {
+            console.error('Failed to update promotion:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete promotion
+     * @param {string} promotionId - Promotion ID
+     * @returns {boolean} Success status
+     */
+    deletePromotion(promotionId) {
+        const index = this.promotions.findIndex(p => p.id === promotionId);
+        if (index === -1) {
+            return false;
+        }
+
+        this.promotions.splice(index, 1);
+        this.savePromotions();
+
+        this.trackPromotionEvent('promotion_deleted', { promotionId });
+        return true;
+    }
+
+    /**
+     * Normalize promotion fields
+     * @param {Object} data - Promotion data
+     * @returns {Object} Normalized fields
+     */
+    normalizePromotion(data) {
+        return {
+            name: data.name.trim(),
+            description: data.description || '',
+            type: data.type,
+            couponCode: (data.couponCode || '').trim().toUpperCase(),
+
+            // Buy X get Y
+            buyProductId: data.buyProductId || null,
+            buyQuantity: parseFloat(data.buyQuantity) || 0,
+            getProductId: data.getProductId || data.buyProductId || null,
+            getQuantity: parseFloat(data.getQuantity) || 0,
+            getDiscountPercent: data.getDiscountPercent !== undefined ? parseFloat(data.getDiscountPercent) || 0 : 100,
+            maxApplications: parseInt(data.maxApplications, 10) || null,
+
+            // Amount and percentage discounts
+            minAmount: parseFloat(data.minAmount) || 0,
+            amount: parseFloat(data.amount) || 0,
+            percent: parseFloat(data.percent) || 0,
+            maxDiscount: parseFloat(data.maxDiscount) || null,
+            category: data.category || '',
+
+            // Validity, limits and stacking
+            validFrom: data.validFrom || null,
+            validTo: data.validTo || null,
+            usageLimit: parseInt(data.usageLimit, 10) || null,
+            perCustomerLimit: parseInt(data.perCustomerLimit, 10) || null,
+            stackable: data.stackable !== false,
+            priority: parseInt(data.priority, 10) || 0,
+            isActive: data.isActive !== false
+        };
+    }
+
+    /**
+     * Validate promotion data
+     * @param {Object} promotionData - Promotion data
+     * @param {string} excludeId - Promotion ID to exclude from duplicate checks
+     * @returns {Object} Validation result
+     */
+    validatePromotionData(promotionData, excludeId = null) {
+        const errors = [];
+        const types = Object.values(this.promotionTypes);
+
+        if (!promotionData.name || !promotionData.name.trim()) {
+            errors.push('Promotion name is required');
+        }
+
+        if (!types.includes(promotionData.type)) {
+            errors.push(`Promotion type must be one of: ${types.join(', ')}`);
+        }
+
+        switch (promotionData.type) {
+            case this.promotionTypes.BUY_X_GET_Y:
+                if (!promotionData.buyProductId || !(parseFloat(promotionData.buyQuantity) > 0) ||
+                    !(parseFloat(promotionData.getQuantity) > 0)) {
+                    errors.push('Buy X get Y needs a product, a buy quantity and a free quantity');
+                }
+                break;
+            case this.promotionTypes.FLAT_OFF:
+                if (!(parseFloat(promotionData.amount) > 0)) {
+                    errors.push('Flat off amount must be positive');
+                }
+                break;
+            case this.promotionTypes.CATEGORY_PERCENT:
+                if (!promotionData.category) {
+                    errors.push('Category is required');
+                }
+                // falls through
+            case this.promotionTypes.ORDER_PERCENT:
+                if (!(parseFloat(promotionData.percent) > 0 && parseFloat(promotionData.percent) <= 100)) {
+                    errors.push('Discount percent must be between 0 and 100');
+                }
+                break;
+        }
+
+        const couponCode = (promotionData.couponCode || '').trim().toUpperCase();
+        if (couponCode && this.promotions.some(p => p.id !== excludeId && p.couponCode === couponCode)) {
+            errors.push('Coupon code is already used by another promotion');
+        }
+
+        if (promotionData.validFrom && promotionData.validTo && promotionData.validTo < promotionData.validFrom) {
+            errors.push('Valid to date cannot be before valid from date');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Get promotion by ID
+     * @param {string} promotionId - Promotion ID
+     * @returns {Object|null} Promotion
+     */
+    getPromotionById(promotionId) {
+        return this.promotions.find(p => p.id === promotionId) || null;
+    }
+
+    /**
+     * Find the promotion behind a coupon code and check it can be used on an invoice
+     * @param {string} code - Coupon code
+     * @param {Object} invoice - Invoice
+     * @returns {Object} Promotion
+     */
+    findCoupon(code, invoice) {
+        const couponCode = String(code || '').trim().toUpperCase();
+        const promotion = this.promotions.find(p => p.couponCode && p.couponCode === couponCode);
+
+        if (!promotion) {
+            throw new Error(`Coupon ${couponCode} is not valid`);
+        }
+
+        const check = this.checkEligibility(promotion, { ...invoice, couponCodes: [couponCode] });
+        if (!check.eligible) {
+            throw new Error(`Coupon ${couponCode}: ${check.reason}`);
+        }
+
+        return promotion;
+    }
+
+    /**
+     * Check whether a promotion may be applied to an invoice
+     * @param {Object} promotion - Promotion
+     * @param {Object} invoice - Invoice
+     * @returns {Object} Eligibility and reason
+     */
+    checkEligibility(promotion, invoice) {
+        const date = invoice.invoiceDate || new Date().toISOString().split('T')[0];
+        const usage = (promotion.usage || []).filter(u => u.invoiceId !== invoice.id);
+
+        // Promotions already granted on an issued invoice survive amendments
+        const granted = invoice.status !== 'draft' &&
+            (invoice.promotions || []).some(p => p.promotionId === promotion.id);
+
+        if (!promotion.isActive) {
+            return { eligible: false, reason: 'promotion is not active' };
+        }
+        if (promotion.businessId && invoice.businessId && promotion.businessId !== invoice.businessId) {
+            return { eligible: false, reason: 'promotion belongs to another business' };
+        }
+        if (promotion.couponCode && !(invoice.couponCodes || []).includes(promotion.couponCode)) {
+            return { eligible: false, reason: 'coupon code not applied' };
+        }
+        if (granted) {
+            return { eligible: true };
+        }
+        if ((promotion.validFrom && date < promotion.validFrom) || (promotion.validTo && date > promotion.validTo)) {
+            return { eligible: false, reason: 'promotion is outside its validity period' };
+        }
+        if (promotion.usageLimit && usage.length >= promotion.usageLimit) {
+            return { eligible: false, reason: 'usage limit reached' };
+        }
+        if (promotion.perCustomerLimit && invoice.customerId &&
+            usage.filter(u => u.customerId === invoice.customerId).length >= promotion.perCustomerLimit) {
+            return { eligible: false, reason: 'customer has already used this promotion' };
+        }
+
+        return { eligible: true };
+    }
+
+    /**
+     * Evaluate all promotions against invoice items
+     * Promotions run in priority order; a non-stackable promotion only applies on its own
+     * @param {Object} invoice - Invoice
+     * @param {Array} items - Invoice items with manual discounts calculated
+     * @returns {Object} Discounts, free lines and applied promotions
+     */
+    evaluate(invoice, items) {
+        const result = { discounts: [], freeLines: [], applied: [], skipped: [] };
+        const lines = items.filter(item => !item.isPromotionLine);
+        const allocated = new Map();
+        const netAmount = item => item.quantity * item.rate - (item.discountAmount || 0) - (allocated.get(item.id) || 0);
+
+        const candidates = this.promotions
+            .map(promotion => ({ promotion, check: this.checkEligibility(promotion, invoice) }))
+            .filter(({ promotion, check }) => {
+                if (!check.eligible && promotion.couponCode && (invoice.couponCodes || []).includes(promotion.couponCode)) {
+                    result.skipped.push({ promotionId: promotion.id, name: promotion.name, reason: check.reason });
+                }
+                return check.eligible;
+            })
+            .map(({ promotion }) => promotion)
+            .sort((a, b) => b.priority - a.priority);
+
+        for (const promotion of candidates) {
+            if (result.applied.length && (!promotion.stackable || result.applied.some(a => !a.stackable))) {
+                result.skipped.push({ promotionId: promotion.id, name: promotion.name, reason: 'cannot be combined with other promotions' });
+                continue;
+            }
+
+            const outcome = this.evaluatePromotion(promotion, lines, netAmount);
+            if (!outcome) {
+                continue;
+            }
+
+            outcome.discounts.forEach(discount => {
+                allocated.set(discount.itemId, (allocated.get(discount.itemId) || 0) + discount.amount);
+                result.discounts.push({ ...discount, promotionId: promotion.id, name: promotion.name });
+            });
+            outcome.freeLines.forEach(line => {
+                result.freeLines.push({ ...line, promotionId: promotion.id, name: promotion.name });
+            });
+
+            result.applied.push({
+                promotionId: promotion.id,
+                name: promotion.name,
+                type: promotion.type,
+                couponCode: promotion.couponCode,
+                stackable: promotion.stackable,
+                discount: this.roundValue(outcome.discounts.reduce((sum, d) => sum + d.amount, 0)),
+                freeQuantity: outcome.freeLines.reduce((sum, line) => sum + line.quantity, 0)
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Work out what a single promotion gives on the invoice lines
+     * @param {Object} promotion - Promotion
+     * @param {Array} lines - Billable invoice lines
+     * @param {Function} netAmount - Returns a line's amount after discounts so far
+     * @returns {Object|null} Discounts and free lines, or null when conditions are not met
+     */
+    evaluatePromotion(promotion, lines, netAmount) {
+        const orderAmount = lines.reduce((sum, item) => sum + netAmount(item), 0);
+
+        switch (promotion.type) {
+            case this.promotionTypes.BUY_X_GET_Y: {
+                const bought = lines
+                    .filter(item => item.productId === promotion.buyProductId)
+                    .reduce((sum, item) => sum + item.quantity, 0);
+
+                let applications = Math.floor(bought / promotion.buyQuantity);
+                if (promotion.maxApplications) {
+                    applications = Math.min(applications, promotion.maxApplications);
+                }
+                if (applications < 1) return null;
+
+                return {
+                    discounts: [],
+                    freeLines: [{
+                        productId: promotion.getProductId,
+                        quantity: applications * promotion.getQuantity,
+                        discountPercent: promotion.getDiscountPercent
+                    }]
+                };
+            }
+
+            case this.promotionTypes.FLAT_OFF:
+            case this.promotionTypes.ORDER_PERCENT: {
+                if (orderAmount <= 0 || orderAmount < promotion.minAmount) return null;
+
+                let amount = promotion.type === this.promotionTypes.FLAT_OFF ?
+                    promotion.amount : (orderAmount * promotion.percent) / 100;
+                if (promotion.maxDiscount) {
+                    amount = Math.min(amount, promotion.maxDiscount);
+                }
+
+                return {
+                    discounts: this.allocateDiscount(lines, Math.min(amount, orderAmount), netAmount),
+                    freeLines: []
+                };
+            }
+
+            case this.promotionTypes.CATEGORY_PERCENT: {
+                const category = promotion.category.toLowerCase();
+                const matched = lines.filter(item => String(item.category || '').toLowerCase() === category);
+                const matchedAmount = matched.reduce((sum, item) => sum + netAmount(item), 0);
+                if (matchedAmount <= 0 || orderAmount < promotion.minAmount) return null;
+
+                let amount = (matchedAmount * promotion.percent) / 100;
+                if (promotion.maxDiscount) {
+                    amount = Math.min(amount, promotion.maxDiscount);
+                }
+
+                return {
+                    discounts: this.allocateDiscount(matched, amount, netAmount),
+                    freeLines: []
+                };
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Spread a discount over lines in proportion to their amounts
+     * @param {Array} lines - Invoice lines
+     * @param {number} amount - Discount to spread
+     * @param {Function} netAmount - Returns a line's amount after discounts so far
+     * @returns {Array} Discount per line ({ itemId, amount })
+     */
+    allocateDiscount(lines, amount, netAmount) {
+        const eligible = lines.filter(item => netAmount(item) > 0);
+        const base = eligible.reduce((sum, item) => sum + netAmount(item), 0);
+        let remaining = this.roundValue(amount);
+
+        return eligible.map((item, index) => {
+            const share = index === eligible.length - 1 ?
+                remaining : this.roundValue((amount * netAmount(item)) / base);
+            remaining = this.roundValue(remaining - share);
+            return { itemId: item.id, amount: share };
+        });
+    }
+
+    /**
+     * Record promotions redeemed on a generated invoice
+     * @param {Object} invoice - Generated invoice
+     */
+    recordUsage(invoice) {
+        (invoice.promotions || []).forEach(applied => {
+            const promotion = this.getPromotionById(applied.promotionId);
+            if (!promotion || promotion.usage.some(u => u.invoiceId === invoice.id)) return;
+
+            promotion.usage.push({
+                invoiceId: invoice.id,
+                customerId: invoice.customerId || null,
+                discount: applied.discount,
+                freeQuantity: applied.freeQuantity,
+                usedAt: new Date().toISOString()
+            });
+            promotion.usageCount = promotion.usage.length;
+        });
+
+        this.savePromotions();
+    }
+
+    /**
+     * Release redemptions of a cancelled invoice
+     * @param {string} invoiceId - Invoice ID
+     */
+    releaseUsage(invoiceId) {
+        this.promotions.forEach(promotion => {
+            promotion.usage = promotion.usage.filter(u => u.invoiceId !== invoiceId);
+            promotion.usageCount = promotion.usage.length;
+        });
+
+        this.savePromotions();
+    }
+
+    /**
+     * Round value to 2 decimals
+     * @param {number} value - Value to round
+     * @returns {number} Rounded value
+     */
+    roundValue(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Track promotion events
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    trackPromotionEvent(event, data = {}) {
+        try {
+            if (window.UnifyXApp) {
+                window.UnifyXApp.trackEvent(event, {
+                    module: 'promotions',
+                    ...data
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to track promotion event:', error);
+        }
+    }
+}
+
+// Create and export global PromotionManager instance
+window.PromotionManager = new PromotionManager();
+
+console.log('🎁 UnifyX Bill Maker PromotionManager Loaded Successfully!');
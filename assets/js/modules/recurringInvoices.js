@@ -0,0 +1,579 @@
+/**
+ * ⚡️ UnifyX Bill Maker - Recurring Invoice Scheduler
+ * Recurring invoice profiles, schedule calculation, catch-up runs, and run history
+ * Author: Ved Mangukiya
+ * Version: 1.0.0
+ */
+
+class RecurringInvoiceManager {
+    constructor() {
+        this.dataManager = window.DataManager;
+        this.businessManager = window.BusinessManager;
+        this.customerManager = window.CustomerManager;
+        this.billingEngine = window.BillingEngine;
+
+        // Recurring profiles
+        this.profiles = [];
+
+        // Scheduler state
+        this.isRunning = false;
+        this.lastRunAt = null;
+
+        // Supported frequencies and their step in months (weekly is handled in days)
+        this.frequencies = {
+            WEEKLY: 'weekly',
+            MONTHLY: 'monthly',
+            QUARTERLY: 'quarterly',
+            YEARLY: 'yearly'
+        };
+
+        this.frequencyMonths = {
+            monthly: 1,
+            quarterly: 3,
+            yearly: 12
+        };
+
+        this.settings = window.AppConfig?.billing?.recurring || {
+            checkInterval: 60 * 60 * 1000,
+            maxCatchUpRuns: 24,
+            maxFailures: 5,
+            historyLimit: 100
+        };
+
+        // Load profiles on initialization
+        this.loadProfiles();
+
+        console.log('🔁 RecurringInvoiceManager initialized successfully!');
+    }
+
+    /**
+     * Load recurring profiles from storage
+     */
+    loadProfiles() {
+        try {
+            this.profiles = this.dataManager.getItem('recurringProfiles') || [];
+            console.log(`Loaded ${this.profiles.length} recurring profiles`);
+        } catch (error) {
+            console.error('Failed to load recurring profiles:', error);
+            this.profiles = [];
+        }
+    }
+
+    /**
+     * Save recurring profiles to storage
+     */
+    saveProfiles() {
+        this.dataManager.setItem('recurringProfiles', this.profiles);
+    }
+
+    /**
+     * Create recurring invoice profile
+     * @param {Object} profileData - Profile data
+     * @returns {Promise<Object>} Created profile
+     */
+    async createProfile(profileData) {
+        try {
+            const validation = this.validateProfileData(profileData);
+            if (!validation.valid) {
+                throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+            }
+
+            const currentBusiness = this.businessManager.getCurrentBusiness();
+            const template = profileData.templateInvoice;
+
+            const profile = {
+                id: `recurring_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                name: profileData.name || `Recurring ${profileData.frequency} invoice`,
+                businessId: profileData.businessId || currentBusiness?.id,
+                customerId: profileData.customerId || template.customerId || null,
+
+                // Invoice used as the template for every run
+                templateInvoice: {
+                    customerData: template.customerData || {},
+                    billType: template.billType || 'tax_invoice',
+                    template: template.template,
+                    placeOfSupply: template.placeOfSupply,
+                    supplyType: template.supplyType || 'regular',
+                    reverseCharge: template.reverseCharge === true,
+                    lutReference: template.lutReference || '',
+                    withholdingSection: template.withholdingSection || null,
+                    withholdingRate: template.withholdingRate ?? null,
+                    paymentMethod: template.paymentMethod,
+                    paymentTerms: template.paymentTerms,
+                    notes: template.notes || '',
+                    termsAndConditions: template.termsAndConditions,
+                    discountType: template.discountType || 'percentage',
+                    discountPercent: template.discountPercent || 0,
+                    fixedDiscount: template.fixedDiscount || 0,
+                    items: (template.items || []).filter(item => !item.isPromotionLine).map(item => ({
+                        productId: item.productId || null,
+                        name: item.name,
+                        description: item.description,
+                        hsn: item.hsn,
+                        unit: item.unit,
+                        quantity: item.quantity,
+                        rate: item.rate,
+                        taxRate: item.taxRate,
+                        cessRate: item.cessRate,
+                        cessPerUnit: item.cessPerUnit,
+                        discountType: item.discountType,
+                        discountPercent: item.discountPercent,
+                        fixedDiscount: item.fixedDiscount,
+                        category: item.category
+                    })),
+                    charges: (template.charges || []).map(charge => ({
+                        type: charge.type,
+                        name: charge.name,
+                        sac: charge.sac,
+                        taxRate: charge.taxRate,
+                        amount: charge.amount
+                    }))
+                },
+
+                // Schedule
+                frequency: profileData.frequency,
+                startDate: profileData.startDate,
+                endDate: profileData.endDate || null,
+                nextRunDate: profileData.startDate,
+                dueInDays: parseInt(profileData.dueInDays) || 30,
+                autoGenerate: profileData.autoGenerate === true,
+
+                // Status and history
+                status: 'active',
+                runCount: 0,
+                failureCount: 0,
+                runHistory: [],
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            this.profiles.push(profile);
+            this.saveProfiles();
+
+            this.trackRecurringEvent('recurring_profile_created', {
+                profileId: profile.id,
+                frequency: profile.frequency,
+                autoGenerate: profile.autoGenerate
+            });
+
+            console.log('Recurring profile created:', profile.id);
+            return profile;
+
+        } catch (error) {
+            console.error('Failed to create recurring profile:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create recurring profile from an existing invoice
+     * @param {string} invoiceId - Invoice ID
+     * @param {Object} scheduleData - Frequency, dates and generation options
+     * @returns {Promise<Object>} Created profile
+     */
+    async createProfileFromInvoice(invoiceId, scheduleData) {
+        const invoice = this.dataManager.getInvoice(invoiceId);
+        if (!invoice) {
+            throw new Error('Invoice not found');
+        }
+
+        return this.createProfile({
+            ...scheduleData,
+            businessId: invoice.businessId,
+            customerId: invoice.customerId,
+            templateInvoice: invoice
+        });
+    }
+
+    /**
+     * Update recurring profile
+     * @param {string} profileId - Profile ID
+     * @param {Object} profileData - Updated fields
+     * @returns {Object} Updated profile
+     */
+    updateProfile(profileId, profileData) {
+        const profile = this.getProfileById(profileId);
+        if (!profile) {
+            throw new Error('Recurring profile not found');
+        }
+
+        const updated = { ...profile, ...profileData };
+        const validation = this.validateProfileData(updated);
+        if (!validation.valid) {
+            throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+        }
+
+        // Schedule changes restart the sequence from the next date due
+        if (profileData.startDate || profileData.frequency) {
+            updated.nextRunDate = profileData.startDate || profile.nextRunDate;
+            updated.startDate = updated.nextRunDate;
+            updated.runCount = 0;
+        }
+
+        updated.updatedAt = new Date().toISOString();
+        Object.assign(profile, updated);
+        this.saveProfiles();
+
+        this.trackRecurringEvent('recurring_profile_updated', { profileId });
+        return profile;
+    }
+
+    /**
+     * Pause recurring profile
+     * @param {string} profileId - Profile ID
+     */
+    pauseProfile(profileId) {
+        this.setProfileStatus(profileId, 'paused');
+    }
+
+    /**
+     * Resume paused recurring profile
+     * @param {string} profileId - Profile ID
+     */
+    resumeProfile(profileId) {
+        this.setProfileStatus(profileId, 'active');
+    }
+
+    /**
+     * Delete recurring profile
+     * @param {string} profileId - Profile ID
+     * @returns {boolean} Success status
+     */
+    deleteProfile(profileId) {
+        const index = this.profiles.findIndex(p => p.id === profileId);
+        if (index === -1) {
+            return false;
+        }
+
+        this.profiles.splice(index, 1);
+        this.saveProfiles();
+
+        this.trackRecurringEvent('recurring_profile_deleted', { profileId });
+        return true;
+    }
+
+    /**
+     * Set profile status
+     * @param {string} profileId - Profile ID
+     * @param {string} status - New status
+     */
+    setProfileStatus(profileId, status) {
+        const profile = this.getProfileById(profileId);
+        if (!profile) {
+            throw new Error('Recurring profile not found');
+        }
+
+        profile.status = status;
+        if (status === 'active') {
+            profile.failureCount = 0;
+            profile.pausedReason = null;
+        }
+        profile.updatedAt = new Date().toISOString();
+        this.saveProfiles();
+
+        this.trackRecurringEvent(`recurring_profile_${status}`, { profileId });
+    }
+
+    /**
+     * Run all due profiles, catching up on any missed runs
+     * @param {Date} now - Reference time
+     * @returns {Promise<Array>} Run results
+     */
+    async runScheduler(now = new Date()) {
+        if (this.isRunning) {
+            return [];
+        }
+
+        this.isRunning = true;
+        const results = [];
+
+        try {
+            const currentBusiness = this.businessManager.getCurrentBusiness();
+            if (!currentBusiness) {
+                return results;
+            }
+
+            const today = now.toISOString().split('T')[0];
+
+            // Invoices are always raised under the active business
+            const dueProfiles = this.profiles.filter(profile =>
+                profile.status === 'active' &&
+                profile.businessId === currentBusiness.id
+            );
+
+            for (const profile of dueProfiles) {
+                let runs = 0;
+
+                while (
+                    profile.status === 'active' &&
+                    profile.nextRunDate <= today &&
+                    runs < this.settings.maxCatchUpRuns
+                ) {
+                    if (profile.endDate && profile.nextRunDate > profile.endDate) {
+                        break;
+                    }
+
+                    const result = await this.runProfile(profile, profile.nextRunDate);
+                    results.push(result);
+                    runs++;
+
+                    // Leave the date in place so a failed run is retried on the next check
+                    if (result.status === 'failed') {
+                        profile.failureCount = (profile.failureCount || 0) + 1;
+
+                        // Stop retrying a profile that keeps failing until the user resumes it
+                        if (profile.failureCount >= this.settings.maxFailures) {
+                            profile.status = 'paused';
+                            profile.pausedReason = result.error;
+                            this.trackRecurringEvent('recurring_profile_paused', {
+                                profileId: profile.id,
+                                failures: profile.failureCount
+                            });
+                        }
+                        break;
+                    }
+
+                    profile.failureCount = 0;
+                    profile.runCount++;
+                    profile.nextRunDate = this.getOccurrenceDate(profile.startDate, profile.frequency, profile.runCount);
+                }
+
+                // Schedule finished
+                if (profile.endDate && profile.nextRunDate > profile.endDate) {
+                    profile.status = 'completed';
+                }
+
+                profile.updatedAt = new Date().toISOString();
+            }
+
+            this.saveProfiles();
+            this.lastRunAt = new Date().toISOString();
+
+            if (results.length > 0) {
+                this.trackRecurringEvent('recurring_scheduler_run', {
+                    runs: results.length,
+                    failed: results.filter(r => r.status === 'failed').length
+                });
+            }
+
+            return results;
+
+        } catch (error) {
+            console.error('Failed to run recurring scheduler:', error);
+            throw error;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Create one invoice for a profile
+     * @param {Object} profile - Recurring profile
+     * @param {string} runDate - Scheduled date (YYYY-MM-DD)
+     * @returns {Promise<Object>} Run history entry
+     */
+    async runProfile(profile, runDate) {
+        const billingEngine = this.billingEngine;
+
+        // Keep whatever the user is billing at the counter untouched
+        const previousState = {
+            currentInvoice: billingEngine.currentInvoice,
+            invoiceItems: billingEngine.invoiceItems,
+            invoiceTotals: billingEngine.invoiceTotals,
+            multiBillMode: billingEngine.multiBillMode,
+            bulkEntryMode: billingEngine.bulkEntryMode
+        };
+
+        const entry = {
+            id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            runDate,
+            invoiceId: null,
+            invoiceNumber: null,
+            total: 0,
+            status: 'failed',
+            error: null,
+            executedAt: new Date().toISOString()
+        };
+        let invoice = null;
+
+        try {
+            billingEngine.multiBillMode = false;
+            billingEngine.bulkEntryMode = true;
+
+            const template = profile.templateInvoice;
+            invoice = await billingEngine.createNewInvoice({
+                ...template,
+                customerId: profile.customerId,
+                invoiceDate: runDate,
+                dueDate: this.addDays(runDate, profile.dueInDays)
+            });
+
+            invoice.recurringProfileId = profile.id;
+            invoice.recurringRunDate = runDate;
+
+            for (const item of template.items) {
+                await billingEngine.addItem(item);
+            }
+
+            if (template.discountPercent > 0 || template.fixedDiscount > 0) {
+                billingEngine.applyInvoiceDiscount(template.discountPercent, template.discountType === 'fixed' ? template.fixedDiscount : 0);
+            }
+
+            (template.charges || []).forEach(charge => billingEngine.addCharge(charge));
+
+            if (profile.autoGenerate) {
+                await billingEngine.generateInvoice();
+                entry.status = 'generated';
+            } else {
+                await billingEngine.saveCurrentInvoice();
+                entry.status = 'draft';
+            }
+
+            entry.invoiceId = invoice.id;
+            entry.invoiceNumber = invoice.invoiceNumber;
+            entry.total = invoice.totals.grandTotal;
+
+        } catch (error) {
+            console.error(`Failed to run recurring profile ${profile.id}:`, error);
+            entry.error = error.message;
+        } finally {
+            // Edits made by the scheduler are not the user's to undo
+            if (invoice) {
+                billingEngine.clearEditHistory(invoice.id);
+            }
+            Object.assign(billingEngine, previousState);
+        }
+
+        profile.lastRunAt = entry.executedAt;
+        profile.runHistory.push(entry);
+
+        // Keep history bounded
+        if (profile.runHistory.length > this.settings.historyLimit) {
+            profile.runHistory = profile.runHistory.slice(-this.settings.historyLimit);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get the date of the nth occurrence of a schedule
+     * @param {string} startDate - First run date (YYYY-MM-DD)
+     * @param {string} frequency - Schedule frequency
+     * @param {number} index - Occurrence index (0 is the start date)
+     * @returns {string} Occurrence date (YYYY-MM-DD)
+     */
+    getOccurrenceDate(startDate, frequency, index) {
+        if (frequency === this.frequencies.WEEKLY) {
+            return this.addDays(startDate, index * 7);
+        }
+
+        // Anchor on the start date so month-end schedules don't drift (31st -> 28th -> 28th)
+        const [year, month, day] = startDate.split('-').map(Number);
+        const totalMonths = (month - 1) + index * this.frequencyMonths[frequency];
+        const targetYear = year + Math.floor(totalMonths / 12);
+        const targetMonth = totalMonths % 12;
+        const lastDay = new Date(Date.UTC(targetYear, targetMonth + 1, 0)).getUTCDate();
+
+        return new Date(Date.UTC(targetYear, targetMonth, Math.min(day, lastDay)))
+            .toISOString()
+            .split('T')[0];
+    }
+
+    /**
+     * Add days to a date string
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {number} days - Days to add
+     * @returns {string} Resulting date (YYYY-MM-DD)
+     */
+    addDays(date, days) {
+        const result = new Date(`${date}T00:00:00Z`);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().split('T')[0];
+    }
+
+    /**
+     * Validate profile data
+     * @param {Object} profileData - Profile data
+     * @returns {Object} Validation result
+     */
+    validateProfileData(profileData) {
+        const errors = [];
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+        if (!Object.values(this.frequencies).includes(profileData.frequency)) {
+            errors.push('Frequency must be weekly, monthly, quarterly or yearly');
+        }
+
+        if (!profileData.startDate || !datePattern.test(profileData.startDate)) {
+            errors.push('Start date is required (YYYY-MM-DD)');
+        }
+
+        if (profileData.endDate) {
+            if (!datePattern.test(profileData.endDate)) {
+                errors.push('End date must be in YYYY-MM-DD format');
+            } else if (profileData.startDate && profileData.endDate < profileData.startDate) {
+                errors.push('End date cannot be before start date');
+            }
+        }
+
+        if (!profileData.templateInvoice?.items?.length) {
+            errors.push('Template invoice must have at least one item');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Get profile by ID
+     * @param {string} profileId - Profile ID
+     * @returns {Object|null} Profile
+     */
+    getProfileById(profileId) {
+        return this.profiles.find(p => p.id === profileId) || null;
+    }
+
+    /**
+     * Get profiles for a customer
+     * @param {string} customerId - Customer ID
+     * @returns {Array} Profiles
+     */
+    getProfilesByCustomer(customerId) {
+        return this.profiles.filter(p => p.customerId === customerId);
+    }
+
+    /**
+     * Get run history for a profile
+     * @param {string} profileId - Profile ID
+     * @returns {Array} Run history, newest first
+     */
+    getRunHistory(profileId) {
+        const profile = this.getProfileById(profileId);
+        return profile ? [...profile.runHistory].reverse() : [];
+    }
+
+    /**
+     * Track recurring invoice events
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    trackRecurringEvent(event, data = {}) {
+        try {
+            if (window.UnifyXApp) {
+                window.UnifyXApp.trackEvent(event, {
+                    module: 'recurringInvoices',
+                    ...data
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to track recurring event:', error);
+        }
+    }
+}
+
+// Create and export global RecurringInvoiceManager instance
+window.RecurringInvoiceManager = new RecurringInvoiceManager();
+
+console.log('🔁 UnifyX Bill Maker RecurringInvoiceManager Loaded Successfully!');
@@ -0,0 +1,250 @@
+/**
+ * ⚡️ UnifyX Bill Maker - Delivery Challan Template
+ * Dispatch document listing goods and quantities without prices
+ * Author: Ved Mangukiya
+ * Version: 1.0.0
+ */
+
+class ChallanTemplate {
+    constructor() {
+        this.templateName = 'Delivery Challan';
+        this.colors = {
+            primary: '#0f766e',
+            secondary: '#64748b',
+            text: '#0f172a',
+            light: '#f0fdfa'
+        };
+    }
+
+    /**
+     * Generate delivery challan HTML
+     */
+    generate(invoiceData) {
+        const {
+            business = {},
+            customerData = {},
+            items = [],
+            invoiceNumber = '',
+            invoiceDate = '',
+            deliveryAddress = '',
+            transport = {},
+            challanReason = '',
+            notes = ''
+        } = invoiceData;
+
+        return `
+            <div class="challan-template">
+                ${this.generateHeader(business, invoiceNumber, invoiceDate)}
+                ${this.generateConsigneeSection(customerData, deliveryAddress, transport, challanReason)}
+                ${this.generateItemsTable(items)}
+                ${this.generateFooter(notes)}
+            </div>
+
+            <style>
+                .challan-template {
+                    font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+                    max-width: 800px;
+                    margin: 0 auto;
+                    background: white;
+                    color: ${this.colors.text};
+                    line-height: 1.6;
+                    border: 1px solid #e2e8f0;
+                }
+
+                .challan-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    padding: 2rem;
+                    border-bottom: 3px solid ${this.colors.primary};
+                }
+
+                .challan-header h1 {
+                    font-size: 1.6rem;
+                    font-weight: 700;
+                    margin: 0 0 0.5rem 0;
+                }
+
+                .challan-title {
+                    font-size: 1.3rem;
+                    font-weight: 700;
+                    color: ${this.colors.primary};
+                    text-transform: uppercase;
+                    letter-spacing: 1px;
+                    text-align: right;
+                }
+
+                .challan-meta {
+                    text-align: right;
+                    font-size: 0.9rem;
+                    color: ${this.colors.secondary};
+                }
+
+                .consignee-section {
+                    display: flex;
+                    justify-content: space-between;
+                    padding: 1.5rem 2rem;
+                    background: ${this.colors.light};
+                    font-size: 0.9rem;
+                }
+
+                .consignee-section h3 {
+                    color: ${this.colors.primary};
+                    font-size: 1rem;
+                    margin: 0 0 0.5rem 0;
+                }
+
+                .challan-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                }
+
+                .challan-table th {
+                    background: ${this.colors.primary};
+                    color: white;
+                    padding: 0.75rem 1rem;
+                    text-align: left;
+                    font-size: 0.85rem;
+                    text-transform: uppercase;
+                }
+
+                .challan-table td {
+                    padding: 0.75rem 1rem;
+                    border-bottom: 1px solid #e5e7eb;
+                    font-size: 0.9rem;
+                }
+
+                .challan-total-row td {
+                    font-weight: 700;
+                    border-top: 2px solid ${this.colors.primary};
+                }
+
+                .challan-footer {
+                    padding: 2rem;
+                }
+
+                .signatures {
+                    display: flex;
+                    justify-content: space-between;
+                    margin-top: 3rem;
+                    font-size: 0.9rem;
+                }
+
+                .signature-line {
+                    border-top: 1px solid ${this.colors.text};
+                    padding-top: 0.5rem;
+                    width: 200px;
+                    text-align: center;
+                }
+
+                @media print {
+                    .challan-template {
+                        border: none;
+                    }
+                }
+            </style>
+        `;
+    }
+
+    generateHeader(business, invoiceNumber, invoiceDate) {
+        return `
+            <div class="challan-header">
+                <div>
+                    <h1>${business.name || 'Your Business'}</h1>
+                    <div style="font-size: 0.9rem; color: ${this.colors.secondary};">
+                        ${business.address ? `<div>${business.address}</div>` : ''}
+                        ${business.phone ? `<div>📞 ${business.phone}</div>` : ''}
+                        ${business.gstin ? `<div>GSTIN: ${business.gstin}</div>` : ''}
+                    </div>
+                </div>
+                <div>
+                    <div class="challan-title">🚚 Delivery Challan</div>
+                    <div class="challan-meta">
+                        <div>Challan No: ${invoiceNumber}</div>
+                        <div>Date: ${new Date(invoiceDate).toLocaleDateString()}</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    generateConsigneeSection(customerData, deliveryAddress, transport, challanReason) {
+        return `
+            <div class="consignee-section">
+                <div>
+                    <h3>Consignee</h3>
+                    <div style="font-weight: 600;">${customerData.name || 'Customer'}</div>
+                    <div>${deliveryAddress || customerData.address || ''}</div>
+                    ${customerData.phone ? `<div>📞 ${customerData.phone}</div>` : ''}
+                    ${customerData.gstin ? `<div>GSTIN: ${customerData.gstin}</div>` : ''}
+                </div>
+                <div style="text-align: right;">
+                    <h3>Dispatch Details</h3>
+                    ${challanReason ? `<div>Purpose: ${challanReason}</div>` : ''}
+                    ${transport.mode ? `<div>Mode: ${transport.mode}</div>` : ''}
+                    ${transport.vehicleNumber ? `<div>Vehicle: ${transport.vehicleNumber}</div>` : ''}
+                    ${transport.transporterName ? `<div>Transporter: ${transport.transporterName}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    generateItemsTable(items) {
+        if (!items || items.length === 0) {
+            return `
+                <div style="padding: 2rem; text-align: center; color: #64748b;">
+                    No items found
+                </div>
+            `;
+        }
+
+        const totalQuantity = items.reduce((sum, item) => sum + (parseFloat(item.quantity) || 0), 0);
+
+        return `
+            <table class="challan-table">
+                <thead>
+                    <tr>
+                        <th style="width: 50px;">#</th>
+                        <th>Description</th>
+                        <th>HSN</th>
+                        <th style="text-align: center;">Qty</th>
+                        <th style="text-align: center;">Unit</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${items.map((item, index) => `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td style="font-weight: 600;">${item.name || item.description}</td>
+                            <td>${item.hsn || '-'}</td>
+                            <td style="text-align: center;">${item.quantity}</td>
+                            <td style="text-align: center;">${item.unit || 'pcs'}</td>
+                        </tr>
+                    `).join('')}
+                    <tr class="challan-total-row">
+                        <td colspan="3">Total Quantity</td>
+                        <td style="text-align: center;">${totalQuantity}</td>
+                        <td></td>
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    generateFooter(notes) {
+        return `
+            <div class="challan-footer">
+                ${notes ? `<div style="font-style: italic; margin-bottom: 1rem;">${notes}</div>` : ''}
+                <div style="font-size: 0.85rem; color: ${this.colors.secondary};">
+                    Goods are dispatched on delivery challan and are not a sale until invoiced.
+                </div>
+                <div class="signatures">
+                    <div class="signature-line">Receiver's Signature</div>
+                    <div class="signature-line">Authorised Signatory</div>
+                </div>
+            </div>
+        `;
+    }
+}
+
+window.ChallanTemplate = ChallanTemplate;
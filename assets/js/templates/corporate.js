@@ -24,6 +24,8 @@ class CorporateTemplate {
             customerData = {},
             items = [],
             totals = {},
+            tenders = [],
+            changeDue = 0,
             invoiceNumber = '',
             invoiceDate = '',
             dueDate = '',
@@ -37,7 +39,7 @@ class CorporateTemplate {
                 ${this.generateParties(business, customerData)}
                 ${this.generateItemsTable(items)}
                 ${this.generateTaxSummary(totals)}
-                ${this.generateTotals(totals)}
+                ${this.generateTotals(totals, tenders, changeDue)}
                 ${this.generateFooter(business, notes)}
             </div>
             
@@ -391,6 +393,9 @@ class CorporateTemplate {
         if (totals.igst > 0) {
             taxItems.push({ label: 'IGST', amount: totals.igst });
         }
+        if (totals.cess > 0) {
+            taxItems.push({ label: 'Cess', amount: totals.cess });
+        }
 
         if (taxItems.length === 0) return '';
 
@@ -413,7 +418,7 @@ class CorporateTemplate {
         `;
     }
 
-    generateTotals(totals) {
+    generateTotals(totals, tenders = [], changeDue = 0) {
         return `
             <div class="totals-section">
                 <table class="totals-table">
@@ -427,19 +432,80 @@ class CorporateTemplate {
                             <td style="text-align: right; color: ${this.colors.accent};">-₹${totals.discount.toFixed(2)}</td>
                         </tr>
                     ` : ''}
+                    ${(totals.charges || []).map(charge => `
+                        <tr>
+                            <td>${charge.name}${charge.sac ? ` (SAC ${charge.sac})` : ''}:</td>
+                            <td style="text-align: right;">₹${charge.taxableAmount.toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
                     <tr>
                         <td>Total Tax:</td>
                         <td style="text-align: right;">₹${(totals.totalTax || 0).toFixed(2)}</td>
                     </tr>
+                    ${totals.reverseChargeTax > 0 ? `
+                        <tr>
+                            <td>Tax payable on reverse charge:</td>
+                            <td style="text-align: right;">₹${totals.reverseChargeTax.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.zeroRatedAmount > 0 ? `
+                        <tr>
+                            <td>Zero-rated supply:</td>
+                            <td style="text-align: right;">₹${totals.zeroRatedAmount.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
                     <tr class="total-row">
                         <td><strong>GRAND TOTAL</strong></td>
                         <td style="text-align: right;"><strong>₹${(totals.grandTotal || 0).toFixed(2)}</strong></td>
                     </tr>
+                    ${totals.tds > 0 ? `
+                        <tr>
+                            <td>TDS deducted:</td>
+                            <td style="text-align: right;">-₹${totals.tds.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.tcs > 0 ? `
+                        <tr>
+                            <td>TCS collected:</td>
+                            <td style="text-align: right;">₹${totals.tcs.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.tds > 0 || totals.tcs > 0 ? `
+                        <tr>
+                            <td><strong>Net Receivable:</strong></td>
+                            <td style="text-align: right;"><strong>₹${(totals.netReceivable || 0).toFixed(2)}</strong></td>
+                        </tr>
+                    ` : ''}
+                    ${this.generateTenderRows(tenders, changeDue)}
                 </table>
             </div>
         `;
     }
 
+    generateTenderRows(tenders, changeDue) {
+        if (!tenders.length) return '';
+
+        return `
+                    ${tenders.map(tender => `
+                        <tr>
+                            <td>Paid by ${this.getPaymentMethodName(tender.method)}:</td>
+                            <td style="text-align: right;">₹${(tender.amount || 0).toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                    ${changeDue > 0 ? `
+                        <tr>
+                            <td>Change Due:</td>
+                            <td style="text-align: right;">₹${changeDue.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+        `;
+    }
+
+    getPaymentMethodName(methodId) {
+        const method = (window.AppConstants?.PAYMENT_METHODS || []).find(m => m.id === methodId);
+        return method ? method.name : methodId;
+    }
+
     generateFooter(business, notes) {
         return `
             <div class="corporate-footer">
@@ -24,6 +24,8 @@ class CreativeTemplate {
             customerData = {},
             items = [],
             totals = {},
+            tenders = [],
+            changeDue = 0,
             invoiceNumber = '',
             invoiceDate = '',
             dueDate = '',
@@ -35,7 +37,7 @@ class CreativeTemplate {
                 ${this.generateHeader(business, invoiceNumber, invoiceDate)}
                 ${this.generateCustomerSection(customerData, dueDate)}
                 ${this.generateItemsTable(items)}
-                ${this.generateTotals(totals)}
+                ${this.generateTotals(totals, tenders, changeDue)}
                 ${this.generateFooter(business, notes)}
             </div>
             
@@ -442,7 +444,7 @@ class CreativeTemplate {
         `;
     }
 
-    generateTotals(totals) {
+    generateTotals(totals, tenders = [], changeDue = 0) {
         return `
             <div class="totals-section">
                 <div class="totals-container">
@@ -460,6 +462,12 @@ class CreativeTemplate {
                                 <td style="text-align: right; font-weight: 600; color: ${this.colors.success};">-₹${totals.discount.toFixed(2)}</td>
                             </tr>
                         ` : ''}
+                        ${(totals.charges || []).map(charge => `
+                            <tr>
+                                <td style="color: #6b7280;">${charge.name}${charge.sac ? ` (SAC ${charge.sac})` : ''}</td>
+                                <td style="text-align: right; font-weight: 600;">₹${charge.taxableAmount.toFixed(2)}</td>
+                            </tr>
+                        `).join('')}
                         ${totals.cgst > 0 ? `
                             <tr>
                                 <td style="color: #6b7280;">CGST</td>
@@ -478,16 +486,77 @@ class CreativeTemplate {
                                 <td style="text-align: right; font-weight: 600;">₹${totals.igst.toFixed(2)}</td>
                             </tr>
                         ` : ''}
+                        ${totals.cess > 0 ? `
+                            <tr>
+                                <td style="color: #6b7280;">Cess</td>
+                                <td style="text-align: right; font-weight: 600;">₹${totals.cess.toFixed(2)}</td>
+                            </tr>
+                        ` : ''}
+                        ${totals.reverseChargeTax > 0 ? `
+                            <tr>
+                                <td style="color: #6b7280;">Tax payable on reverse charge</td>
+                                <td style="text-align: right;">₹${totals.reverseChargeTax.toFixed(2)}</td>
+                            </tr>
+                        ` : ''}
+                        ${totals.zeroRatedAmount > 0 ? `
+                            <tr>
+                                <td style="color: #6b7280;">Zero-rated supply</td>
+                                <td style="text-align: right;">₹${totals.zeroRatedAmount.toFixed(2)}</td>
+                            </tr>
+                        ` : ''}
                         <tr class="total-row">
                             <td><strong>💎 Grand Total</strong></td>
                             <td style="text-align: right;"><strong>₹${(totals.grandTotal || 0).toFixed(2)}</strong></td>
                         </tr>
+                        ${totals.tds > 0 ? `
+                            <tr>
+                                <td style="color: #6b7280;">TDS deducted</td>
+                                <td style="text-align: right;">-₹${totals.tds.toFixed(2)}</td>
+                            </tr>
+                        ` : ''}
+                        ${totals.tcs > 0 ? `
+                            <tr>
+                                <td style="color: #6b7280;">TCS collected</td>
+                                <td style="text-align: right;">₹${totals.tcs.toFixed(2)}</td>
+                            </tr>
+                        ` : ''}
+                        ${totals.tds > 0 || totals.tcs > 0 ? `
+                            <tr>
+                                <td style="color: #6b7280;"><strong>Net Receivable</strong></td>
+                                <td style="text-align: right;"><strong>₹${(totals.netReceivable || 0).toFixed(2)}</strong></td>
+                            </tr>
+                        ` : ''}
+                        ${this.generateTenderRows(tenders, changeDue)}
                     </table>
                 </div>
             </div>
         `;
     }
 
+    generateTenderRows(tenders, changeDue) {
+        if (!tenders.length) return '';
+
+        return `
+                        ${tenders.map(tender => `
+                            <tr>
+                                <td style="color: #6b7280;">Paid by ${this.getPaymentMethodName(tender.method)}</td>
+                                <td style="text-align: right; font-weight: 600;">₹${(tender.amount || 0).toFixed(2)}</td>
+                            </tr>
+                        `).join('')}
+                        ${changeDue > 0 ? `
+                            <tr>
+                                <td style="color: #6b7280;">Change Due</td>
+                                <td style="text-align: right; font-weight: 600;">₹${changeDue.toFixed(2)}</td>
+                            </tr>
+                        ` : ''}
+        `;
+    }
+
+    getPaymentMethodName(methodId) {
+        const method = (window.AppConstants?.PAYMENT_METHODS || []).find(m => m.id === methodId);
+        return method ? method.name : methodId;
+    }
+
     generateFooter(business, notes) {
         return `
             <div class="creative-footer">
@@ -16,6 +16,8 @@ class MinimalTemplate {
             customerData = {},
             items = [],
             totals = {},
+            tenders = [],
+            changeDue = 0,
             invoiceNumber = '',
             invoiceDate = '',
             notes = ''
@@ -26,7 +28,7 @@ class MinimalTemplate {
                 ${this.generateHeader(business, invoiceNumber, invoiceDate)}
                 ${this.generateCustomerInfo(customerData)}
                 ${this.generateItemsTable(items)}
-                ${this.generateTotals(totals)}
+                ${this.generateTotals(totals, tenders, changeDue)}
                 ${notes ? this.generateNotes(notes) : ''}
             </div>
             
@@ -236,7 +238,7 @@ class MinimalTemplate {
         `;
     }
 
-    generateTotals(totals) {
+    generateTotals(totals, tenders = [], changeDue = 0) {
         return `
             <div class="totals-section">
                 <table class="totals-table">
@@ -250,21 +252,88 @@ class MinimalTemplate {
                             <td style="text-align: right;">-₹${totals.discount.toFixed(2)}</td>
                         </tr>
                     ` : ''}
+                    ${(totals.charges || []).map(charge => `
+                        <tr>
+                            <td style="color: #718096;">${charge.name}${charge.sac ? ` (SAC ${charge.sac})` : ''}</td>
+                            <td style="text-align: right;">₹${charge.taxableAmount.toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                    ${totals.cess > 0 ? `
+                        <tr>
+                            <td style="color: #718096;">Cess</td>
+                            <td style="text-align: right;">₹${totals.cess.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
                     ${totals.totalTax > 0 ? `
                         <tr>
                             <td style="color: #718096;">Tax</td>
                             <td style="text-align: right;">₹${totals.totalTax.toFixed(2)}</td>
                         </tr>
                     ` : ''}
+                    ${totals.reverseChargeTax > 0 ? `
+                        <tr>
+                            <td style="color: #718096;">Tax payable on reverse charge</td>
+                            <td style="text-align: right;">₹${totals.reverseChargeTax.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.zeroRatedAmount > 0 ? `
+                        <tr>
+                            <td style="color: #718096;">Zero-rated supply</td>
+                            <td style="text-align: right;">₹${totals.zeroRatedAmount.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
                     <tr class="total-row">
                         <td>Total</td>
                         <td style="text-align: right;">₹${(totals.grandTotal || 0).toFixed(2)}</td>
                     </tr>
+                    ${totals.tds > 0 ? `
+                        <tr>
+                            <td style="color: #718096;">TDS deducted</td>
+                            <td style="text-align: right;">-₹${totals.tds.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.tcs > 0 ? `
+                        <tr>
+                            <td style="color: #718096;">TCS collected</td>
+                            <td style="text-align: right;">₹${totals.tcs.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.tds > 0 || totals.tcs > 0 ? `
+                        <tr>
+                            <td style="color: #718096;"><strong>Net Receivable</strong></td>
+                            <td style="text-align: right;"><strong>₹${(totals.netReceivable || 0).toFixed(2)}</strong></td>
+                        </tr>
+                    ` : ''}
+                    ${this.generateTenderRows(tenders, changeDue)}
                 </table>
             </div>
         `;
     }
 
+    generateTenderRows(tenders, changeDue) {
+        if (!tenders.length) return '';
+
+        return `
+                    ${tenders.map(tender => `
+                        <tr>
+                            <td style="color: #718096;">Paid by ${this.getPaymentMethodName(tender.method)}</td>
+                            <td style="text-align: right;">₹${(tender.amount || 0).toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                    ${changeDue > 0 ? `
+                        <tr>
+                            <td style="color: #718096;">Change Due</td>
+                            <td style="text-align: right;">₹${changeDue.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+        `;
+    }
+
+    getPaymentMethodName(methodId) {
+        const method = (window.AppConstants?.PAYMENT_METHODS || []).find(m => m.id === methodId);
+        return method ? method.name : methodId;
+    }
+
     generateNotes(notes) {
         return `
             <div class="notes-section">
@@ -26,6 +26,8 @@ class ModernTemplate {
             customerData = {},
             items = [],
             totals = {},
+            tenders = [],
+            changeDue = 0,
             invoiceNumber = '',
             invoiceDate = '',
             dueDate = '',
@@ -37,7 +39,7 @@ class ModernTemplate {
                 ${this.generateHeader(business, invoiceNumber, invoiceDate)}
                 ${this.generateCustomerSection(customerData, dueDate)}
                 ${this.generateItemsTable(items)}
-                ${this.generateTotals(totals)}
+                ${this.generateTotals(totals, tenders, changeDue)}
                 ${this.generateFooter(business, notes)}
             </div>
             
@@ -264,7 +266,7 @@ class ModernTemplate {
         `;
     }
 
-    generateTotals(totals) {
+    generateTotals(totals, tenders = [], changeDue = 0) {
         return `
             <div class="totals-section">
                 <table class="totals-table">
@@ -278,6 +280,12 @@ class ModernTemplate {
                             <td style="text-align: right;">-₹${totals.discount.toFixed(2)}</td>
                         </tr>
                     ` : ''}
+                    ${(totals.charges || []).map(charge => `
+                        <tr>
+                            <td>${charge.name}${charge.sac ? ` (SAC ${charge.sac})` : ''}:</td>
+                            <td style="text-align: right;">₹${charge.taxableAmount.toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
                     ${totals.cgst > 0 ? `
                         <tr>
                             <td>CGST:</td>
@@ -296,15 +304,76 @@ class ModernTemplate {
                             <td style="text-align: right;">₹${totals.igst.toFixed(2)}</td>
                         </tr>
                     ` : ''}
+                    ${totals.cess > 0 ? `
+                        <tr>
+                            <td>Cess:</td>
+                            <td style="text-align: right;">₹${totals.cess.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.reverseChargeTax > 0 ? `
+                        <tr>
+                            <td>Tax payable on reverse charge:</td>
+                            <td style="text-align: right;">₹${totals.reverseChargeTax.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.zeroRatedAmount > 0 ? `
+                        <tr>
+                            <td>Zero-rated supply:</td>
+                            <td style="text-align: right;">₹${totals.zeroRatedAmount.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
                     <tr class="total-row">
                         <td><strong>Total:</strong></td>
                         <td style="text-align: right;"><strong>₹${(totals.grandTotal || 0).toFixed(2)}</strong></td>
                     </tr>
+                    ${totals.tds > 0 ? `
+                        <tr>
+                            <td>TDS deducted:</td>
+                            <td style="text-align: right;">-₹${totals.tds.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.tcs > 0 ? `
+                        <tr>
+                            <td>TCS collected:</td>
+                            <td style="text-align: right;">₹${totals.tcs.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.tds > 0 || totals.tcs > 0 ? `
+                        <tr>
+                            <td><strong>Net Receivable:</strong></td>
+                            <td style="text-align: right;"><strong>₹${(totals.netReceivable || 0).toFixed(2)}</strong></td>
+                        </tr>
+                    ` : ''}
+                    ${this.generateTenderRows(tenders, changeDue)}
                 </table>
             </div>
         `;
     }
 
+    generateTenderRows(tenders, changeDue) {
+        if (!tenders.length) return '';
+
+        return `
+                    ${tenders.map(tender => `
+                        <tr>
+                            <td>Paid by ${this.getPaymentMethodName(tender.method)}:</td>
+                            <td style="text-align: right;">₹${(tender.amount || 0).toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                    ${changeDue > 0 ? `
+                        <tr>
+                            <td>Change Due:</td>
+                            <td style="text-align: right;">₹${changeDue.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+        `;
+    }
+
+    getPaymentMethodName(methodId) {
+        const method = (window.AppConstants?.PAYMENT_METHODS || []).find(m => m.id === methodId);
+        return method ? method.name : methodId;
+    }
+
     generateFooter(business, notes) {
         return `
             <div class="footer">
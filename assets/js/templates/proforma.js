@@ -0,0 +1,322 @@
+/**
+ * ⚡️ UnifyX Bill Maker - Proforma Invoice Template
+ * Advance invoice for payment before supply, not valid as a tax invoice
+ * Author: Ved Mangukiya
+ * Version: 1.0.0
+ */
+
+class ProformaTemplate {
+    constructor() {
+        this.templateName = 'Proforma Invoice';
+        this.colors = {
+            primary: '#b45309',
+            secondary: '#64748b',
+            text: '#0f172a',
+            light: '#fffbeb'
+        };
+    }
+
+    /**
+     * Generate proforma invoice HTML
+     */
+    generate(invoiceData) {
+        const {
+            business = {},
+            customerData = {},
+            items = [],
+            totals = {},
+            invoiceNumber = '',
+            invoiceDate = '',
+            validUntil = '',
+            paymentTerms = '',
+            notes = ''
+        } = invoiceData;
+
+        return `
+            <div class="proforma-template">
+                ${this.generateHeader(business, invoiceNumber, invoiceDate, validUntil)}
+                ${this.generateCustomerSection(customerData, paymentTerms)}
+                ${this.generateItemsTable(items)}
+                ${this.generateTotals(totals)}
+                ${this.generateFooter(business, notes)}
+            </div>
+
+            <style>
+                .proforma-template {
+                    font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+                    max-width: 800px;
+                    margin: 0 auto;
+                    background: white;
+                    color: ${this.colors.text};
+                    line-height: 1.6;
+                    border-top: 6px solid ${this.colors.primary};
+                }
+
+                .proforma-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: flex-start;
+                    padding: 2rem;
+                }
+
+                .proforma-header h1 {
+                    font-size: 1.6rem;
+                    font-weight: 700;
+                    margin: 0 0 0.5rem 0;
+                }
+
+                .proforma-title {
+                    font-size: 1.4rem;
+                    font-weight: 700;
+                    color: ${this.colors.primary};
+                    text-transform: uppercase;
+                    letter-spacing: 1px;
+                    text-align: right;
+                }
+
+                .proforma-meta {
+                    text-align: right;
+                    font-size: 0.9rem;
+                    color: ${this.colors.secondary};
+                }
+
+                .proforma-customer {
+                    display: flex;
+                    justify-content: space-between;
+                    padding: 1.5rem 2rem;
+                    background: ${this.colors.light};
+                    font-size: 0.9rem;
+                }
+
+                .proforma-customer h3 {
+                    color: ${this.colors.primary};
+                    font-size: 1rem;
+                    margin: 0 0 0.5rem 0;
+                }
+
+                .proforma-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                }
+
+                .proforma-table th {
+                    background: ${this.colors.primary};
+                    color: white;
+                    padding: 0.75rem 1rem;
+                    text-align: left;
+                    font-size: 0.85rem;
+                    text-transform: uppercase;
+                }
+
+                .proforma-table td {
+                    padding: 0.75rem 1rem;
+                    border-bottom: 1px solid #e5e7eb;
+                    font-size: 0.9rem;
+                }
+
+                .proforma-totals {
+                    padding: 1.5rem 2rem;
+                }
+
+                .proforma-totals table {
+                    width: 100%;
+                    max-width: 300px;
+                    margin-left: auto;
+                }
+
+                .proforma-totals td {
+                    padding: 0.4rem 0;
+                    font-size: 0.9rem;
+                }
+
+                .proforma-total-row td {
+                    border-top: 2px solid ${this.colors.primary};
+                    font-weight: 700;
+                    font-size: 1.1rem;
+                    color: ${this.colors.primary};
+                }
+
+                .proforma-footer {
+                    padding: 1.5rem 2rem;
+                    background: ${this.colors.light};
+                    font-size: 0.85rem;
+                }
+
+                .proforma-disclaimer {
+                    font-weight: 600;
+                    color: ${this.colors.primary};
+                    margin-bottom: 0.5rem;
+                }
+            </style>
+        `;
+    }
+
+    generateHeader(business, invoiceNumber, invoiceDate, validUntil) {
+        return `
+            <div class="proforma-header">
+                <div>
+                    <h1>${business.name || 'Your Business'}</h1>
+                    <div style="font-size: 0.9rem; color: ${this.colors.secondary};">
+                        ${business.address ? `<div>${business.address}</div>` : ''}
+                        ${business.phone ? `<div>📞 ${business.phone}</div>` : ''}
+                        ${business.email ? `<div>✉️ ${business.email}</div>` : ''}
+                        ${business.gstin ? `<div>GSTIN: ${business.gstin}</div>` : ''}
+                    </div>
+                </div>
+                <div>
+                    <div class="proforma-title">Proforma Invoice</div>
+                    <div class="proforma-meta">
+                        <div>No: ${invoiceNumber}</div>
+                        <div>Date: ${new Date(invoiceDate).toLocaleDateString()}</div>
+                        ${validUntil ? `<div>Valid Until: ${new Date(validUntil).toLocaleDateString()}</div>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    generateCustomerSection(customerData, paymentTerms) {
+        return `
+            <div class="proforma-customer">
+                <div>
+                    <h3>Prepared For</h3>
+                    <div style="font-weight: 600;">${customerData.name || 'Customer'}</div>
+                    ${customerData.address ? `<div>${customerData.address}</div>` : ''}
+                    ${customerData.phone ? `<div>📞 ${customerData.phone}</div>` : ''}
+                    ${customerData.gstin ? `<div>GSTIN: ${customerData.gstin}</div>` : ''}
+                </div>
+                ${paymentTerms ? `
+                    <div style="text-align: right; max-width: 50%;">
+                        <h3>Payment Terms</h3>
+                        <div>${paymentTerms}</div>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    generateItemsTable(items) {
+        if (!items || items.length === 0) {
+            return `
+                <div style="padding: 2rem; text-align: center; color: #64748b;">
+                    No items found
+                </div>
+            `;
+        }
+
+        return `
+            <table class="proforma-table">
+                <thead>
+                    <tr>
+                        <th>Description</th>
+                        <th>HSN</th>
+                        <th style="text-align: center;">Qty</th>
+                        <th style="text-align: right;">Rate</th>
+                        <th style="text-align: right;">Tax</th>
+                        <th style="text-align: right;">Amount</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${items.map(item => `
+                        <tr>
+                            <td style="font-weight: 600;">${item.name || item.description}</td>
+                            <td>${item.hsn || '-'}</td>
+                            <td style="text-align: center;">${item.quantity}</td>
+                            <td style="text-align: right;">₹${(item.rate || 0).toFixed(2)}</td>
+                            <td style="text-align: right;">${item.taxRate || 0}%</td>
+                            <td style="text-align: right;">₹${(item.total || 0).toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    generateTotals(totals) {
+        return `
+            <div class="proforma-totals">
+                <table>
+                    <tr>
+                        <td>Subtotal:</td>
+                        <td style="text-align: right;">₹${(totals.subtotal || 0).toFixed(2)}</td>
+                    </tr>
+                    ${totals.discount > 0 ? `
+                        <tr>
+                            <td>Discount:</td>
+                            <td style="text-align: right;">-₹${totals.discount.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${(totals.charges || []).map(charge => `
+                        <tr>
+                            <td>${charge.name}${charge.sac ? ` (SAC ${charge.sac})` : ''}:</td>
+                            <td style="text-align: right;">₹${charge.taxableAmount.toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                    ${totals.cgst > 0 ? `
+                        <tr>
+                            <td>CGST:</td>
+                            <td style="text-align: right;">₹${totals.cgst.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.sgst > 0 ? `
+                        <tr>
+                            <td>SGST:</td>
+                            <td style="text-align: right;">₹${totals.sgst.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.igst > 0 ? `
+                        <tr>
+                            <td>IGST:</td>
+                            <td style="text-align: right;">₹${totals.igst.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.cess > 0 ? `
+                        <tr>
+                            <td>Cess:</td>
+                            <td style="text-align: right;">₹${totals.cess.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    <tr class="proforma-total-row">
+                        <td>Amount Payable:</td>
+                        <td style="text-align: right;">₹${(totals.grandTotal || 0).toFixed(2)}</td>
+                    </tr>
+                    ${totals.tds > 0 ? `
+                        <tr>
+                            <td>TDS deducted:</td>
+                            <td style="text-align: right;">-₹${totals.tds.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.tcs > 0 ? `
+                        <tr>
+                            <td>TCS collected:</td>
+                            <td style="text-align: right;">₹${totals.tcs.toFixed(2)}</td>
+                        </tr>
+                    ` : ''}
+                    ${totals.tds > 0 || totals.tcs > 0 ? `
+                        <tr>
+                            <td><strong>Net Receivable:</strong></td>
+                            <td style="text-align: right;"><strong>₹${(totals.netReceivable || 0).toFixed(2)}</strong></td>
+                        </tr>
+                    ` : ''}
+                </table>
+            </div>
+        `;
+    }
+
+    generateFooter(business, notes) {
+        return `
+            <div class="proforma-footer">
+                <div class="proforma-disclaimer">This is a proforma invoice and not a tax invoice. A tax invoice will be issued on supply.</div>
+                ${business.accountNumber ? `
+                    <div>
+                        ${business.bankName ? `Bank: ${business.bankName} | ` : ''}A/C: ${business.accountNumber}${business.ifsc ? ` | IFSC: ${business.ifsc}` : ''}
+                    </div>
+                ` : ''}
+                ${business.upiId ? `<div>UPI: ${business.upiId}</div>` : ''}
+                ${notes ? `<div style="margin-top: 0.5rem; font-style: italic;">${notes}</div>` : ''}
+            </div>
+        `;
+    }
+}
+
+window.ProformaTemplate = ProformaTemplate;
@@ -34,7 +34,15 @@ class UnifyXBuilder {
             'assets/js/modules/businessManager.js',
             'assets/js/modules/productManager.js',
             'assets/js/modules/customerManager.js',
+            'assets/js/modules/priceLists.js',
+            'assets/js/modules/promotions.js',
             'assets/js/modules/billingEngine.js',
+            'assets/js/modules/recurringInvoices.js',
+            'assets/js/modules/paymentManager.js',
+            'assets/js/modules/dunning.js',
+            'assets/js/modules/invoiceHistory.js',
+            'assets/js/modules/eInvoice.js',
+            'assets/js/modules/eWayBill.js',
             'assets/js/modules/pdfGenerator.js',
             'assets/js/modules/analytics.js',
             'assets/js/modules/keyboard.js',
@@ -51,6 +59,8 @@ class UnifyXBuilder {
             'assets/js/templates/corporate.js',
             'assets/js/templates/creative.js',
             'assets/js/templates/minimal.js',
+            'assets/js/templates/challan.js',
+            'assets/js/templates/proforma.js',
             'assets/js/utils/calculator.js',
             'assets/js/utils/currency.js',
             'assets/js/utils/formatting.js',
@@ -214,6 +214,118 @@ class UnifyXValidator {
             
             return isEnabled && window.BillingEngine.multiBillMode === false;
         });
+
+        // Test 5: Line discounts
+        this.addTest(results, 'Totals reconcile with percentage and fixed line discounts', () => {
+            const invoice = this.calculateFixtureTotals({}, [
+                { quantity: 2, rate: 100, discountPercent: 10, taxRate: 18 },
+                { quantity: 1, rate: 500, discountType: 'fixed', fixedDiscount: 50, taxRate: 12 }
+            ]);
+
+            // Expected: 180 + 450 = 630 taxable, 32.4 + 54 = 86.4 tax
+            return this.isReconciled(invoice, { discountAmount: 70, taxableAmount: 630, totalTax: 86.4 });
+        });
+
+        // Test 6: Percentage invoice discount
+        this.addTest(results, 'Totals reconcile with percentage invoice discount', () => {
+            const invoice = this.calculateFixtureTotals({ discountType: 'percentage', discountPercent: 10 }, [
+                { quantity: 2, rate: 100, taxRate: 18 },
+                { quantity: 1, rate: 300, taxRate: 5 }
+            ]);
+
+            // Expected: 50 spread as 20 + 30, 180 + 270 = 450 taxable, 32.4 + 13.5 = 45.9 tax
+            return this.isReconciled(invoice, { invoiceDiscount: 50, taxableAmount: 450, totalTax: 45.9 }) &&
+                   Math.abs(invoice.items[0].invoiceDiscount - 20) < 0.01;
+        });
+
+        // Test 7: Fixed invoice discount
+        this.addTest(results, 'Totals reconcile with fixed invoice discount', () => {
+            const invoice = this.calculateFixtureTotals({ discountType: 'fixed', fixedDiscount: 100 }, [
+                { quantity: 1, rate: 200, taxRate: 18 },
+                { quantity: 1, rate: 300, taxRate: 18 },
+                { quantity: 1, rate: 100, taxRate: 5 }
+            ]);
+
+            // Expected: 100 spread as 33.33 + 50 + 16.67, 600 - 100 = 500 taxable
+            return this.isReconciled(invoice, { invoiceDiscount: 100, taxableAmount: 500 }) &&
+                   Math.abs(invoice.items[2].invoiceDiscount - 16.67) < 0.01;
+        });
+
+        // Test 8: Inclusive pricing
+        this.addTest(results, 'Totals reconcile with tax-inclusive pricing', () => {
+            const invoice = this.calculateFixtureTotals({ taxCalculation: 'inclusive' }, [
+                { quantity: 1, rate: 118, taxRate: 18 },
+                { quantity: 2, rate: 590, discountPercent: 10, taxRate: 18 }
+            ]);
+
+            // Expected: 118 = 100 + 18, 1062 after discount = 900 + 162
+            return this.isReconciled(invoice, { taxableAmount: 1000, totalTax: 180, grandTotal: 1180 });
+        });
+
+        // Test 9: Taxable charges
+        this.addTest(results, 'Totals reconcile with taxable charges', () => {
+            const invoice = this.calculateFixtureTotals({
+                charges: [{ id: 'fixture_freight', type: 'freight', name: 'Freight', sac: '996511', taxRate: 18, amount: 500 }]
+            }, [
+                { quantity: 1, rate: 1000, taxRate: 18 }
+            ]);
+
+            // Expected: 1000 + 500 = 1500 taxable, 180 + 90 = 270 tax
+            return this.isReconciled(invoice, {
+                additionalCharges: 500,
+                taxableAmount: 1500,
+                totalTax: 270,
+                grandTotal: 1770
+            });
+        });
+    }
+
+    /**
+     * Calculate totals for a fixture invoice without disturbing the invoice being billed
+     * @param {Object} invoiceData - Invoice fields (discounts, charges, pricing mode)
+     * @param {Array} items - Line items
+     * @returns {Object} Invoice with calculated lines and totals
+     */
+    calculateFixtureTotals(invoiceData, items) {
+        const engine = window.BillingEngine;
+        const saved = {
+            currentInvoice: engine.currentInvoice,
+            invoiceItems: engine.invoiceItems,
+            invoiceTotals: engine.invoiceTotals
+        };
+
+        try {
+            engine.currentInvoice = {
+                id: 'fixture_invoice',
+                status: 'draft',
+                supplyType: 'regular',
+                placeOfSupply: engine.businessManager.getCurrentBusiness()?.stateCode || '24',
+                ...invoiceData
+            };
+            engine.invoiceItems = items.map((item, index) => ({ id: `fixture_item_${index}`, ...item }));
+            engine.currentInvoice.items = engine.invoiceItems;
+            engine.calculateInvoiceTotals();
+
+            return engine.currentInvoice;
+        } finally {
+            Object.assign(engine, saved);
+        }
+    }
+
+    /**
+     * Check that a fixture invoice reconciles and has the expected totals
+     * @param {Object} invoice - Calculated invoice
+     * @param {Object} expected - Expected totals
+     * @returns {boolean} True when reconciled and matching
+     */
+    isReconciled(invoice, expected) {
+        const reconciliation = window.BillingEngine.reconcileInvoiceTotals(invoice);
+        if (!reconciliation.valid) {
+            console.warn('Totals do not reconcile:', reconciliation.errors);
+            return false;
+        }
+
+        return Object.entries(expected).every(([field, value]) => Math.abs(invoice.totals[field] - value) < 0.01);
     }
 
     /**